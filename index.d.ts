@@ -0,0 +1,494 @@
+/**
+ * Type definitions for @thaikolja/scaffold-nuxt-4.
+ */
+
+export declare const VERSION: string;
+
+export declare const EXIT: Readonly<{
+  OK: 0;
+  USAGE_ERROR: 1;
+  TEMPLATE_EMPTY: 2;
+  FILE_ERRORS: 3;
+  INSTALL_FAILED: 4;
+  PROBLEMS_FOUND: 5;
+  CHECK_FAILED: 6;
+}>;
+
+export type ExitCodeName = keyof typeof EXIT;
+
+/** Base class of every error the API rejects with. */
+export declare class ScaffoldError extends Error {
+  constructor(message: string, code?: ExitCodeName);
+  /** Key of the matching `EXIT` entry. */
+  readonly code: ExitCodeName;
+  /** Process exit code the CLI uses for this error. */
+  readonly exitCode: number;
+}
+
+/** Invalid options, unusable target or template source. */
+export declare class UsageError extends ScaffoldError {
+  constructor(message: string);
+  readonly code: 'USAGE_ERROR';
+}
+
+/** The template source resolved to a directory without files. */
+export declare class TemplateEmptyError extends ScaffoldError {
+  constructor(message?: string);
+  readonly code: 'TEMPLATE_EMPTY';
+}
+
+export interface FeatureDefinition {
+  dependencies: string[];
+  files: string[];
+  module?: string;
+}
+
+export declare const BUILTIN_FEATURES: Readonly<Record<string, FeatureDefinition>>;
+
+export type GenerateKind = 'page' | 'component' | 'composable' | 'api' | 'middleware' | 'server-middleware' | 'plugin';
+
+export declare const GENERATE_KINDS: GenerateKind[];
+
+export interface FileError {
+  file: string;
+  error: string;
+}
+
+export interface BaseOptions {
+  /** Nuxt project directory (must contain package.json and nuxt.config.*). Defaults to `process.cwd()`. */
+  target?: string;
+  /** Simulate only; nothing is written. */
+  dryRun?: boolean;
+  /** Classification only; nothing is written. */
+  listOnly?: boolean;
+}
+
+export interface ScaffoldOptions extends BaseOptions {
+  /** Include every feature's files regardless of detection. */
+  all?: boolean;
+  /** Force features on (`true`) or off (`false`); unknown names reject with UsageError. */
+  features?: Record<string, boolean>;
+  /** Exclude INFO.md files. */
+  clean?: boolean;
+  /** Allow README/LICENSE/CHANGELOG copying. */
+  includeDocs?: boolean;
+  /** Refresh unedited files whose template changed since the last run. */
+  update?: boolean;
+  /** How `update` writes conflicts. Default `files`. */
+  mergeStyle?: 'files' | 'markers';
+  /** Tailwind major version when it can't be detected (implies `features.tailwind`). */
+  tailwind?: 3 | 4 | '3' | '4';
+  /** Output language; `js` writes `.js` files and strips types from components. Default: detected. */
+  lang?: Lang;
+  /** Variables for `*.tpl` templates, read as `{{ vars.<key> }}`; merged per key over the config file's `vars`. */
+  vars?: Record<string, string>;
+  /** Register main.css, feature modules and compatibilityDate in nuxt.config.*. */
+  patchConfig?: boolean;
+  /** Attach a unified diff (template -> local file) to every skipped file that differs from the template. */
+  diff?: boolean;
+  /** Install the packages of features that are on but not dependencies yet; dry-run and list only plan it. */
+  install?: boolean;
+  /**
+   * Stage every write and move the files into place at the end; any error or interruption
+   * undoes the whole run. `false` writes file by file and keeps what was written. Default `true`.
+   */
+  transactional?: boolean;
+  /** Write nothing and report drift from the template in `result.check` (implies `dryRun`). */
+  check?: boolean;
+  /** Only consider template files matching one of these globs (gitignore syntax, no negation). */
+  only?: string | string[];
+  /** Exclude template files matching one of these globs (gitignore syntax, no negation). */
+  exclude?: string | string[];
+  /** What to do with existing files that differ from the template. Default `skip`. */
+  onConflict?: ConflictStrategy;
+  /** Per-path strategies (`{"<glob>": strategy}`, first match wins); replaces `conflicts` from the project config. */
+  conflicts?: Record<string, ConflictStrategy>;
+  /** Git URL or local directory to take templates from. */
+  templateUrl?: string;
+  /** Several template sources merged in order, later ones replacing files of earlier ones; replaces `templateUrl`. */
+  templates?: TemplateLayer[];
+  /** Branch, tag or commit to clone. */
+  templateRef?: string;
+  /** Template subdirectory. Default `templates`. */
+  templateDir?: string;
+  /**
+   * Starter preset layered on top of the embedded templates (see `PRESETS`). Presets other than
+   * `minimal` need an embedded layer and reject with UsageError without one. Default `minimal`.
+   */
+  preset?: PresetName;
+  /**
+   * OpenAPI 3 document (JSON or YAML) to generate `server/api` and `server/routes` handler stubs, `shared/types` and a
+   * validation util from, instead of copying templates. Existing handlers are never replaced.
+   */
+  openapi?: string;
+  /** Sparse, blob-less clone of `templateDir` only. */
+  fast?: boolean;
+  /** Use cached Git templates only; rejects with UsageError when nothing is cached. */
+  offline?: boolean;
+  /** Re-clone a Git template even when its commit is cached. */
+  refresh?: boolean;
+  /** Template cache root. Defaults to `defaultCacheDir()`. */
+  cacheDir?: string;
+  /** Environment to read `SCAFFOLD_REPO_URL`, `SCAFFOLD_REPO_REF` and `SCAFFOLD_FAST` from, e.g. `process.env`. Not read by default. */
+  env?: Record<string, string | undefined>;
+  /** Receives diagnostic messages, including where each setting came from. */
+  debug?: (message: string) => void;
+  /** Template-relative paths not to add even though they are missing from the target. */
+  deselected?: string[];
+}
+
+export type Lang = 'ts' | 'js';
+
+export type PresetName = 'minimal' | 'blog' | 'api-only' | 'app';
+
+export interface PresetInfo {
+  name: PresetName;
+  description: string;
+  default: boolean;
+  /** Files the preset adds to (or replaces in) the embedded templates, as written to the target. */
+  files: string[];
+}
+
+/** `source` is `flag`, `tsconfig.json`, `typescript dependency` or the nuxt.config file name. */
+export interface LangInfo {
+  lang: Lang;
+  source: string;
+}
+
+export type ConflictStrategy = 'skip' | 'overwrite' | 'backup' | 'new';
+
+/**
+ * Template source: Git URL or shorthand (`github:org/repo#ref/subdir`), local directory or archive,
+ * `npm:<spec>` or `embedded`; objects may pin their own ref and dir.
+ */
+export type TemplateLayer = string | {url: string; ref?: string; dir?: string};
+
+export interface TemplateLayerInfo {
+  source: string;
+  ref: string;
+  templateDir: string;
+  mode: 'embedded' | 'optimized' | 'full' | 'cache' | 'archive' | 'npm' | 'openapi';
+  commit: string | null;
+  cache: {hit: boolean; dir: string | null} | null;
+}
+
+export type ScaffoldAction = {
+  /** Index into `ScaffoldResult.layers` of the layer the file came from. */
+  layer: number;
+} & (
+  | {rel: string; action: 'add'}
+  | {
+      rel: string;
+      action: 'skip-exists';
+      /**
+       * `identical`/`differs` are set by `diff`; `identical`/`untracked` by `update`; `handler` marks
+       * an existing OpenAPI handler stub, which is never replaced or diffed.
+       */
+      reason?: 'identical' | 'differs' | 'untracked' | 'handler';
+      /** With `diff`: unified diff from the template to the local file. */
+      diff?: string;
+      /** With `diff`: the file differs but one side is binary, so there is no text diff. */
+      binary?: boolean;
+    }
+  /** The same module exists in the other language, e.g. `foo.ts` for a template `foo.js`. */
+  | {rel: string; action: 'skip-exists'; reason: 'other-lang'; existing: string}
+  | {rel: string; action: 'overwrite'}
+  /** `backup` is the timestamped `*.bak` the existing file was renamed to. */
+  | {rel: string; action: 'backup'; backup: string}
+  /** `artifact` is the `*.template.ext` written next to the existing file. */
+  | {rel: string; action: 'side-by-side'; artifact: string}
+  | {rel: string; action: 'update'; reason: 'template-updated'}
+  | {rel: string; action: 'keep-modified'; reason: 'modified-locally'}
+  | {rel: string; action: 'conflict'; reason: 'both-changed'; style: 'files' | 'markers'; artifact?: string}
+  | {rel: string; action: 'exclude-always' | 'exclude-docs' | 'exclude-info' | 'exclude-feature'; reason: string}
+  | {rel: string; action: 'exclude-user'; reason: 'deselected'}
+  /** `pattern` is the `exclude` glob or `.scaffoldignore` line that matched; `source` tells which ignore file. */
+  | {rel: string; action: 'exclude-pattern'; reason: 'not-only'}
+  | {rel: string; action: 'exclude-pattern'; reason: 'exclude'; pattern: string}
+  | {rel: string; action: 'exclude-pattern'; reason: 'scaffoldignore'; pattern: string; source: 'template' | 'target'}
+);
+
+/**
+ * Settings a project config file (`scaffold.config.mjs`, `scaffold.config.json`, `.scaffoldrc` or
+ * the `"scaffold"` key in package.json) may contain.
+ */
+export type ScaffoldConfig = Pick<ScaffoldOptions,
+  'templateUrl' | 'templates' | 'templateRef' | 'templateDir' | 'preset' | 'fast' | 'features' | 'vars' | 'clean' | 'includeDocs' |
+  'only' | 'exclude' | 'onConflict' | 'conflicts'>;
+
+export interface InstallResult {
+  manager: 'npm' | 'pnpm' | 'yarn' | 'bun';
+  /** `packageManager`, the lockfile name or `default`. */
+  source: string;
+  packages: string[];
+  /** Command that was or would be run; null when nothing is missing. */
+  command: string | null;
+  status: 'installed' | 'planned' | 'failed' | 'nothing-to-install';
+  /** Exit status and the last lines of output when `status` is `failed`. */
+  error?: string;
+  /** nuxt.config changes the installed Tailwind packages still need, when `patchConfig` didn't make them. */
+  nextSteps?: string[];
+}
+
+/**
+ * A file that drifts from the template: `missing` (would be added), `differs` (found by `diff`
+ * or an `onConflict` strategy), `outdated` or `conflict` (found by `update`).
+ */
+export interface CheckFailure {
+  rel: string;
+  kind: 'missing' | 'differs' | 'outdated' | 'conflict';
+  diff?: string;
+  binary?: boolean;
+}
+
+export type ReportFormat = 'junit' | 'sarif' | 'markdown';
+
+export interface ConfigPatch {
+  file: string;
+  edits: {key: string; action: 'append' | 'add-property'; values: string[]}[];
+  skipped: {key: string; reason: string}[];
+  diff: string;
+}
+
+export interface ScaffoldResult {
+  version: string;
+  target: string;
+  source: string;
+  ref: string;
+  mode: 'embedded' | 'optimized' | 'full' | 'cache' | 'archive' | 'npm' | 'openapi';
+  /** Commit the template was taken from; null for embedded templates and non-Git directories. */
+  commit: string | null;
+  /** Template cache use for Git sources; null otherwise. `dir` is null when the cache couldn't be written. */
+  cache: {hit: boolean; dir: string | null} | null;
+  /** Every template layer, lowest first; `source` to `cache` above describe `layers[0]`. */
+  layers: TemplateLayerInfo[];
+  /** The preset applied on top of the embedded templates; null when no embedded layer was used (other sources, `openapi`). */
+  preset: PresetName | null;
+  detected: Record<string, boolean>;
+  tailwind: {major: 3 | 4 | null; source: string | null};
+  lang: LangInfo;
+  /** Template variables after merging the config file and `options.vars`. */
+  vars: Record<string, string>;
+  effective: Record<string, boolean> & {
+    all: boolean;
+    cleanInfo: boolean;
+    dryRun: boolean;
+    listOnly: boolean;
+    includeDocs: boolean;
+    update: boolean;
+    mergeStyle: 'files' | 'markers';
+    diff: boolean;
+    check: boolean;
+    transactional: boolean;
+    onConflict: ConflictStrategy;
+    only: string[];
+    exclude: string[];
+  };
+  counts: {
+    add: number;
+    skip: number;
+    overwrite: number;
+    backup: number;
+    sideBySide: number;
+    update: number;
+    keep: number;
+    conflict: number;
+    excluded: number;
+    errors: number;
+  };
+  added: string[];
+  skipped: string[];
+  overwritten: string[];
+  backedUp: string[];
+  sideBySide: string[];
+  updated: string[];
+  kept: string[];
+  conflicts: string[];
+  excluded: {file: string; reason: string; pattern?: string; source?: 'template' | 'target'}[];
+  errors: FileError[];
+  actions: ScaffoldAction[];
+  /**
+   * Project config file used (null when none) and the layer each setting came from:
+   * `default`, the config file, `env <NAME>` or `cli` (the options object). Features appear as `features.<name>`.
+   */
+  settings: {file: string | null; sources: Record<string, string>};
+  /** Present with `install`. A failed install doesn't reject; the CLI exits with `EXIT.INSTALL_FAILED`. */
+  /** Real transactional runs only. `rolled-back`: an error undid every write; see `errors`. */
+  transaction?: {status: 'committed' | 'rolled-back'};
+  install?: InstallResult;
+  config?: ConfigPatch;
+  /** Present with `check`. The CLI exits with `EXIT.CHECK_FAILED` when `passed` is false. */
+  check?: {passed: boolean; failures: CheckFailure[]};
+}
+
+export interface MigrateResult {
+  version: string;
+  target: string;
+  mode: 'migrate';
+  effective: {dryRun: boolean; listOnly: boolean};
+  counts: {move: number; skip: number; rewrite: number; errors: number};
+  moved: {from: string; to: string}[];
+  skipped: string[];
+  rewritten: string[];
+  errors: FileError[];
+  actions: {
+    rel: string;
+    action: 'move' | 'rewrite' | 'skip-exists';
+    to?: string;
+    reason?: 'conflict';
+    imports?: {from: string; to: string}[];
+  }[];
+}
+
+export interface RevertResult {
+  version: string;
+  target: string;
+  mode: 'revert';
+  manifest: {source: string | null; ref: string | null; commit: string | null; createdAt: string};
+  effective: {dryRun: boolean; listOnly: boolean};
+  counts: {remove: number; restore: number; keep: number; missing: number; errors: number};
+  removed: string[];
+  /** Files replaced by their `--on-conflict=backup` copy again. */
+  restored: string[];
+  kept: string[];
+  missing: string[];
+  errors: FileError[];
+  actions: {
+    rel: string;
+    action: 'remove' | 'restore-backup' | 'keep-modified' | 'missing';
+    reason?: 'modified' | 'backup-missing';
+    backup?: string;
+  }[];
+}
+
+export interface GenerateOptions extends BaseOptions {
+  kind: GenerateKind;
+  /** File name below the kind's directory, e.g. `blog/[slug]`. */
+  name: string;
+  /** HTTP method suffix for `api` routes. */
+  method?: 'get' | 'post' | 'put' | 'patch' | 'delete' | 'head' | 'options';
+  /** `client` or `server` suffix for plugins. */
+  mode?: 'client' | 'server';
+  /** `.global` suffix for route middleware. */
+  global?: boolean;
+  /** Output language. Default: detected like scaffold(). */
+  lang?: Lang;
+}
+
+export interface GenerateResult {
+  version: string;
+  target: string;
+  mode: 'generate';
+  kind: GenerateKind;
+  name: string;
+  lang: LangInfo;
+  effective: {dryRun: boolean; listOnly: boolean};
+  counts: {add: number; skip: number; errors: number};
+  added: string[];
+  skipped: string[];
+  errors: FileError[];
+  actions: {rel: string; action: 'add' | 'skip-exists'; kind: GenerateKind; reason?: 'other-lang'; existing?: string}[];
+}
+
+export type DoctorCheck = 'nuxt3-sources' | 'root-dir-in-app' | 'content-outside' | 'tailwind-stylesheet' | 'compatibility-date';
+
+export interface DoctorProblem {
+  check: DoctorCheck;
+  /** Errors make the CLI exit with `EXIT.PROBLEMS_FOUND`; warnings don't. */
+  severity: 'error' | 'warning';
+  message: string;
+  /** Project-relative paths involved; directories end in `/`. */
+  paths: string[];
+  /** How to fix it, when the scaffolder can help. */
+  fix?: string;
+}
+
+export interface DoctorResult {
+  version: string;
+  target: string;
+  mode: 'doctor';
+  detected: Record<string, boolean>;
+  tailwind: {major: 3 | 4 | null; source: string | null};
+  problems: DoctorProblem[];
+  counts: {errors: number; warnings: number};
+}
+
+/** scaffold() options applied to every package; `target` is the workspace root. */
+export type WorkspaceOptions = Omit<ScaffoldOptions, 'deselected'>;
+
+export interface WorkspacePackage {
+  /** package.json `name`, or the relative path when it has none. */
+  name: string;
+  dir: string;
+  /** Path relative to the workspace root. */
+  rel: string;
+  /** String entries of the nuxt.config `extends`. */
+  extends: string[];
+  /** Another package extends this one. */
+  layer: boolean;
+}
+
+export type WorkspacePackageResult =
+  | ({package: WorkspacePackage} & ScaffoldResult)
+  | {package: WorkspacePackage; error: {code: ExitCodeName; exitCode: number; message: string}};
+
+export interface WorkspaceResult {
+  version: string;
+  root: string;
+  /** Where the workspace globs came from. */
+  workspaceFile: 'pnpm-workspace.yaml' | 'package.json';
+  results: WorkspacePackageResult[];
+}
+
+export interface CacheEntry {
+  url: string;
+  dir: string;
+  refs: Record<string, {commit: string; fetchedAt: string}>;
+  checkouts: {commit: string; path: string; sparse?: string}[];
+}
+
+/** Copies template files that don't exist in the target yet. */
+export declare function scaffold(options?: ScaffoldOptions): Promise<ScaffoldResult>;
+
+/** What `scaffold()` would do, without touching the target. */
+export declare function classify(options?: ScaffoldOptions): Promise<ScaffoldResult>;
+
+/** Runs `scaffold()` for every Nuxt app and layer of the workspace at `target`. */
+export declare function scaffoldWorkspaces(options?: WorkspaceOptions): Promise<WorkspaceResult>;
+
+/** Moves a Nuxt 3 root-level source tree into `app/`. */
+export declare function migrate(options?: BaseOptions): Promise<MigrateResult>;
+
+/** Deletes unmodified files recorded in the scaffold manifest. */
+export declare function revert(options?: BaseOptions): Promise<RevertResult>;
+
+/** Creates a single page, component, composable, API route, middleware or plugin. */
+export declare function generate(options: GenerateOptions): Promise<GenerateResult>;
+
+/** Audits the target's Nuxt 4 directory layout; never writes. */
+/** `env` is read as by `scaffold()`; detection and template file actions come from `classify()`. */
+export declare function doctor(options?: {target?: string; env?: Record<string, string | undefined>}): Promise<DoctorResult>;
+
+export declare const DOCTOR_CHECKS: DoctorCheck[];
+
+/** Drift of a scaffold result from its template, as `result.check.failures` reports it. */
+export declare function checkFailures(result: ScaffoldResult): CheckFailure[];
+
+/** Renders a scaffold or workspace result as JUnit XML, SARIF 2.1.0 or Markdown. */
+export declare function formatReport(format: ReportFormat, result: ScaffoldResult | WorkspaceResult): string;
+
+export declare const REPORT_FORMATS: ReportFormat[];
+
+/** Every preset and the files it adds. */
+export declare function listPresets(): Promise<{presets: PresetInfo[]}>;
+
+export declare const PRESETS: Readonly<Record<PresetName, {description: string; overlay: boolean}>>;
+
+/** `$XDG_CACHE_HOME/scaffold-nuxt-4/templates` (or the platform equivalent). */
+export declare function defaultCacheDir(env?: Record<string, string | undefined>): string;
+
+/** Cached Git templates. */
+export declare function listCache(options?: {cacheDir?: string}): Promise<{dir: string; entries: CacheEntry[]}>;
+
+/** Deletes the whole template cache, or one repository's entries. */
+export declare function clearCache(options?: {cacheDir?: string; url?: string}): Promise<{dir: string; removed: string[]}>;
@@ -0,0 +1,23 @@
+/**
+ * @module @thaikolja/scaffold-nuxt-4
+ * @description Programmatic API. Every function resolves to the object the CLI prints with
+ *   --json and rejects with a ScaffoldError whose `exitCode` is what the CLI would exit with.
+ *
+ * @example
+ *   import {scaffold, classify} from '@thaikolja/scaffold-nuxt-4';
+ *   const preview = await classify({target: './my-app', features: {pinia: true}});
+ *   const result = await scaffold({target: './my-app', clean: true});
+ */
+
+export {scaffold, classify} from './lib/scaffold.mjs';
+export {scaffoldWorkspaces} from './lib/workspaces.mjs';
+export {migrate} from './lib/migrate.mjs';
+export {revert} from './lib/revert.mjs';
+export {generate, GENERATE_KINDS} from './lib/generate.mjs';
+export {doctor, DOCTOR_CHECKS} from './lib/doctor.mjs';
+export {checkFailures, formatReport, REPORT_FORMATS} from './lib/check.mjs';
+export {listPresets, PRESETS} from './lib/presets.mjs';
+export {listCache, clearCache, defaultCacheDir} from './lib/cache.mjs';
+export {ScaffoldError, UsageError, TemplateEmptyError} from './lib/errors.mjs';
+export {VERSION, EXIT} from './lib/constants.mjs';
+export {BUILTIN_FEATURES} from './lib/features.mjs';
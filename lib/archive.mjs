@@ -0,0 +1,198 @@
+/**
+ * @module @thaikolja/scaffold-nuxt-4/lib/archive
+ * @description Template archives (`.tar.gz`, `.tgz`, `.tar`, `.zip`) read and extracted with
+ *   Node built-ins only. Every entry path is checked before anything is written: absolute
+ *   paths, drive letters and `..` segments reject the whole archive. Symlinks, hard links and
+ *   devices are skipped, so nothing can point outside the destination either.
+ */
+
+import fs           from 'node:fs';
+import path         from 'node:path';
+import zlib         from 'node:zlib';
+import {UsageError} from './errors.mjs';
+
+export const ARCHIVE_EXTENSIONS = ['.tar.gz', '.tgz', '.tar', '.zip'];
+
+export const isArchive = file => ARCHIVE_EXTENSIONS.some(ext => file.toLowerCase().endsWith(ext));
+
+const ZIP_EOCD = 0x06054b50;
+const ZIP_CENTRAL = 0x02014b50;
+const ZIP_LOCAL = 0x04034b50;
+const S_IFMT = 0o170000;
+const S_IFLNK = 0o120000;
+
+/**
+ * Entry name as a relative posix path (`''` for the archive root).
+ * @throws {UsageError} The entry would be written outside the destination
+ */
+export function safeEntryPath(name) {
+  const posix = name.replace(/\\/g, '/');
+  const parts = posix.split('/').filter(p => p && p !== '.');
+  if (posix.startsWith('/') || /^[A-Za-z]:/.test(posix) || parts.includes('..') || posix.includes('\0')) {
+    throw new UsageError(`Unsafe path in archive: ${name}`);
+  }
+  return parts.join('/');
+}
+
+// `<length> <key>=<value>\n` records of a pax extended header
+function paxRecords(data) {
+  const records = {};
+  let i = 0;
+  while (i < data.length) {
+    const space = data.indexOf(0x20, i);
+    const length = parseInt(data.subarray(i, space).toString('utf8'), 10);
+    if (space === -1 || !length) break;
+    const record = data.subarray(space + 1, i + length - 1).toString('utf8');
+    const eq = record.indexOf('=');
+    if (eq !== -1) records[record.slice(0, eq)] = record.slice(eq + 1);
+    i += length;
+  }
+  return records;
+}
+
+// ustar, pax and GNU long-name entries of an uncompressed tar
+function tarEntries(buf) {
+  const entries = [];
+  let offset = 0;
+  let longName = null;
+  let pax = {};
+  while (offset + 512 <= buf.length) {
+    const header = buf.subarray(offset, offset + 512);
+    if (header.every(b => b === 0)) break;
+    const field = (start, length) => header.subarray(start, start + length).toString('utf8').replace(/\0[\s\S]*$/, '');
+    // The checksum field counts as eight spaces
+    const checksum = header.reduce((sum, b, i) => sum + (i >= 148 && i < 156 ? 0x20 : b), 0);
+    if (checksum !== parseInt(field(148, 8).trim(), 8)) {
+      throw new UsageError(`Not a valid tar archive (bad header at byte ${offset}).`);
+    }
+    const size = parseInt(field(124, 12).trim() || '0', 8);
+    const type = header[156] === 0 ? '0' : String.fromCharCode(header[156]);
+    let name = field(0, 100);
+    if (field(257, 6).startsWith('ustar') && field(345, 155)) name = `${field(345, 155)}/${name}`;
+    const data = buf.subarray(offset + 512, offset + 512 + size);
+    offset += 512 + Math.ceil(size / 512) * 512;
+    if (type === 'L') {
+      longName = data.toString('utf8').replace(/\0[\s\S]*$/, '');
+    } else if (type === 'x') {
+      pax = paxRecords(data);
+    } else if (type !== 'g') {
+      entries.push({name: pax.path || longName || name, kind: type === '0' || type === '7' ? 'file' : type === '5' ? 'dir' : 'other', data});
+      longName = null;
+      pax = {};
+    }
+  }
+  return entries;
+}
+
+// Stored and deflated entries of a zip; Zip64 and encryption are not supported
+function zipEntries(buf) {
+  let eocd = -1;
+  for (let i = buf.length - 22; i >= Math.max(0, buf.length - 22 - 0xffff); i--) {
+    if (buf.readUInt32LE(i) === ZIP_EOCD) {
+      eocd = i;
+      break;
+    }
+  }
+  if (eocd === -1) throw new UsageError('Not a valid zip archive (no end of central directory).');
+  const count = buf.readUInt16LE(eocd + 10);
+  let p = buf.readUInt32LE(eocd + 16);
+  if (count === 0xffff || p === 0xffffffff) throw new UsageError('Zip64 archives are not supported.');
+  const entries = [];
+  for (let n = 0; n < count; n++) {
+    if (buf.readUInt32LE(p) !== ZIP_CENTRAL) throw new UsageError('Corrupt zip archive (bad central directory).');
+    const flags = buf.readUInt16LE(p + 8);
+    const method = buf.readUInt16LE(p + 10);
+    const compressedSize = buf.readUInt32LE(p + 20);
+    const size = buf.readUInt32LE(p + 24);
+    const nameLength = buf.readUInt16LE(p + 28);
+    const mode = buf.readUInt32LE(p + 38) >>> 16;
+    const local = buf.readUInt32LE(p + 42);
+    const name = buf.toString('utf8', p + 46, p + 46 + nameLength);
+    p += 46 + nameLength + buf.readUInt16LE(p + 30) + buf.readUInt16LE(p + 32);
+
+    if (name.endsWith('/')) {
+      entries.push({name, kind: 'dir'});
+      continue;
+    }
+    if ((mode & S_IFMT) === S_IFLNK) {
+      entries.push({name, kind: 'other'});
+      continue;
+    }
+    if (flags & 1) throw new UsageError(`Encrypted zip entries are not supported: ${name}`);
+    if (buf.readUInt32LE(local) !== ZIP_LOCAL) throw new UsageError(`Corrupt zip archive (bad local header for ${name}).`);
+    const start = local + 30 + buf.readUInt16LE(local + 26) + buf.readUInt16LE(local + 28);
+    const raw = buf.subarray(start, start + compressedSize);
+    let data;
+    if (method === 0) data = raw;
+    else if (method === 8) data = inflateEntry(raw, size, name);
+    else throw new UsageError(`Unsupported zip compression method ${method}: ${name}`);
+    if (data.length !== size) throw new UsageError(`Corrupt zip archive (size mismatch for ${name}).`);
+    entries.push({name, kind: 'file', data});
+  }
+  return entries;
+}
+
+// Inflates at most the declared size (plus one byte to notice more), so a zip bomb fails early
+function inflateEntry(raw, size, name) {
+  try {
+    return zlib.inflateRawSync(raw, {maxOutputLength: size + 1});
+  } catch (e) {
+    if (e.code === 'ERR_BUFFER_TOO_LARGE') throw new UsageError(`Corrupt zip archive (size mismatch for ${name}).`);
+    throw new UsageError(`Corrupt zip archive (cannot inflate ${name}: ${e.message}).`);
+  }
+}
+
+/**
+ * Extracts `file` into the existing directory `dest`. A single top-level directory shared by
+ * every entry (`package/` in npm tarballs, `<repo>-<ref>/` in Git host archives) is dropped.
+ * @returns {{files: number, skipped: string[]}} `skipped` lists links and special files
+ * @throws {UsageError} Unreadable, corrupt or unsafe archives; nothing is written for unsafe ones
+ */
+export function extractArchive(file, dest) {
+  let buf;
+  try {
+    buf = fs.readFileSync(file);
+  } catch (e) {
+    throw new UsageError(`Cannot read template archive ${file}: ${e.message}`);
+  }
+  let entries;
+  if (file.toLowerCase().endsWith('.zip')) {
+    entries = zipEntries(buf);
+  } else {
+    // gzip magic; `.tar` files may still be compressed and vice versa
+    if (buf[0] === 0x1f && buf[1] === 0x8b) {
+      try {
+        buf = zlib.gunzipSync(buf);
+      } catch (e) {
+        throw new UsageError(`Cannot decompress ${file}: ${e.message}`);
+      }
+    }
+    entries = tarEntries(buf);
+  }
+
+  entries = entries.map(e => ({...e, rel: safeEntryPath(e.name)})).filter(e => e.rel);
+  const tops = new Set(entries.map(e => e.rel.split('/')[0]));
+  const strip = tops.size === 1 && entries.every(e => e.kind !== 'file' || e.rel.includes('/'));
+
+  const root = path.resolve(dest);
+  const skipped = [];
+  let files = 0;
+  for (const entry of entries) {
+    const rel = strip ? entry.rel.split('/').slice(1).join('/') : entry.rel;
+    if (!rel) continue;
+    if (entry.kind === 'other') {
+      skipped.push(rel);
+      continue;
+    }
+    const target = path.resolve(root, rel);
+    if (!target.startsWith(root + path.sep)) throw new UsageError(`Unsafe path in archive: ${entry.name}`);
+    if (entry.kind === 'dir') {
+      fs.mkdirSync(target, {recursive: true});
+      continue;
+    }
+    fs.mkdirSync(path.dirname(target), {recursive: true});
+    fs.writeFileSync(target, entry.data);
+    files++;
+  }
+  return {files, skipped};
+}
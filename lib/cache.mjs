@@ -0,0 +1,146 @@
+/**
+ * @module @thaikolja/scaffold-nuxt-4/lib/cache
+ * @description Persistent cache of Git template checkouts under the XDG cache dir, keyed by
+ *   repository URL and resolved commit. Layout:
+ *     <root>/<sha256(url)[0..16]>/entry.json   {url, refs: {<ref>: {commit, fetchedAt}}}
+ *     <root>/<sha256(url)[0..16]>/<commit>/    checkout without .git (full clone)
+ *     <root>/<sha256(url)[0..16]>/<commit>@<templateDir>/   sparse checkout of one subdir
+ */
+
+import fs                        from 'node:fs';
+import path                      from 'node:path';
+import os                        from 'node:os';
+import process                   from 'node:process';
+import {expandTilde, hashBuffer} from './fs-utils.mjs';
+import {UsageError}              from './errors.mjs';
+
+const ENTRY_NAME = 'entry.json';
+
+/**
+ * Default cache root: `$XDG_CACHE_HOME/scaffold-nuxt-4/templates`, falling back to
+ * `%LOCALAPPDATA%` on Windows and `~/.cache` elsewhere.
+ */
+export function defaultCacheDir(env = process.env) {
+  const base = env.XDG_CACHE_HOME
+      || (process.platform === 'win32' && env.LOCALAPPDATA)
+      || path.join(os.homedir(), '.cache');
+  return path.join(base, 'scaffold-nuxt-4', 'templates');
+}
+
+const resolveRoot = cacheDir => cacheDir ? path.resolve(expandTilde(cacheDir)) : defaultCacheDir();
+const urlKey = url => hashBuffer(Buffer.from(url)).slice(0, 16);
+// Directory names can't hold `/`; nested template dirs are flattened
+const checkoutName = (commit, sparseDir) => sparseDir ? `${commit}@${sparseDir.replace(/[\\/]+/g, '_')}` : commit;
+
+function readEntry(dir) {
+  try {
+    const entry = JSON.parse(fs.readFileSync(path.join(dir, ENTRY_NAME), 'utf8'));
+    return entry && typeof entry.url === 'string' ? {refs: {}, ...entry} : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Cached checkout for `url` at `commit` usable for `templateDir`: a full checkout, or a sparse
+ * one of exactly that subdir. Returns its path or null.
+ */
+export function findCheckout(cacheDir, url, commit, templateDir) {
+  const dir = path.join(resolveRoot(cacheDir), urlKey(url));
+  for (const name of [checkoutName(commit), checkoutName(commit, templateDir)]) {
+    const candidate = path.join(dir, name);
+    if (fs.existsSync(candidate)) return candidate;
+  }
+  return null;
+}
+
+// Commit last fetched for `ref`, or a cached commit starting with `ref` when it looks like a SHA
+export function cachedCommit(cacheDir, url, ref) {
+  const dir = path.join(resolveRoot(cacheDir), urlKey(url));
+  const entry = readEntry(dir);
+  if (entry?.refs[ref]) return entry.refs[ref].commit;
+  if (!/^[0-9a-f]{7,40}$/i.test(ref)) return null;
+  let names = [];
+  try {
+    names = fs.readdirSync(dir);
+  } catch {
+  }
+  const hit = names.find(name => name.startsWith(ref.toLowerCase()));
+  return hit ? hit.split('@')[0] : null;
+}
+
+/**
+ * Copies a fresh clone (minus `.git`) into the cache and records `ref -> commit`.
+ * `sparseDir` marks a sparse clone that only holds that subdir. Returns the cached path.
+ * Concurrent runs race harmlessly: the checkout is staged and renamed into place.
+ */
+export function storeCheckout(cacheDir, url, ref, commit, cloneDir, sparseDir = null) {
+  const dir = path.join(resolveRoot(cacheDir), urlKey(url));
+  const dest = path.join(dir, checkoutName(commit, sparseDir));
+  fs.mkdirSync(dir, {recursive: true});
+  if (!fs.existsSync(dest)) {
+    const staging = `${dest}.tmp-${process.pid}`;
+    fs.rmSync(staging, {recursive: true, force: true});
+    fs.cpSync(cloneDir, staging, {recursive: true, filter: src => path.basename(src) !== '.git'});
+    try {
+      fs.renameSync(staging, dest);
+    } catch (e) {
+      fs.rmSync(staging, {recursive: true, force: true});
+      if (!fs.existsSync(dest)) throw e;
+    }
+  }
+  recordRef(cacheDir, url, ref, commit);
+  return dest;
+}
+
+// Remembers that `ref` resolved to `commit`, so --offline can find it later
+export function recordRef(cacheDir, url, ref, commit) {
+  const dir = path.join(resolveRoot(cacheDir), urlKey(url));
+  const entry = readEntry(dir) || {url, refs: {}};
+  entry.refs[ref] = {commit, fetchedAt: new Date().toISOString()};
+  fs.writeFileSync(path.join(dir, ENTRY_NAME), JSON.stringify(entry, null, 2) + '\n');
+}
+
+/**
+ * Cached repositories with their refs and checkouts.
+ * @param {{cacheDir?: string}} [options]
+ */
+export async function listCache({cacheDir} = {}) {
+  const root = resolveRoot(cacheDir);
+  let keys = [];
+  try {
+    keys = fs.readdirSync(root);
+  } catch {
+  }
+  const entries = [];
+  for (const key of keys.sort()) {
+    const dir = path.join(root, key);
+    const entry = readEntry(dir);
+    if (!entry) continue;
+    const checkouts = fs.readdirSync(dir, {withFileTypes: true})
+        .filter(e => e.isDirectory() && !e.name.includes('.tmp-'))
+        .map(e => {
+          const [commit, sparse] = e.name.split('@');
+          return {commit, path: path.join(dir, e.name), ...(sparse && {sparse})};
+        });
+    entries.push({url: entry.url, dir, refs: entry.refs, checkouts});
+  }
+  return {dir: root, entries};
+}
+
+/**
+ * Deletes the whole cache, or only the repository `url` when given.
+ * @param {{cacheDir?: string, url?: string}} [options]
+ * @returns {Promise<{dir: string, removed: string[]}>} URLs whose cache was removed
+ */
+export async function clearCache({cacheDir, url} = {}) {
+  const {dir, entries} = await listCache({cacheDir});
+  const targets = url ? entries.filter(e => e.url === url) : entries;
+  if (url && !targets.length) throw new UsageError(`No cached template for ${url}.`);
+  for (const e of targets) fs.rmSync(e.dir, {recursive: true, force: true});
+  try {
+    if (!fs.readdirSync(dir).length) fs.rmdirSync(dir);
+  } catch {
+  }
+  return {dir, removed: targets.map(e => e.url)};
+}
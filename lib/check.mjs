@@ -0,0 +1,167 @@
+/**
+ * @module @thaikolja/scaffold-nuxt-4/lib/check
+ * @description CI enforcement (--check): which files of a scaffold result drift from the
+ *   template, and the same findings as JUnit XML, SARIF 2.1.0 or Markdown (--report).
+ */
+
+import path         from 'node:path';
+import {VERSION}    from './constants.mjs';
+import {UsageError} from './errors.mjs';
+
+export const REPORT_FORMATS = ['junit', 'sarif', 'markdown'];
+
+// Failure kind -> SARIF rule, its description and the sentence used in reports
+const FAILURES = Object.freeze({
+  missing:  {rule: 'missing-file', summary: 'Template file missing', text: 'is missing'},
+  differs:  {rule: 'differs-from-template', summary: 'File differs from the template', text: 'differs from the template'},
+  outdated: {rule: 'outdated-file', summary: 'Newer template version available', text: 'has a newer template version'},
+  conflict: {rule: 'conflicting-change', summary: 'Changed locally and in the template', text: 'was changed locally and in the template'}
+});
+
+const HOMEPAGE = 'https://gitlab.com/thaikolja/scaffold-nuxt-4';
+
+/**
+ * Files that drift from the template: every `add`, plus what a comparison found — differing
+ * skipped files (`diff`), files an `onConflict` strategy would replace, and `update`
+ * candidates and conflicts. Files kept because only the user changed them don't count.
+ * @returns {{rel: string, kind: 'missing' | 'differs' | 'outdated' | 'conflict', diff?: string, binary?: boolean}[]}
+ */
+export function checkFailures(result) {
+  const failures = [];
+  for (const a of result.actions) {
+    if (a.action === 'add') {
+      failures.push({rel: a.rel, kind: 'missing'});
+    } else if ((a.action === 'skip-exists' && a.reason === 'differs') || ['overwrite', 'backup', 'side-by-side'].includes(a.action)) {
+      failures.push({rel: a.rel, kind: 'differs', ...(a.diff && {diff: a.diff}), ...(a.binary && {binary: true})});
+    } else if (a.action === 'update') {
+      failures.push({rel: a.rel, kind: 'outdated'});
+    } else if (a.action === 'conflict') {
+      failures.push({rel: a.rel, kind: 'conflict'});
+    }
+  }
+  return failures;
+}
+
+const failureMessage = f => `${f.rel} ${FAILURES[f.kind].text}${f.binary ? ' (binary)' : ''}`;
+
+// One entry per checked project: the result itself or each package of a workspace run
+function runsOf(result) {
+  if (!result.results) return [{name: path.basename(result.target), base: result.target, result}];
+  return result.results.map(r => ({name: r.package.name, base: result.root, result: r.error ? null : r, error: r.error, dir: r.package.dir}));
+}
+
+// Path of `rel` relative to the run's base, as reported to CI
+const uriOf = (run, rel) => path.relative(run.base, path.join(run.result?.target ?? run.dir, rel)).split(path.sep).join('/');
+
+const xml = s => String(s).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+function junitReport(result) {
+  const suites = [];
+  let tests = 0;
+  let failed = 0;
+  let errored = 0;
+  for (const run of runsOf(result)) {
+    const cases = [];
+    if (run.error) {
+      cases.push(`    <testcase classname="scaffold" name="${xml(run.name)}">\n      <error message="${xml(run.error.message)}"/>\n    </testcase>`);
+    } else {
+      const failures = new Map(checkFailures(run.result).map(f => [f.rel, f]));
+      const fileErrors = new Map(run.result.errors.map(e => [e.file, e.error]));
+      const rels = run.result.actions.filter(a => !a.action.startsWith('exclude-')).map(a => a.rel);
+      for (const rel of [...new Set([...rels, ...fileErrors.keys()])].sort()) {
+        const uri = uriOf(run, rel);
+        const f = failures.get(rel);
+        let body = '';
+        if (fileErrors.has(rel)) {
+          body = `\n      <error message="${xml(fileErrors.get(rel))}"/>\n    `;
+        } else if (f) {
+          body = `\n      <failure type="${f.kind}" message="${xml(failureMessage({...f, rel: uri}))}"${f.diff ? `>${xml(f.diff)}</failure>` : '/>'}\n    `;
+        }
+        cases.push(`    <testcase classname="scaffold" name="${xml(uri)}">${body}</testcase>`);
+      }
+    }
+    const count = re => cases.filter(c => re.test(c)).length;
+    const suite = {tests: cases.length, failures: count(/<failure /), errors: count(/<error /)};
+    tests += suite.tests;
+    failed += suite.failures;
+    errored += suite.errors;
+    suites.push(`  <testsuite name="${xml(run.name)}" tests="${suite.tests}" failures="${suite.failures}" errors="${suite.errors}">\n${cases.join('\n')}\n  </testsuite>`);
+  }
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<testsuites name="scaffold-nuxt-4" tests="${tests}" failures="${failed}" errors="${errored}">
+${suites.join('\n')}
+</testsuites>
+`;
+}
+
+function sarifReport(result) {
+  const results = [];
+  for (const run of runsOf(result)) {
+    if (!run.result) continue;
+    for (const f of checkFailures(run.result)) {
+      const uri = uriOf(run, f.rel);
+      results.push({
+        ruleId:    FAILURES[f.kind].rule,
+        level:     f.kind === 'missing' ? 'error' : 'warning',
+        message:   {text: failureMessage({...f, rel: uri})},
+        locations: [{physicalLocation: {artifactLocation: {uri}}}]
+      });
+    }
+  }
+  const sarif = {
+    $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+    version: '2.1.0',
+    runs:    [{
+      tool: {
+        driver: {
+          name:           'scaffold-nuxt-4',
+          version:        VERSION,
+          informationUri: HOMEPAGE,
+          rules:          Object.values(FAILURES).map(({rule, summary}) => ({id: rule, shortDescription: {text: summary}}))
+        }
+      },
+      results
+    }]
+  };
+  return `${JSON.stringify(sarif, null, 2)}\n`;
+}
+
+function markdownReport(result) {
+  const runs = runsOf(result);
+  const all = runs.flatMap(run => run.result ? checkFailures(run.result).map(f => ({...f, uri: uriOf(run, f.rel)})) : []);
+  const broken = runs.filter(run => run.error);
+  const fileErrors = runs.flatMap(run => run.result ? run.result.errors.map(e => ({...e, uri: uriOf(run, e.file)})) : []);
+  const lines = [];
+  const problems = all.length + broken.length + fileErrors.length;
+  lines.push(`### Scaffold check: ${problems ? `${problems} problem${problems === 1 ? '' : 's'}` : 'passed'}`, '');
+  const first = runs.find(run => run.result)?.result;
+  if (first) lines.push(`Template: \`${first.source}\` @ \`${first.ref}\`${first.commit ? ` (${first.commit.slice(0, 12)})` : ''}`, '');
+  if (!problems) {
+    lines.push('Every template file is present and in sync.');
+    return `${lines.join('\n')}\n`;
+  }
+  if (all.length || fileErrors.length) {
+    lines.push('| File | Status |', '| :--- | :--- |');
+    for (const f of all) lines.push(`| \`${f.uri}\` | ${f.kind}${f.binary ? ' (binary)' : ''} |`);
+    for (const e of fileErrors) lines.push(`| \`${e.uri}\` | error: ${e.error.replace(/\|/g, '\\|')} |`);
+    lines.push('');
+  }
+  for (const run of broken) lines.push(`- **${run.name}** could not be checked: ${run.error.message}`);
+  if (broken.length) lines.push('');
+  for (const f of all.filter(x => x.diff)) {
+    lines.push('<details>', `<summary><code>${f.uri}</code></summary>`, '', '```diff', f.diff.trimEnd(), '```', '', '</details>', '');
+  }
+  return `${lines.join('\n').trimEnd()}\n`;
+}
+
+/**
+ * Renders a scaffold (or workspace) result as a CI report. Paths are relative to the target,
+ * or to the workspace root for workspace runs.
+ * @param {'junit' | 'sarif' | 'markdown'} format
+ */
+export function formatReport(format, result) {
+  if (format === 'junit') return junitReport(result);
+  if (format === 'sarif') return sarifReport(result);
+  if (format === 'markdown') return markdownReport(result);
+  throw new UsageError(`--report must be one of ${REPORT_FORMATS.join(', ')} (got "${format}").`);
+}
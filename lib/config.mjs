@@ -0,0 +1,194 @@
+/**
+ * @module @thaikolja/scaffold-nuxt-4/lib/config
+ * @description Persistent scaffold settings from the target project, merged in a fixed order:
+ *   defaults < config file < environment < options (CLI flags). Each resolved setting remembers
+ *   the layer it came from so --debug can explain it.
+ */
+
+import fs              from 'node:fs';
+import path            from 'node:path';
+import {pathToFileURL} from 'node:url';
+import {expandTilde}   from './fs-utils.mjs';
+import {UsageError}    from './errors.mjs';
+import {isRemote}      from './template-source.mjs';
+import {
+  DEFAULT_PRESET,
+  PRESET_SCHEME,
+  PRESETS,
+  checkPreset
+}                      from './presets.mjs';
+import {
+  DEFAULT_REPO_URL,
+  DEFAULT_REPO_REF,
+  DEFAULT_TEMPLATE_DIR
+}                      from './constants.mjs';
+
+// Looked up in this order; the first one found is the only one used
+export const CONFIG_FILE_NAMES = ['scaffold.config.mjs', 'scaffold.config.json', '.scaffoldrc'];
+export const PACKAGE_CONFIG_KEY = 'scaffold';
+// `templates` entry standing for the templates embedded in the package
+export const EMBEDDED_LAYER = 'embedded';
+
+export const DEFAULT_SETTINGS = Object.freeze({
+  templateUrl: DEFAULT_REPO_URL,
+  templates:   [],
+  templateRef: DEFAULT_REPO_REF,
+  templateDir: DEFAULT_TEMPLATE_DIR,
+  preset:      DEFAULT_PRESET,
+  fast:        false,
+  features:    {},
+  vars:        {},
+  clean:       false,
+  includeDocs: false,
+  only:        [],
+  exclude:     [],
+  onConflict:  'skip',
+  conflicts:   {}
+});
+
+// Setting -> environment variable that may set it
+export const ENV_SETTINGS = Object.freeze({
+  templateUrl: 'SCAFFOLD_REPO_URL',
+  templateRef: 'SCAFFOLD_REPO_REF',
+  fast:        'SCAFFOLD_FAST'
+});
+
+const isPlainObject = v => v !== null && typeof v === 'object' && !Array.isArray(v);
+
+// A `templates` entry: a URL/path (or `embedded`) or {url, ref?, dir?}
+const isLayerSpec = v => typeof v === 'string'
+    || (isPlainObject(v) && typeof v.url === 'string' && ['ref', 'dir'].every(k => v[k] === undefined || typeof v[k] === 'string'));
+
+// Checks a config file value against the type of its default; globs may be a single string
+function checkSetting(key, value, file) {
+  const fallback = DEFAULT_SETTINGS[key];
+  if (key === 'templates') {
+    if (Array.isArray(value) && value.every(isLayerSpec)) return value;
+    throw new UsageError(`Invalid "templates" in ${file}: expected a list of URLs, paths or {url, ref, dir} objects.`);
+  }
+  if (Array.isArray(fallback)) {
+    const list = [].concat(value);
+    if (list.every(v => typeof v === 'string')) return list;
+  } else if (isPlainObject(fallback)) {
+    const types = key === 'features' ? ['boolean'] : ['string'];
+    if (isPlainObject(value) && Object.values(value).every(v => types.includes(typeof v))) return value;
+  } else if (typeof value === typeof fallback) {
+    return value;
+  }
+  throw new UsageError(`Invalid "${key}" in ${file}: expected ${Array.isArray(fallback) ? 'a glob or a list of globs' : isPlainObject(fallback) ? 'an object' : `a ${typeof fallback}`}.`);
+}
+
+/**
+ * Reads the first config source found in the target: `scaffold.config.mjs` (default export),
+ * `scaffold.config.json`, `.scaffoldrc` (JSON) or the `"scaffold"` key of package.json.
+ * A relative local `templateUrl` is resolved against the target.
+ * @returns {Promise<{file: string | null, settings: object}>}
+ */
+export async function loadConfig(targetRoot, pkg = {}) {
+  let file = null;
+  let raw;
+  for (const name of CONFIG_FILE_NAMES) {
+    const configPath = path.join(targetRoot, name);
+    if (!fs.existsSync(configPath)) continue;
+    file = name;
+    try {
+      raw = name.endsWith('.mjs')
+          ? (await import(pathToFileURL(configPath).href)).default
+          : JSON.parse(fs.readFileSync(configPath, 'utf8'));
+    } catch (e) {
+      throw new UsageError(`Failed to load ${name}: ${e.message}`);
+    }
+    break;
+  }
+  if (!file && pkg[PACKAGE_CONFIG_KEY] !== undefined) {
+    file = `package.json#${PACKAGE_CONFIG_KEY}`;
+    raw = pkg[PACKAGE_CONFIG_KEY];
+  }
+  if (!file) return {file: null, settings: {}};
+  if (!isPlainObject(raw)) throw new UsageError(`${file} must contain an object of settings.`);
+
+  const settings = {};
+  for (const [key, value] of Object.entries(raw)) {
+    if (!(key in DEFAULT_SETTINGS)) {
+      throw new UsageError(`Unknown setting "${key}" in ${file}. Known: ${Object.keys(DEFAULT_SETTINGS).join(', ')}.`);
+    }
+    if (value !== undefined && value !== null) settings[key] = checkSetting(key, value, file);
+  }
+  if (settings.templateUrl && settings.templates) {
+    throw new UsageError(`${file} sets both "templateUrl" and "templates"; use one of them.`);
+  }
+  const resolveLocal = url => url === EMBEDDED_LAYER || isRemote(url) ? url : path.resolve(targetRoot, expandTilde(url));
+  if (settings.templateUrl) settings.templateUrl = resolveLocal(settings.templateUrl);
+  if (settings.templates) {
+    settings.templates = settings.templates.map(t => typeof t === 'string' ? resolveLocal(t) : {...t, url: resolveLocal(t.url)});
+  }
+  return {file, settings};
+}
+
+// Settings merged per key rather than replaced as a whole
+const PER_KEY = new Set(['features', 'vars']);
+
+/**
+ * Merges defaults < config < env < options. Options left undefined (and empty glob lists) don't
+ * count as set. `features` merges per feature, `vars` per variable.
+ * @returns {{settings: object, sources: Record<string, string>}} `sources` maps each setting
+ *   (`features.<name>` and `vars.<name>` for those) to `default`, the config file, `env <NAME>` or `cli`.
+ */
+export function resolveSettings(config, env = {}, options = {}) {
+  const settings = {...DEFAULT_SETTINGS, features: {}, vars: {}};
+  const sources = Object.fromEntries(Object.keys(DEFAULT_SETTINGS).filter(k => !PER_KEY.has(k)).map(k => [k, 'default']));
+  const apply = (values, source) => {
+    for (const [key, value] of Object.entries(values)) {
+      if (!(key in DEFAULT_SETTINGS) || value === undefined || value === null) continue;
+      if (PER_KEY.has(key)) {
+        for (const [name, v] of Object.entries(value)) {
+          settings[key][name] = v;
+          sources[`${key}.${name}`] = source;
+        }
+        continue;
+      }
+      if (Array.isArray(DEFAULT_SETTINGS[key]) && ![].concat(value).length) continue;
+      settings[key] = Array.isArray(DEFAULT_SETTINGS[key]) ? [].concat(value) : value;
+      sources[key] = source;
+      // templateUrl and templates fill the same slot: setting one resets the other
+      const other = {templateUrl: 'templates', templates: 'templateUrl'}[key];
+      if (other && sources[other] !== source) {
+        settings[other] = DEFAULT_SETTINGS[other];
+        sources[other] = 'default';
+      }
+    }
+  };
+  apply(config.settings, config.file);
+  for (const [key, name] of Object.entries(ENV_SETTINGS)) {
+    if (!env[name]) continue;
+    apply({[key]: key === 'fast' ? env[name] === '1' : env[name]}, `env ${name}`);
+  }
+  apply(options, 'cli');
+  return {settings, sources};
+}
+
+// The package's own templates, as templateLayers() spells them out
+export const isEmbeddedLayer = l => l.url === DEFAULT_REPO_URL && l.dir === DEFAULT_TEMPLATE_DIR;
+
+/**
+ * Template layers to merge, lowest first: `templates` when set, else the single `templateUrl`.
+ * String entries take `templateRef`/`templateDir`; `embedded` is the package's own templates.
+ * A preset with an overlay adds it right after every embedded layer.
+ * @returns {{url: string, ref: string, dir: string}[]}
+ * @throws {UsageError} Unknown preset, or a preset overlay without an embedded layer to go on
+ */
+export function templateLayers(settings) {
+  const {templateUrl, templates, templateRef: ref, templateDir: dir, preset} = settings;
+  checkPreset(preset);
+  const layers = (templates.length ? templates : [templateUrl]).map(t => {
+    if (t === EMBEDDED_LAYER || t.url === EMBEDDED_LAYER) {
+      return {url: DEFAULT_REPO_URL, ref: DEFAULT_REPO_REF, dir: DEFAULT_TEMPLATE_DIR};
+    }
+    return typeof t === 'string' ? {url: t, ref, dir} : {url: t.url, ref: t.ref ?? ref, dir: t.dir ?? dir};
+  });
+  if (!PRESETS[preset].overlay) return layers;
+  if (!layers.some(isEmbeddedLayer)) {
+    throw new UsageError(`Preset "${preset}" builds on the embedded templates; add "${EMBEDDED_LAYER}" to the template layers.`);
+  }
+  return layers.flatMap(l => isEmbeddedLayer(l) ? [l, {url: `${PRESET_SCHEME}${preset}`, ref: l.ref, dir: l.dir}] : [l]);
+}
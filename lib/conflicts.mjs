@@ -0,0 +1,53 @@
+/**
+ * @module @thaikolja/scaffold-nuxt-4/lib/conflicts
+ * @description What happens to a template file whose path already exists in the target
+ *   (--on-conflict), with per-path overrides from the `conflicts` setting (see config.mjs).
+ */
+
+import path           from 'node:path';
+import {UsageError}   from './errors.mjs';
+import {globToRegExp} from './features.mjs';
+
+// Strategy -> action type reported for files it handled
+export const CONFLICT_ACTIONS = Object.freeze({
+  skip:      'skip-exists',
+  overwrite: 'overwrite',
+  backup:    'backup',
+  new:       'side-by-side'
+});
+
+export const CONFLICT_STRATEGIES = Object.keys(CONFLICT_ACTIONS);
+
+function checkStrategy(strategy, where) {
+  if (!CONFLICT_STRATEGIES.includes(strategy)) {
+    throw new UsageError(`${where} must be one of ${CONFLICT_STRATEGIES.join(', ')} (got "${strategy}").`);
+  }
+  return strategy;
+}
+
+/**
+ * Returns `rel -> strategy`: the first glob in `rules` matching the path, else `fallback`.
+ * @param {string} fallback
+ * @param {Record<string, string>} rules
+ */
+export function conflictStrategies(fallback, rules) {
+  checkStrategy(fallback, '--on-conflict');
+  const compiled = Object.entries(rules).map(([glob, strategy]) =>
+      [globToRegExp(glob), checkStrategy(strategy, `Conflict strategy for "${glob}"`)]);
+  return rel => compiled.find(([re]) => re.test(rel))?.[1] ?? fallback;
+}
+
+// `app/error.vue` -> `app/error.template.vue`; dotfiles and extensionless names get a suffix
+export function sideBySideName(rel) {
+  const dir = path.posix.dirname(rel);
+  const base = path.posix.basename(rel);
+  const dot = base.lastIndexOf('.');
+  const name = dot > 0 ? `${base.slice(0, dot)}.template${base.slice(dot)}` : `${base}.template`;
+  return dir === '.' ? name : `${dir}/${name}`;
+}
+
+// `app/error.vue` -> `app/error.vue.20261019T142501.bak`
+export function backupName(rel, date = new Date()) {
+  const stamp = date.toISOString().replace(/[-:]/g, '').replace(/\.\d+Z$/, '');
+  return `${rel}.${stamp}.bak`;
+}
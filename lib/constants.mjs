@@ -0,0 +1,25 @@
+/**
+ * @module @thaikolja/scaffold-nuxt-4/lib/constants
+ * @description Shared constants: version, default template source and process exit codes.
+ */
+
+export const VERSION = '1.0.0';
+export const MIN_NODE_MAJOR = 18;
+export const DEFAULT_REPO_URL = 'https://gitlab.com/thaikolja/scaffold-nuxt-4.git';
+export const DEFAULT_REPO_REF = 'main';
+export const DEFAULT_TEMPLATE_DIR = 'templates';
+
+// Exit codes used by the CLI; every ScaffoldError carries one of them
+export const EXIT = Object.freeze({
+  OK:             0,
+  USAGE_ERROR:    1,
+  TEMPLATE_EMPTY: 2,
+  FILE_ERRORS:    3,
+  INSTALL_FAILED: 4,
+  // `doctor` found at least one error-level problem
+  PROBLEMS_FOUND: 5,
+  // --check: a template file is missing or, with a comparison, differs
+  CHECK_FAILED:   6
+});
+
+export const LOCK_NAME = '.scaffold-nuxt-4.lock';
@@ -0,0 +1,157 @@
+/**
+ * @module @thaikolja/scaffold-nuxt-4/lib/diff
+ * @description Built-in line diff (the package has no dependencies): Myers edit scripts,
+ *   unified diffs and git-style conflict markers.
+ */
+
+// Edit distance above which diffLines() stops searching; the trace takes O(D²) memory
+export const MAX_DIFF_EDITS = 2000;
+
+/**
+ * Myers O(ND) diff over lines; returns [{type: 'equal' | 'del' | 'add', line}] turning `a` into `b`.
+ * Common leading and trailing lines are matched first. When the rest needs more than `maxEdits`
+ * insertions and deletions, it is reported as deleted and re-added as a whole instead.
+ */
+export function diffLines(a, b, maxEdits = MAX_DIFF_EDITS) {
+  let head = 0;
+  while (head < a.length && head < b.length && a[head] === b[head]) head++;
+  let tail = 0;
+  while (tail < a.length - head && tail < b.length - head && a[a.length - 1 - tail] === b[b.length - 1 - tail]) tail++;
+  const equal = lines => lines.map(line => ({type: 'equal', line}));
+  const midA = a.slice(head, a.length - tail);
+  const midB = b.slice(head, b.length - tail);
+  const middle = myers(midA, midB, maxEdits) ?? [
+    ...midA.map(line => ({type: 'del', line})),
+    ...midB.map(line => ({type: 'add', line}))
+  ];
+  return [...equal(a.slice(0, head)), ...middle, ...equal(a.slice(a.length - tail))];
+}
+
+// Edit script, or null when it needs more than `maxEdits` steps
+function myers(a, b, maxEdits) {
+  const n = a.length;
+  const m = b.length;
+  const offset = n + m + 1;
+  const v = new Int32Array(2 * offset + 1);
+  // trace[d] holds the diagonals -d..d of `v` before step d, at index k + d
+  const trace = [];
+  const goDown = (at, k, d) => k === -d || (k !== d && at(k - 1) < at(k + 1));
+  const current = k => v[offset + k];
+
+  let done = false;
+  for (let d = 0; d <= n + m && !done; d++) {
+    if (d > maxEdits) return null;
+    trace.push(v.slice(offset - d, offset + d + 1));
+    for (let k = -d; k <= d; k += 2) {
+      let x = goDown(current, k, d) ? v[offset + k + 1] : v[offset + k - 1] + 1;
+      let y = x - k;
+      while (x < n && y < m && a[x] === b[y]) {
+        x++;
+        y++;
+      }
+      v[offset + k] = x;
+      if (x >= n && y >= m) {
+        done = true;
+        break;
+      }
+    }
+  }
+
+  // Walk the trace backwards to recover the edit script
+  const ops = [];
+  let x = n;
+  let y = m;
+  for (let d = trace.length - 1; d >= 0; d--) {
+    const window = trace[d];
+    const at = k => window[k + d];
+    const k = x - y;
+    const prevK = goDown(at, k, d) ? k + 1 : k - 1;
+    const prevX = d > 0 ? at(prevK) : 0;
+    const prevY = prevX - prevK;
+    while (x > prevX && y > prevY) {
+      x--;
+      y--;
+      ops.push({type: 'equal', line: a[x]});
+    }
+    if (d > 0) ops.push(x === prevX ? {type: 'add', line: b[prevY]} : {type: 'del', line: a[prevX]});
+    x = prevX;
+    y = prevY;
+  }
+  return ops.reverse();
+}
+
+export const splitLines = text => {
+  const lines = text.split('\n');
+  if (lines.length > 1 && lines[lines.length - 1] === '') lines.pop();
+  return lines;
+};
+
+// Unified diff (`diff -u` style) between two texts; empty string when they are equal
+export function unifiedDiff(a, b, fromLabel, toLabel, context = 3) {
+  let ai = 1;
+  let bi = 1;
+  const rows = diffLines(splitLines(a), splitLines(b)).map(op => {
+    const row = {...op, a: ai, b: bi};
+    if (op.type !== 'add') ai++;
+    if (op.type !== 'del') bi++;
+    return row;
+  });
+  if (rows.every(r => r.type === 'equal')) return '';
+
+  const hunks = [];
+  for (let i = 0; i < rows.length;) {
+    if (rows[i].type === 'equal') {
+      i++;
+      continue;
+    }
+    const start = Math.max(0, i - context);
+    let end = i;
+    while (end < rows.length) {
+      if (rows[end].type !== 'equal') {
+        end++;
+        continue;
+      }
+      // Merge with the next change when the unchanged gap is small enough
+      let j = end;
+      while (j < rows.length && rows[j].type === 'equal') j++;
+      if (j < rows.length && j - end <= 2 * context) {
+        end = j;
+        continue;
+      }
+      end = Math.min(rows.length, end + context);
+      break;
+    }
+    hunks.push(rows.slice(start, end));
+    i = end;
+  }
+
+  const out = [`--- ${fromLabel}`, `+++ ${toLabel}`];
+  for (const h of hunks) {
+    const aLen = h.filter(r => r.type !== 'add').length;
+    const bLen = h.filter(r => r.type !== 'del').length;
+    const aStart = aLen ? h.find(r => r.type !== 'add').a : h[0].a - 1;
+    const bStart = bLen ? h.find(r => r.type !== 'del').b : h[0].b - 1;
+    out.push(`@@ -${aStart},${aLen} +${bStart},${bLen} @@`);
+    for (const r of h) out.push(`${r.type === 'add' ? '+' : r.type === 'del' ? '-' : ' '}${r.line}`);
+  }
+  return out.join('\n') + '\n';
+}
+
+// Two-way merge with git-style markers around every differing hunk
+export function mergeWithMarkers(local, template) {
+  const ops = diffLines(local.split('\n'), template.split('\n'));
+  const out = [];
+  for (let i = 0; i < ops.length;) {
+    if (ops[i].type === 'equal') {
+      out.push(ops[i++].line);
+      continue;
+    }
+    const ours = [];
+    const theirs = [];
+    for (; i < ops.length && ops[i].type !== 'equal'; i++) {
+      (ops[i].type === 'del' ? ours : theirs).push(ops[i].line);
+    }
+    out.push('<<<<<<< local', ...ours, '=======', ...theirs, '>>>>>>> template');
+  }
+  return out.join('\n');
+}
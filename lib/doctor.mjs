@@ -0,0 +1,139 @@
+/**
+ * @module @thaikolja/scaffold-nuxt-4/lib/doctor
+ * @description Read-only audit of a project's Nuxt 4 layout (`doctor`): leftover Nuxt 3
+ *   sources, root-only directories inside `app/`, stray content files, Tailwind without a
+ *   stylesheet and a missing `compatibilityDate`. Feature detection and what the template has
+ *   to say about the project's files come from the scaffold's own classification (the same
+ *   `classify()` run as --list), so both always agree. Nothing is ever written.
+ */
+
+import fs                      from 'node:fs';
+import path                    from 'node:path';
+import {VERSION}               from './constants.mjs';
+import {loadProject}           from './project.mjs';
+import {walk, toPosix}         from './fs-utils.mjs';
+import {DOC_EXCLUDE, classify} from './scaffold.mjs';
+import {patchNuxtConfig}       from './nuxt-config.mjs';
+import {
+  MIGRATE_ENTRIES,
+  ROOT_ENTRIES,
+  PROJECT_WALK_SKIP
+}                              from './migrate.mjs';
+import {TAILWIND_STYLESHEET}   from './tailwind.mjs';
+
+export const DOCTOR_CHECKS = ['nuxt3-sources', 'root-dir-in-app', 'content-outside', 'tailwind-stylesheet', 'compatibility-date'];
+
+const CONTENT_CONFIG_NAMES = ['content.config.ts', 'content.config.js', 'content.config.mjs'];
+const CONTENT_EXTENSIONS = new Set(['.md', '.mdc']);
+const STYLESHEET_EXTENSIONS = new Set(['.css', '.pcss', '.postcss', '.scss', '.sass', '.less']);
+// `@import "tailwindcss"` (v4) or the v3 `@tailwind` directives
+const TAILWIND_IMPORT_RE = /@import\s+(?:url\(\s*)?['"]tailwindcss['"]|@tailwind\s+(?:base|components|utilities)\b/;
+
+const isDir = p => fs.existsSync(p) && fs.statSync(p).isDirectory();
+
+// Stylesheets below `app/` and a root `assets/` that load Tailwind, as project-relative paths
+function tailwindStylesheets(targetRoot) {
+  const found = [];
+  for (const dir of ['app', 'assets']) {
+    for (const relRaw of walk(path.join(targetRoot, dir), PROJECT_WALK_SKIP)) {
+      if (!STYLESHEET_EXTENSIONS.has(path.extname(relRaw))) continue;
+      try {
+        if (TAILWIND_IMPORT_RE.test(fs.readFileSync(path.join(targetRoot, dir, relRaw), 'utf8'))) {
+          found.push(`${dir}/${toPosix(relRaw)}`);
+        }
+      } catch {
+      }
+    }
+  }
+  return found.sort();
+}
+
+/**
+ * Audits the target's directory layout. Problems are `error`s when Nuxt 4 ignores or
+ * misreads something, `warning`s when the layout merely looks off.
+ * @param {{target?: string, env?: Record<string, string | undefined>}} [options] `env` as for scaffold()
+ * @returns {Promise<import('../index.d.ts').DoctorResult>}
+ * @throws {UsageError} Unusable target or template source, as for classify()
+ */
+export async function doctor({target, env} = {}) {
+  const {targetRoot, deps, nuxtConfigName} = loadProject(target);
+  // What --list would report for this project: detected features and the template files' actions
+  const classification = await classify({target: targetRoot, env});
+  const {detected, tailwind, effective} = classification;
+  const actionOf = rel => classification.actions.find(a => a.rel === rel)?.action;
+  const problems = [];
+  const report = (check, severity, message, paths, fix) => problems.push({check, severity, message, paths, ...(fix && {fix})});
+  const hasApp = isDir(path.join(targetRoot, 'app'));
+
+  // Nuxt 3 sources at the root: ignored next to app/, still used (legacy layout) without it
+  const legacy = [...MIGRATE_ENTRIES].filter(name => fs.existsSync(path.join(targetRoot, name))).sort()
+      .map(name => isDir(path.join(targetRoot, name)) ? `${name}/` : name);
+  if (legacy.length && hasApp) {
+    report('nuxt3-sources', 'error', 'Nuxt 3 root-level sources next to app/ are ignored by Nuxt 4.', legacy, 'Run with --migrate to move them into app/.');
+  } else if (legacy.length) {
+    report('nuxt3-sources', 'warning', 'The project still uses the Nuxt 3 layout without app/.', legacy, 'Run with --migrate to move the sources into app/.');
+  }
+
+  const misplaced = ROOT_ENTRIES.filter(name => isDir(path.join(targetRoot, 'app', name))).map(name => `app/${name}/`);
+  if (misplaced.length) {
+    report('root-dir-in-app', 'error', 'These directories are read from the project root, not from app/.', misplaced, 'Move them next to app/.');
+  }
+
+  // Markdown outside content/ isn't part of any collection; root-level docs and INFO.md are fine
+  const contentConfig = CONTENT_CONFIG_NAMES.find(f => fs.existsSync(path.join(targetRoot, f)));
+  if (contentConfig) {
+    const stray = walk(targetRoot, PROJECT_WALK_SKIP).map(toPosix).filter(rel => {
+      const parts = rel.split('/');
+      return parts.length > 1 && parts[0] !== 'content' && !parts.some(p => p.startsWith('.'))
+          && CONTENT_EXTENSIONS.has(path.posix.extname(rel))
+          && path.posix.basename(rel) !== 'INFO.md' && !DOC_EXCLUDE.has(path.posix.basename(rel));
+    }).sort();
+    if (stray.length) {
+      report('content-outside', 'warning', `${contentConfig} exists, but these content files are outside content/.`, stray, 'Move them into content/.');
+    }
+  }
+
+  const configPath = path.join(targetRoot, nuxtConfigName);
+  const configSrc = fs.readFileSync(configPath, 'utf8');
+
+  // @nuxtjs/tailwindcss injects and registers a default stylesheet itself
+  if (effective.tailwind && !deps['@nuxtjs/tailwindcss']) {
+    const stylesheets = tailwindStylesheets(targetRoot);
+    if (!stylesheets.length) {
+      // The fix depends on whether the scaffold would add the stylesheet or finds one already there
+      const fix = actionOf(TAILWIND_STYLESHEET) === 'add'
+          ? 'Run the scaffold to add it.'
+          : `Load Tailwind in ${TAILWIND_STYLESHEET} or another stylesheet.`;
+      report('tailwind-stylesheet', 'error', 'Tailwind CSS is enabled, but no stylesheet loads it.', [TAILWIND_STYLESHEET], fix);
+    } else {
+      // `~` is app/ in Nuxt 4, `~~` the project root
+      const entries = stylesheets.map(rel => rel.startsWith('app/') ? `~/${rel.slice(4)}` : `~~/${rel}`);
+      const {edits} = patchNuxtConfig(configSrc, [{key: 'css', values: entries}]);
+      const missing = edits.find(e => e.key === 'css')?.values || [];
+      if (missing.length === entries.length) {
+        const fix = stylesheets.includes(TAILWIND_STYLESHEET) ? 'Run with --patch-config to register it.' : `Add it to "css" in ${nuxtConfigName}.`;
+        report('tailwind-stylesheet', 'warning', `No Tailwind stylesheet is listed in the "css" option of ${nuxtConfigName}.`, stylesheets, fix);
+      }
+    }
+  }
+
+  const {edits, skipped} = patchNuxtConfig(configSrc, [{key: 'compatibilityDate', value: 'today'}]);
+  if (skipped.some(s => s.key === '*')) {
+    report('compatibility-date', 'warning', `Couldn't find the config object in ${nuxtConfigName}.`, [nuxtConfigName]);
+  } else if (edits.length) {
+    report('compatibility-date', 'error', `${nuxtConfigName} sets no compatibilityDate.`, [nuxtConfigName], 'Run with --patch-config to add one.');
+  }
+
+  return {
+    version: VERSION,
+    target:  targetRoot,
+    mode:    'doctor',
+    detected,
+    tailwind,
+    problems,
+    counts:  {
+      errors:   problems.filter(p => p.severity === 'error').length,
+      warnings: problems.filter(p => p.severity === 'warning').length
+    }
+  };
+}
@@ -0,0 +1,36 @@
+/**
+ * @module @thaikolja/scaffold-nuxt-4/lib/errors
+ * @description Typed errors thrown by the programmatic API. `code` is the key of the matching
+ *   `EXIT` entry and `exitCode` its value, so the CLI can exit with it directly.
+ */
+
+import {EXIT} from './constants.mjs';
+
+export class ScaffoldError extends Error {
+  /**
+   * @param {string} message
+   * @param {keyof typeof EXIT} [code]
+   */
+  constructor(message, code = 'USAGE_ERROR') {
+    super(message);
+    this.name = 'ScaffoldError';
+    this.code = code;
+    this.exitCode = EXIT[code];
+  }
+}
+
+// Invalid options, unusable target or template source
+export class UsageError extends ScaffoldError {
+  constructor(message) {
+    super(message, 'USAGE_ERROR');
+    this.name = 'UsageError';
+  }
+}
+
+// The template source resolved to a directory without files
+export class TemplateEmptyError extends ScaffoldError {
+  constructor(message = 'Template source has no files.') {
+    super(message, 'TEMPLATE_EMPTY');
+    this.name = 'TemplateEmptyError';
+  }
+}
@@ -0,0 +1,131 @@
+/**
+ * @module @thaikolja/scaffold-nuxt-4/lib/features
+ * @description Declarative feature gating. A feature is switched on by any of its dependencies
+ *   and owns the files matched by its globs. Templates add or override features with a
+ *   FEATURES_MANIFEST_NAME file in their root:
+ *     {"features": {"<name>": {"dependencies": ["pkg"], "files": ["dir/**"], "module": "pkg"}}}
+ *   `module` is optional and is what --patch-config registers in nuxt.config `modules`.
+ */
+
+import fs           from 'node:fs';
+import path         from 'node:path';
+import {UsageError} from './errors.mjs';
+
+export const FEATURES_MANIFEST_NAME = 'scaffold.features.json';
+
+export const BUILTIN_FEATURES = {
+  content:  {dependencies: ['@nuxt/content'], files: ['content.config.ts', 'content/**'], module: '@nuxt/content'},
+  // No module: v4 projects use the `@tailwindcss/vite` plugin, see configModules()
+  tailwind: {
+    dependencies: ['tailwindcss', '@nuxtjs/tailwindcss', '@tailwindcss/vite'],
+    files:        ['tailwind.config.{ts,js,cjs,mjs}']
+  },
+  ui:       {dependencies: ['@nuxt/ui', '@nuxt/ui-pro'], files: [], module: '@nuxt/ui'},
+  pinia:    {dependencies: ['@pinia/nuxt'], files: ['app/stores/**'], module: '@pinia/nuxt'},
+  i18n:     {dependencies: ['@nuxtjs/i18n'], files: ['i18n/**'], module: '@nuxtjs/i18n'},
+  image:    {dependencies: ['@nuxt/image'], files: [], module: '@nuxt/image'},
+  eslint:   {dependencies: ['@nuxt/eslint'], files: ['eslint.config.{js,mjs,cjs,ts}'], module: '@nuxt/eslint'}
+};
+
+// Feature names share the `effective` JSON object with these options
+export const RESERVED_FEATURE_NAMES = new Set(['all', 'update']);
+
+/**
+ * Converts a path glob to an anchored RegExp. Supports `*`, `?`, `**` and `{a,b}`;
+ * square brackets are literal because Nuxt uses them in route file names.
+ */
+export function globToRegExp(glob) {
+  const esc = s => s.replace(/[.+^${}()|[\]\\*?]/g, '\\$&');
+  let re = '';
+  for (let i = 0; i < glob.length; i++) {
+    const c = glob[i];
+    if (c === '*' && glob[i + 1] === '*') {
+      // `**/` spans zero or more directories, a trailing `**` everything below
+      if (glob[i + 2] === '/') {
+        re += '(?:.*/)?';
+        i += 2;
+      } else {
+        re += '.*';
+        i++;
+      }
+    } else if (c === '*') {
+      re += '[^/]*';
+    } else if (c === '?') {
+      re += '[^/]';
+    } else if (c === '{' && glob.indexOf('}', i) > i) {
+      const end = glob.indexOf('}', i);
+      re += `(?:${glob.slice(i + 1, end).split(',').map(esc).join('|')})`;
+      i = end;
+    } else {
+      re += esc(c);
+    }
+  }
+  return new RegExp(`^${re}$`);
+}
+
+/**
+ * Built-in features merged with the template's FEATURES_MANIFEST_NAME, if any.
+ * Throws UsageError for an unreadable or malformed manifest.
+ */
+export function loadFeatures(templateRoot) {
+  const features = {};
+  for (const [name, def] of Object.entries(BUILTIN_FEATURES)) features[name] = {...def, source: 'builtin'};
+
+  const file = path.join(templateRoot, FEATURES_MANIFEST_NAME);
+  if (!fs.existsSync(file)) return features;
+  const invalid = msg => new UsageError(`Invalid feature manifest: ${FEATURES_MANIFEST_NAME}: ${msg}`);
+  let parsed;
+  try {
+    parsed = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (e) {
+    throw invalid(e.message);
+  }
+  if (!parsed || typeof parsed.features !== 'object' || !parsed.features) {
+    throw invalid('expected a "features" object');
+  }
+  for (const [name, def] of Object.entries(parsed.features)) {
+    if (!/^[a-z][a-z0-9-]*$/.test(name) || RESERVED_FEATURE_NAMES.has(name)) {
+      throw invalid(`invalid feature name "${name}"`);
+    }
+    const dependencies = def?.dependencies ?? [];
+    const files = def?.files ?? [];
+    if (![dependencies, files].every(list => Array.isArray(list) && list.every(x => typeof x === 'string'))) {
+      throw invalid(`"${name}" needs string arrays for "dependencies" and "files"`);
+    }
+    if (def?.module !== undefined && typeof def.module !== 'string') {
+      throw invalid(`"${name}.module" must be a string`);
+    }
+    features[name] = {dependencies, files, ...(def?.module && {module: def.module}), source: 'template'};
+  }
+  return features;
+}
+
+/**
+ * Decides which features are on. `overrides` maps feature name -> boolean (--with/--without);
+ * `all` switches everything on. Throws UsageError for unknown override names.
+ * @returns {{detected: Record<string, boolean>, effective: Record<string, boolean>, disabledFeatureOf: (rel: string) => string | undefined}}
+ */
+export function resolveFeatures(features, deps, overrides = {}, all = false) {
+  for (const name of Object.keys(overrides)) {
+    if (!features[name]) {
+      throw new UsageError(`Unknown feature "${name}" (known: ${Object.keys(features).join(', ')}).`);
+    }
+  }
+  const detected = {};
+  const effective = {};
+  const matchers = {};
+  for (const [name, f] of Object.entries(features)) {
+    detected[name] = f.dependencies.some(d => !!deps[d]);
+    effective[name] =
+        all ? true :
+            overrides[name] !== undefined ? !!overrides[name] :
+                detected[name];
+    matchers[name] = f.files.map(globToRegExp);
+  }
+
+  // First disabled feature that owns `rel`, or undefined when the file is not gated off
+  const disabledFeatureOf = rel =>
+      Object.keys(features).find(name => !effective[name] && matchers[name].some(re => re.test(rel)));
+
+  return {detected, effective, disabledFeatureOf};
+}
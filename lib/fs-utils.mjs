@@ -0,0 +1,100 @@
+/**
+ * @module @thaikolja/scaffold-nuxt-4/lib/fs-utils
+ * @description Filesystem helpers shared by every mode: tree walking, hashing and pruning.
+ */
+
+import fs     from 'node:fs';
+import path   from 'node:path';
+import os     from 'node:os';
+import crypto from 'node:crypto';
+
+// Directories never descended into when walking a tree
+export const WALK_SKIP = new Set(['.git', 'node_modules']);
+
+export function expandTilde(p) {
+  if (!p) return p;
+  if (p === '~') return os.homedir();
+  if (p.startsWith('~/')) return path.join(os.homedir(), p.slice(2));
+  return p;
+}
+
+export const toPosix = p => p.split(path.sep).join('/');
+export const stripExt = name => name.replace(/\.[^./]+$/, '');
+
+// Files below `dir`, relative to it, in platform separators
+export function walk(dir, skipDirs = WALK_SKIP) {
+  const out = [];
+  const stack = [dir];
+  while (stack.length) {
+    const cur = stack.pop();
+    let entries;
+    try {
+      entries = fs.readdirSync(cur, {withFileTypes: true});
+    } catch {
+      continue;
+    }
+    for (const e of entries) {
+      if (e.isDirectory() && skipDirs.has(e.name)) continue;
+      const full = path.join(cur, e.name);
+      const rel = path.relative(dir, full);
+      if (!rel) continue;
+      if (e.isDirectory()) stack.push(full);
+      else out.push(rel);
+    }
+  }
+  return out;
+}
+
+// Creates the parent directory of `p`; every directory created is pushed onto `created`
+export function ensureDir(p, created) {
+  const d = path.dirname(p);
+  if (fs.existsSync(d)) return;
+  // The topmost directory mkdir had to create
+  const first = fs.mkdirSync(d, {recursive: true});
+  if (!created || !first) return;
+  for (let dir = d; ; dir = path.dirname(dir)) {
+    created.push(dir);
+    if (dir === first || dir === path.dirname(dir)) break;
+  }
+}
+
+// Removes `dir` and everything below it that is (or becomes) an empty directory
+export function pruneEmptyDirs(dir) {
+  let entries;
+  try {
+    if (!fs.statSync(dir).isDirectory()) return;
+    entries = fs.readdirSync(dir);
+  } catch {
+    return;
+  }
+  for (const e of entries) pruneEmptyDirs(path.join(dir, e));
+  try {
+    if (fs.readdirSync(dir).length === 0) fs.rmdirSync(dir);
+  } catch {
+  }
+}
+
+// Removes now-empty directories from a file's parent up to (not including) `root`
+export function pruneEmptyParents(file, root) {
+  let dir = path.dirname(file);
+  while (dir !== root && dir.startsWith(root + path.sep)) {
+    try {
+      if (fs.readdirSync(dir).length) return;
+      fs.rmdirSync(dir);
+    } catch {
+      return;
+    }
+    dir = path.dirname(dir);
+  }
+}
+
+export function hashBuffer(buf) {
+  return crypto.createHash('sha256').update(buf).digest('hex');
+}
+
+export function hashFile(p) {
+  return hashBuffer(fs.readFileSync(p));
+}
+
+// NUL byte in the first 8 KiB => treat as binary
+export const isBinary = buf => buf.subarray(0, 8192).includes(0);
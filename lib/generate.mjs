@@ -0,0 +1,222 @@
+/**
+ * @module @thaikolja/scaffold-nuxt-4/lib/generate
+ * @description Single-file generators: pages, components, composables, API routes,
+ *   middleware and plugins.
+ */
+
+import fs               from 'node:fs';
+import path             from 'node:path';
+import {VERSION}        from './constants.mjs';
+import {UsageError}     from './errors.mjs';
+import {acquireLock}    from './lock.mjs';
+import {loadProject}    from './project.mjs';
+import {ensureDir}      from './fs-utils.mjs';
+import {recordManifest} from './manifest.mjs';
+import {
+  detectLang,
+  jsPath,
+  twinPath,
+  toJavaScript
+}                       from './lang.mjs';
+
+export const GENERATE_KINDS = ['page', 'component', 'composable', 'api', 'middleware', 'server-middleware', 'plugin'];
+const HTTP_METHODS = new Set(['get', 'post', 'put', 'patch', 'delete', 'head', 'options']);
+
+// `[id]` -> id, `[...slug]` -> slug (catch-all), `[[lang]]` -> lang (optional)
+function routeParams(name) {
+  return [...name.matchAll(/\[\[?(\.\.\.)?([^\]]+?)]]?/g)].map(m => ({name: m[2], catchAll: !!m[1]}));
+}
+
+const pascalCase = s => s.replace(/(^|[-_\s]+)(\w)/g, (_, __, c) => c.toUpperCase());
+const camelCase = s => pascalCase(s).replace(/^\w/, c => c.toLowerCase());
+
+const VUE_STYLE_BLOCK = `<style lang="postcss" scoped>
+
+</style>
+`;
+
+/**
+ * Resolves a generator request to its target path and file contents.
+ * Throws UsageError on invalid input.
+ */
+export function buildGenerated(kind, rawName, {method: methodOpt, mode, global = false} = {}) {
+  const name = rawName.replace(/\\/g, '/').replace(/\.(vue|ts|js)$/, '').replace(/^\/+|\/+$/g, '');
+  if (!name || name.split('/').some(seg => !seg || seg === '.' || seg === '..')) {
+    throw new UsageError(`Invalid name "${rawName}".`);
+  }
+  if (!/^[\w\-.[\]/]+$/.test(name)) {
+    throw new UsageError(`Invalid characters in name "${rawName}".`);
+  }
+  const dir = path.posix.dirname(name) === '.' ? '' : `${path.posix.dirname(name)}/`;
+  const base = path.posix.basename(name);
+  const params = routeParams(name);
+
+  switch (kind) {
+    case 'page': {
+      const lines = params.map(p => {
+        const access = /^[A-Za-z_$][\w$]*$/.test(p.name) ? `.${p.name}` : `['${p.name}']`;
+        return `const ${camelCase(p.name)} = computed(() => route.params${access} as string${p.catchAll ? '[]' : ''})`;
+      });
+      const script = params.length ? ['const route = useRoute()', ...lines].join('\n') : '';
+      return {
+        rel:     `app/pages/${name}.vue`,
+        content: `<script lang="ts" setup>
+${script}
+</script>
+
+<template>
+  <div>
+    <h1>${name}</h1>
+  </div>
+</template>
+
+${VUE_STYLE_BLOCK}`
+      };
+    }
+    case 'component':
+      return {
+        rel:     `app/components/${dir}${pascalCase(base)}.vue`,
+        content: `<script lang="ts" setup>
+
+</script>
+
+<template>
+  <div>
+    <slot />
+  </div>
+</template>
+
+${VUE_STYLE_BLOCK}`
+      };
+    case 'composable': {
+      const fn = /^use[A-Z]/.test(base) ? base : `use${pascalCase(base)}`;
+      const key = camelCase(fn.slice(3));
+      return {
+        rel:     `app/composables/${dir}${fn}.ts`,
+        content: `export function ${fn}() {
+  const state = useState('${key}', () => null)
+
+  return {
+    state
+  }
+}
+`
+      };
+    }
+    case 'api': {
+      const method = methodOpt ? String(methodOpt).toLowerCase() : null;
+      if (method && !HTTP_METHODS.has(method)) throw new UsageError(`Unsupported --method "${methodOpt}".`);
+      const body = ['post', 'put', 'patch'].includes(method);
+      const lines = params.map(p => `  const ${camelCase(p.name)} = getRouterParam(event, '${p.name}')`);
+      lines.push(body ? '  const body = await readBody(event)' : '  const query = getQuery(event)');
+      const returned = [...params.map(p => camelCase(p.name)), body ? 'body' : 'query'];
+      return {
+        rel:     `server/api/${name}${method ? `.${method}` : ''}.ts`,
+        content: `export default defineEventHandler(${body ? 'async ' : ''}(event) => {
+${lines.join('\n')}
+
+  return {
+${returned.map(r => `    ${r}`).join(',\n')}
+  }
+})
+`
+      };
+    }
+    case 'middleware':
+      return {
+        rel:     `app/middleware/${name}${global ? '.global' : ''}.ts`,
+        content: `export default defineNuxtRouteMiddleware((to, from) => {
+})
+`
+      };
+    case 'server-middleware':
+      return {
+        rel:     `server/middleware/${name}.ts`,
+        content: `export default defineEventHandler((event) => {
+})
+`
+      };
+    case 'plugin': {
+      if (mode && !['client', 'server'].includes(mode)) {
+        throw new UsageError(`Unsupported --mode "${mode}" (use client or server).`);
+      }
+      return {
+        rel:     `app/plugins/${name}${mode ? `.${mode}` : ''}.ts`,
+        content: `export default defineNuxtPlugin((nuxtApp) => {
+})
+`
+      };
+    }
+    default:
+      throw new UsageError(`Unknown generate kind "${kind}". Expected one of: ${GENERATE_KINDS.join(', ')}.`);
+  }
+}
+
+/**
+ * Creates a single file of `kind` (see GENERATE_KINDS); an existing file is never touched.
+ * JavaScript projects (see detectLang) get a `.js` file without type annotations.
+ * @param {{target?: string, kind: string, name: string, method?: string, mode?: string, global?: boolean,
+ *   lang?: 'ts' | 'js', dryRun?: boolean, listOnly?: boolean}} options
+ */
+export async function generate({target, kind, name, method, mode, global = false, lang, dryRun = false, listOnly = false} = {}) {
+  if (!kind || !name) {
+    throw new UsageError(`Usage: generate <${GENERATE_KINDS.join('|')}> <name>`);
+  }
+  const {targetRoot, deps, nuxtConfigName} = loadProject(target);
+  const language = detectLang(targetRoot, deps, nuxtConfigName, lang);
+  let {rel, content} = buildGenerated(kind, name, {method, mode, global});
+  if (language.lang === 'js') {
+    content = toJavaScript(rel, content);
+    rel = jsPath(rel);
+  }
+  const dest = path.join(targetRoot, rel);
+  const twin = twinPath(rel);
+  const actions = [];
+  const added = [];
+  const skipped = [];
+  const errors = [];
+
+  if (fs.existsSync(dest)) {
+    actions.push({rel, action: 'skip-exists', kind});
+    skipped.push(rel);
+  } else if (twin && fs.existsSync(path.join(targetRoot, twin))) {
+    actions.push({rel, action: 'skip-exists', kind, reason: 'other-lang', existing: twin});
+    skipped.push(rel);
+  } else {
+    actions.push({rel, action: 'add', kind});
+    if (!(dryRun || listOnly)) {
+      const release = acquireLock(targetRoot);
+      try {
+        ensureDir(dest);
+        fs.writeFileSync(dest, content, {flag: 'wx'});
+        added.push(rel);
+        recordManifest(targetRoot, added, {}, errors);
+      } catch (e) {
+        errors.push({file: rel, error: e.message});
+      } finally {
+        release();
+      }
+    } else {
+      added.push(rel);
+    }
+  }
+
+  return {
+    version:   VERSION,
+    target:    targetRoot,
+    mode:      'generate',
+    kind,
+    name,
+    lang:      language,
+    effective: {dryRun, listOnly},
+    counts:    {
+      add:    added.length,
+      skip:   skipped.length,
+      errors: errors.length
+    },
+    added,
+    skipped,
+    errors,
+    actions
+  };
+}
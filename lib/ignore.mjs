@@ -0,0 +1,113 @@
+/**
+ * @module @thaikolja/scaffold-nuxt-4/lib/ignore
+ * @description Path filters on top of the fixed exclude sets: `.scaffoldignore` files in the
+ *   template root and the target (gitignore syntax, including `!` negation) and the --only and
+ *   --exclude globs, which use the same pattern syntax without negation.
+ */
+
+import fs           from 'node:fs';
+import path         from 'node:path';
+import {UsageError} from './errors.mjs';
+
+export const IGNORE_FILE_NAME = '.scaffoldignore';
+
+// gitignore glob body -> regex source; `[...]` are character classes, `\` escapes the next char
+function patternSource(glob) {
+  const esc = s => s.replace(/[.+^${}()|[\]\\*?]/g, '\\$&');
+  let re = '';
+  for (let i = 0; i < glob.length; i++) {
+    const c = glob[i];
+    if (c === '\\' && i + 1 < glob.length) {
+      re += esc(glob[++i]);
+    } else if (c === '*' && glob[i + 1] === '*' && (i === 0 || glob[i - 1] === '/')
+        && (i + 2 === glob.length || glob[i + 2] === '/')) {
+      // `**/` spans zero or more directories, a trailing `/**` everything below
+      if (i + 2 === glob.length) {
+        re += '.*';
+        i++;
+      } else {
+        re += '(?:.*/)?';
+        i += 2;
+      }
+    } else if (c === '*') {
+      re += '[^/]*';
+    } else if (c === '?') {
+      re += '[^/]';
+    } else if (c === '[' && glob.indexOf(']', i + 2) !== -1) {
+      const end = glob.indexOf(']', i + 2);
+      const body = glob.slice(i + 1, end).replace(/\\/g, '\\\\');
+      re += body.startsWith('!') ? `[^${body.slice(1)}]` : `[${body}]`;
+      i = end;
+    } else {
+      re += esc(c);
+    }
+  }
+  return re;
+}
+
+/**
+ * Compiles one gitignore-style line. Returns null for blank lines and comments.
+ * @param {string} line
+ * @param {{source?: string, negation?: boolean}} [meta] `negation: false` rejects `!` patterns
+ * @returns {{pattern: string, negate: boolean, dirOnly: boolean, re: RegExp, source?: string} | null}
+ */
+export function compilePattern(line, {source, negation = true} = {}) {
+  let glob = line.replace(/(?<!\\)\s+$/, '');
+  if (!glob || glob.startsWith('#')) return null;
+  let negate = false;
+  if (glob.startsWith('!')) {
+    if (!negation) throw new UsageError(`Negated patterns are only supported in ${IGNORE_FILE_NAME} (got "${line}").`);
+    negate = true;
+    glob = glob.slice(1);
+  } else if (glob.startsWith('\\!') || glob.startsWith('\\#')) {
+    glob = glob.slice(1);
+  }
+  const dirOnly = glob.endsWith('/');
+  if (dirOnly) glob = glob.replace(/\/+$/, '');
+  // A slash anywhere but at the end anchors the pattern to the root
+  const anchored = glob.includes('/');
+  glob = glob.replace(/^\//, '');
+  if (!glob) return null;
+  const body = patternSource(glob);
+  return {
+    pattern: line.trim(),
+    negate,
+    dirOnly,
+    re:      new RegExp(anchored ? `^${body}$` : `^(?:.*/)?${body}$`),
+    ...(source && {source})
+  };
+}
+
+// Rules of the `.scaffoldignore` in `dir`, tagged with `source`; empty when there is none
+export function readIgnoreFile(dir, source) {
+  let text;
+  try {
+    text = fs.readFileSync(path.join(dir, IGNORE_FILE_NAME), 'utf8');
+  } catch {
+    return [];
+  }
+  return text.split(/\r?\n/).map(line => compilePattern(line, {source})).filter(Boolean);
+}
+
+/**
+ * Matcher for a rule list with gitignore precedence: the last matching rule wins, and a file
+ * below an excluded directory can't be re-included. Returns rel -> the excluding rule, or null.
+ */
+export function createIgnore(rules) {
+  const lastMatch = (p, isDir) => {
+    let hit = null;
+    for (const rule of rules) {
+      if ((!rule.dirOnly || isDir) && rule.re.test(p)) hit = rule;
+    }
+    return hit;
+  };
+  return rel => {
+    const parts = rel.split('/');
+    for (let i = 1; i < parts.length; i++) {
+      const hit = lastMatch(parts.slice(0, i).join('/'), true);
+      if (hit && !hit.negate) return hit;
+    }
+    const hit = lastMatch(rel, false);
+    return hit && !hit.negate ? hit : null;
+  };
+}
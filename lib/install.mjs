@@ -0,0 +1,71 @@
+/**
+ * @module @thaikolja/scaffold-nuxt-4/lib/install
+ * @description Opt-in installation (--install) of the packages behind features that were switched
+ *   on without being dependencies yet, using the project's own package manager.
+ */
+
+import fs          from 'node:fs';
+import path        from 'node:path';
+import process     from 'node:process';
+import {spawnSync} from 'node:child_process';
+
+// Lockfile -> package manager, in the order they are checked
+export const LOCKFILES = Object.freeze({
+  'pnpm-lock.yaml':    'pnpm',
+  'yarn.lock':         'yarn',
+  'bun.lockb':         'bun',
+  'bun.lock':          'bun',
+  'package-lock.json': 'npm'
+});
+
+const ADD_COMMANDS = {npm: ['install'], pnpm: ['add'], yarn: ['add'], bun: ['add']};
+
+/**
+ * Package manager of the project: the `packageManager` field (e.g. `pnpm@9.1.0`), then the
+ * lockfile, then npm.
+ * @returns {{name: 'npm' | 'pnpm' | 'yarn' | 'bun', source: string}}
+ */
+export function detectPackageManager(targetRoot, pkg = {}) {
+  const declared = /^(npm|pnpm|yarn|bun)@/.exec(pkg.packageManager || '');
+  if (declared) return {name: declared[1], source: 'packageManager'};
+  const lockfile = Object.keys(LOCKFILES).find(f => fs.existsSync(path.join(targetRoot, f)));
+  if (lockfile) return {name: LOCKFILES[lockfile], source: lockfile};
+  return {name: 'npm', source: 'default'};
+}
+
+/**
+ * Packages to add for features that are on but not detected. A feature installs its `module`,
+ * or its first dependency; Tailwind installs what the generated files for its major expect.
+ */
+export function missingPackages(features, detected, effective, deps, tailwindMajor) {
+  const packages = [];
+  for (const [name, feature] of Object.entries(features)) {
+    if (!effective[name] || detected[name]) continue;
+    if (name === 'tailwind') {
+      packages.push(...(tailwindMajor === 3 ? ['@nuxtjs/tailwindcss'] : ['tailwindcss', '@tailwindcss/vite']));
+    } else if (feature.module || feature.dependencies.length) {
+      packages.push(feature.module || feature.dependencies[0]);
+    }
+  }
+  return [...new Set(packages)].filter(p => !deps[p]);
+}
+
+/**
+ * Runs `<manager> add <packages>` in the target (npm uses `install`). Output is captured so
+ * --json stays parseable. Returns null on success, else the error message.
+ */
+export function runInstall(targetRoot, manager, packages) {
+  const res = spawnSync(manager, [...ADD_COMMANDS[manager], ...packages], {
+    cwd:      targetRoot,
+    stdio:    ['ignore', 'pipe', 'pipe'],
+    encoding: 'utf8',
+    // npm, pnpm and yarn are .cmd shims on Windows
+    shell:    process.platform === 'win32'
+  });
+  if (res.status === 0) return null;
+  if (res.error) return `${manager} could not be started: ${res.error.message}`;
+  const output = (res.stderr || res.stdout || '').trim().split('\n').slice(-5).join('\n');
+  return `${manager} exited with ${res.status ?? res.signal}${output ? `: ${output}` : ''}`;
+}
+
+export const installCommand = (manager, packages) => [manager, ...ADD_COMMANDS[manager], ...packages].join(' ');
@@ -0,0 +1,254 @@
+/**
+ * @module @thaikolja/scaffold-nuxt-4/lib/lang
+ * @description JavaScript output for projects without TypeScript (--lang): detection, `.ts` ->
+ *   `.js` paths and a dependency-free type stripper. Like nuxt-config.mjs it works on masked
+ *   source and only cuts text out, so everything that isn't a type keeps its formatting.
+ */
+
+import fs                         from 'node:fs';
+import path                       from 'node:path';
+import {UsageError}               from './errors.mjs';
+import {maskSource, matchBracket} from './nuxt-config.mjs';
+
+export const LANGS = ['ts', 'js'];
+
+/**
+ * `lang` when given, else `ts` unless the project has a JavaScript nuxt.config, no tsconfig.json
+ * and no `typescript` dependency.
+ * @returns {{lang: 'ts' | 'js', source: string}}
+ */
+export function detectLang(targetRoot, deps, nuxtConfigName, lang) {
+  if (lang !== undefined && lang !== null) {
+    if (!LANGS.includes(lang)) throw new UsageError(`--lang must be ts or js (got "${lang}").`);
+    return {lang, source: 'flag'};
+  }
+  if (fs.existsSync(path.join(targetRoot, 'tsconfig.json'))) return {lang: 'ts', source: 'tsconfig.json'};
+  if (deps.typescript) return {lang: 'ts', source: 'typescript dependency'};
+  return {lang: nuxtConfigName.endsWith('.ts') ? 'ts' : 'js', source: nuxtConfigName};
+}
+
+// `server/api/hello.ts` -> `server/api/hello.js`; declaration files keep their name
+export function jsPath(rel) {
+  if (/\.d\.[cm]?ts$/.test(rel)) return rel;
+  return rel.replace(/\.([cm]?)ts$/, '.$1js');
+}
+
+// Files toJavaScript() changes: components and TypeScript modules other than declarations
+export const hasTypes = rel => rel.endsWith('.vue') || (/\.[cm]?ts$/.test(rel) && !/\.d\.[cm]?ts$/.test(rel));
+
+// The same module in the other language (`foo.ts` <-> `foo.js`), or null
+export function twinPath(rel) {
+  if (/\.d\.[cm]?ts$/.test(rel)) return null;
+  const m = /\.([cm]?)([jt])s$/.exec(rel);
+  return m ? `${rel.slice(0, m.index)}.${m[1]}${m[2] === 't' ? 'j' : 't'}s` : null;
+}
+
+const CLOSERS = {')': '(', ']': '[', '}': '{', '>': '<'};
+const KEYWORDS = new Set(['if', 'for', 'while', 'switch', 'catch', 'with', 'return', 'typeof', 'await', 'yield']);
+
+/**
+ * End of the type starting at `i`: stops at a top-level `,` `;` `=` `?` `:`, a closing bracket
+ * it didn't open or a line break. `arrow: false` also stops at `=>` (return types), `body: true`
+ * at a `{` following a complete type (function bodies).
+ */
+function typeEnd(masked, i, {arrow = true, body = false} = {}) {
+  let depth = 0;
+  let seen = false;
+  let j = i;
+  for (; j < masked.length; j++) {
+    const c = masked[j];
+    const next = masked[j + 1];
+    if (c === '=' && next === '>') {
+      if (!depth && !arrow) break;
+      j++;
+      continue;
+    }
+    if (c === '{' && body && !depth && seen) break;
+    if ('([{<'.includes(c)) {
+      depth++;
+    } else if (CLOSERS[c]) {
+      if (!depth) break;
+      depth--;
+    } else if (!depth && (',;=?:'.includes(c) || c === '\n')) {
+      break;
+    }
+    if (c.trim()) seen = true;
+  }
+  while (j > i && !masked[j - 1].trim()) j--;
+  return j;
+}
+
+// End of a `type X = ...` alias: a top-level `;`, or a line break not continued by `|`/`&`
+function aliasEnd(masked, i) {
+  let depth = 0;
+  for (let j = i; j < masked.length; j++) {
+    const c = masked[j];
+    if ('([{<'.includes(c)) depth++;
+    else if (CLOSERS[c] && !(c === '>' && masked[j - 1] === '=')) depth--;
+    else if (!depth && c === ';') return j + 1;
+    else if (!depth && c === '\n') {
+      const before = masked.slice(i, j).trimEnd();
+      const after = masked.slice(j).trimStart();
+      if (!/[=|&]$/.test(before) && !/^[|&]/.test(after)) return j;
+    }
+  }
+  return masked.length;
+}
+
+/**
+ * Extends [start, end) over the rest of the line, its line break included, when nothing else is
+ * on it. Such edits are flagged so removing them doesn't leave a double blank line.
+ */
+function wholeLine(src, start, end) {
+  const lineStart = src.lastIndexOf('\n', start - 1) + 1;
+  if (src.slice(lineStart, start).trim()) return [start, end];
+  const m = /^[ \t]*;?[ \t]*(\r?\n|$)/.exec(src.slice(end));
+  return m ? [lineStart, end + m[0].length, '', true] : [start, end];
+}
+
+// Cuts `?` and `: Type` from every parameter of the list spanning [open, close]
+function paramEdits(masked, open, close) {
+  const edits = [];
+  let start = open + 1;
+  let depth = 0;
+  for (let i = open + 1; i <= close; i++) {
+    const c = masked[i];
+    if (i < close && '([{'.includes(c)) depth++;
+    else if (i < close && ')]}'.includes(c)) depth--;
+    if (i < close && (depth || c !== ',')) continue;
+    const m = /^\s*(?:\.\.\.)?(?:[\w$]+|[{[])/.exec(masked.slice(start, i));
+    if (m) {
+      let at = start + m[0].length;
+      if (/[{[]$/.test(m[0])) at = matchBracket(masked, at - 1) + 1;
+      if (at > 0) {
+        const rest = /^\s*(\?)?\s*:/.exec(masked.slice(at, i));
+        if (rest) {
+          edits.push([at, typeEnd(masked, at + rest[0].length)]);
+        } else if (masked[at] === '?') {
+          edits.push([at, at + 1]);
+        }
+      }
+    }
+    start = i + 1;
+  }
+  return edits;
+}
+
+/**
+ * Removes TypeScript syntax from a module: type-only imports and exports, `type`/`interface`
+ * declarations, variable, parameter and return annotations, `as`/`satisfies` expressions,
+ * type arguments of calls and non-null assertions. Enums, namespaces and decorators are left
+ * alone.
+ */
+export function stripTypes(src) {
+  const masked = maskSource(src);
+  const edits = [];
+
+  // import type … / export type {…}
+  for (const m of masked.matchAll(/^[ \t]*(?:import\s+type\b[^;]*?\bfrom\s*(['"])[^'"]*\1|export\s+type\s*\{[^}]*\}(?:\s*from\s*(['"])[^'"]*\2)?)/gm)) {
+    edits.push(wholeLine(src, m.index, m.index + m[0].length));
+  }
+  // `type` specifiers inside import/export braces; braces left empty drop the statement
+  for (const m of masked.matchAll(/\b(import|export)(\s*(?:[\w$]+\s*,\s*)?)\{([^}]*)\}/g)) {
+    const open = m.index + m[0].indexOf('{');
+    const specs = src.slice(open + 1, open + 1 + m[3].length);
+    if (!/\btype\s+[\w$]/.test(specs)) continue;
+    const kept = specs.split(',').filter(s => s.trim() && !/^\s*type\s+[\w$]/.test(s));
+    const close = open + 1 + specs.length;
+    if (!kept.length && !m[2].trim()) {
+      const end = /^\}\s*(?:from\s*(['"])[^'"]*\1)?/.exec(masked.slice(close))[0].length;
+      edits.push(wholeLine(src, m.index, close + end));
+      continue;
+    }
+    if (!kept.length) {
+      // `import Foo, { type Bar }` -> `import Foo`
+      edits.push([m.index + m[1].length, close + 1, ` ${m[2].trim().replace(/\s*,$/, '')}`]);
+      continue;
+    }
+    const inner = specs.includes('\n')
+        ? kept.map(s => s.replace(/^\s*/, specs.match(/\n[ \t]*/)[0])).join(',') + specs.match(/\s*$/)[0]
+        : ` ${kept.map(s => s.trim()).join(', ')} `;
+    edits.push([open + 1, close, inner]);
+  }
+  // type aliases and interfaces
+  for (const m of masked.matchAll(/^[ \t]*(?:export\s+)?(?:declare\s+)?(?:type\s+[\w$]+\s*(?:<[^=\n]*>)?\s*=|interface\s+[\w$][^{]*\{)/gm)) {
+    const end = m[0].endsWith('{') ? matchBracket(masked, m.index + m[0].length - 1) + 1 : aliasEnd(masked, m.index + m[0].length);
+    if (end > 0) edits.push(wholeLine(src, m.index, end));
+  }
+  // x as T, x satisfies T (not `import {a as b}` or `* as ns`)
+  for (const m of masked.matchAll(/(?<=[\w$)\]}'"`])(\s+)(as|satisfies)\s+(?=[\w${[('"`])/g)) {
+    const before = masked.slice(0, m.index);
+    const brace = before.lastIndexOf('{');
+    if (brace !== -1 && /\b(?:import|export)\s*(?:type\s*)?(?:[\w$]+\s*,\s*)?$/.test(before.slice(0, brace)) && !before.slice(brace).includes('}')) continue;
+    edits.push([m.index, typeEnd(masked, m.index + m[0].length)]);
+  }
+  // const x: T = …
+  for (const m of masked.matchAll(/\b(?:const|let|var)\s+[\w$]+\s*(!?\s*:)/g)) {
+    const at = m.index + m[0].length - m[1].length;
+    edits.push([at, typeEnd(masked, m.index + m[0].length)]);
+  }
+  // Parameter lists of arrows, functions and methods, plus their return types
+  for (let open = masked.indexOf('('); open !== -1; open = masked.indexOf('(', open + 1)) {
+    const close = matchBracket(masked, open);
+    if (close === -1) continue;
+    const before = masked.slice(0, open);
+    const after = /^\s*(:)?/.exec(masked.slice(close + 1));
+    let next = close + 1 + after[0].length;
+    let returnType = null;
+    if (after[1]) {
+      const end = typeEnd(masked, next, {arrow: false, body: true});
+      returnType = [close + 1, end];
+      next = end + /^\s*/.exec(masked.slice(end))[0].length;
+    }
+    const word = /([\w$]+)\s*(?:<[^()]*>)?\s*$/.exec(before)?.[1];
+    const isArrow = masked.startsWith('=>', next);
+    const isFunction = masked[next] === '{' && (/\bfunction\s*\*?\s*(?:[\w$]+\s*)?(?:<[^()]*>)?\s*$/.test(before)
+        || (word && !KEYWORDS.has(word) && !/\bfunction\s*$/.test(before)));
+    if (!isArrow && !isFunction) continue;
+    edits.push(...paramEdits(masked, open, close));
+    if (returnType) edits.push(returnType);
+  }
+  // foo<T>(…), function foo<T>(…)
+  for (const m of masked.matchAll(/(?<=[\w$])</g)) {
+    let depth = 0;
+    let j = m.index;
+    for (; j < masked.length; j++) {
+      if (masked[j] === '<') depth++;
+      else if (masked[j] === '>' && masked[j - 1] !== '=' && !--depth) break;
+      else if (masked[j] === ';') break;
+    }
+    if (masked[j] === '>' && masked[j + 1] === '(') edits.push([m.index, j + 1]);
+  }
+  // value!.prop
+  for (const m of masked.matchAll(/(?<=[\w$)\]])!(?=[.[),;\]]|\s*$)/gm)) edits.push([m.index, m.index + 1]);
+
+  // Outer edits win over edits inside them; apply back to front
+  edits.sort((a, b) => a[0] - b[0] || b[1] - a[1]);
+  const applied = [];
+  for (const e of edits) {
+    if (!applied.length || e[0] >= applied[applied.length - 1][1]) applied.push(e);
+  }
+  let out = src;
+  for (const [start, end, text = '', line = false] of applied.reverse()) {
+    const before = out.slice(0, start);
+    let after = out.slice(end);
+    if (line && (!before.trim() || /\n[ \t]*\n$/.test(before))) after = after.replace(/^[ \t]*\r?\n/, '');
+    out = before + text + after;
+  }
+  return out;
+}
+
+// `<script lang="ts" …>` blocks of a single-file component, stripped and without `lang`
+function stripComponent(src) {
+  return src.replace(/(<script\b[^>]*?)\s+lang=(["'])ts\2([^>]*>)([\s\S]*?)(<\/script>)/g,
+      (_, open, __, rest, body, end) => `${open}${rest}${stripTypes(body)}${end}`);
+}
+
+/**
+ * JavaScript version of a template file: `.vue` files get their TypeScript script blocks
+ * stripped, `.ts` modules are stripped entirely. Anything else is returned unchanged.
+ */
+export function toJavaScript(rel, text) {
+  if (!hasTypes(rel)) return text;
+  return rel.endsWith('.vue') ? stripComponent(text) : stripTypes(text);
+}
@@ -0,0 +1,104 @@
+/**
+ * @module @thaikolja/scaffold-nuxt-4/lib/lock
+ * @description Per-target lock file plus a registry of cleanup callbacks, so locks and temp
+ *   dirs don't become immortal when the CLI is interrupted by a signal.
+ */
+
+import fs           from 'node:fs';
+import path         from 'node:path';
+import process      from 'node:process';
+import {LOCK_NAME}  from './constants.mjs';
+import {UsageError} from './errors.mjs';
+
+const cleanups = new Set();
+
+// Registers `fn` to run on runCleanups(); returns a function that unregisters it
+export function registerCleanup(fn) {
+  cleanups.add(fn);
+  return () => cleanups.delete(fn);
+}
+
+// Runs (and forgets) every registered cleanup; used by the CLI's signal handlers
+export function runCleanups() {
+  for (const fn of [...cleanups]) {
+    cleanups.delete(fn);
+    try {
+      fn();
+    } catch {
+    }
+  }
+}
+
+function isProcessAlive(pid) {
+  if (!pid || !Number.isFinite(pid)) return false;
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (e) {
+    // ESRCH -> not running; EPERM/others -> assume running
+    return e && e.code !== 'ESRCH';
+  }
+}
+
+function readLockPid(p) {
+  try {
+    const txt = fs.readFileSync(p, 'utf8').trim();
+    const pid = parseInt(txt, 10);
+    return Number.isFinite(pid) ? pid : null;
+  } catch {
+    return null;
+  }
+}
+
+function createLock(lockPath) {
+  const fd = fs.openSync(lockPath, 'wx');
+  try {
+    fs.writeFileSync(fd, String(process.pid));
+  } finally {
+    try {
+      fs.closeSync(fd);
+    } catch {
+    }
+  }
+}
+
+/**
+ * Takes the lock in `targetRoot`, replacing a stale one left by a dead process.
+ * Returns a release function (idempotent). Throws UsageError when another run holds it.
+ */
+export function acquireLock(targetRoot) {
+  const lockPath = path.join(targetRoot, LOCK_NAME);
+  try {
+    createLock(lockPath);
+  } catch (e) {
+    if (!e || e.code !== 'EEXIST') {
+      throw new UsageError(`Failed to create lock at ${lockPath}: ${e?.message || e}`);
+    }
+    const pid = readLockPid(lockPath);
+    if (isProcessAlive(pid)) {
+      throw new UsageError(`Another scaffold process appears active (lock: ${lockPath}${pid ? `, pid ${pid}` : ''}).`);
+    }
+    try {
+      fs.rmSync(lockPath, {force: true});
+    } catch {
+    }
+    try {
+      createLock(lockPath);
+    } catch (ee) {
+      throw new UsageError(`Failed to acquire lock at ${lockPath}: ${ee.message}`);
+    }
+  }
+
+  let released = false;
+  const release = () => {
+    if (released) return;
+    released = true;
+    unregister();
+    try {
+      fs.rmSync(lockPath, {force: true});
+    } catch {
+    }
+  };
+  const unregister = registerCleanup(release);
+  return release;
+}
@@ -0,0 +1,66 @@
+/**
+ * @module @thaikolja/scaffold-nuxt-4/lib/manifest
+ * @description The scaffold manifest, written next to the lock on every real run. It lists each
+ *   file the scaffolder created together with the SHA-256 of the bytes it wrote, so --revert
+ *   can tell edits apart and --update has a baseline.
+ */
+
+import fs         from 'node:fs';
+import path       from 'node:path';
+import {VERSION}  from './constants.mjs';
+import {hashFile} from './fs-utils.mjs';
+
+export const MANIFEST_NAME = '.scaffold-nuxt-4.json';
+
+export function readManifest(targetRoot) {
+  const manifestPath = path.join(targetRoot, MANIFEST_NAME);
+  if (!fs.existsSync(manifestPath)) return null;
+  try {
+    const m = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+    return m && typeof m.files === 'object' && m.files ? m : null;
+  } catch {
+    return null;
+  }
+}
+
+export function writeManifest(targetRoot, m) {
+  const files = {};
+  for (const k of Object.keys(m.files).sort()) files[k] = m.files[k];
+  fs.writeFileSync(path.join(targetRoot, MANIFEST_NAME), JSON.stringify({...m, files}, null, 2) + '\n');
+}
+
+/**
+ * Merges files written by this run into the manifest on disk. `meta` replaces the template
+ * metadata (source, ref, commit, flags); `baselines` maps rel -> hash for files recorded
+ * without being written, and `backups` maps rel -> the `*.bak` that --revert moves back.
+ * Failures are pushed onto `errors`.
+ */
+export function recordManifest(targetRoot, rels, meta, errors, baselines = new Map(), backups = new Map()) {
+  const previous = readManifest(targetRoot);
+  const files = {...(previous?.files || {})};
+  for (const [rel, sha256] of baselines) files[rel] = {...files[rel], sha256};
+  for (const rel of rels) {
+    try {
+      const backup = backups.get(rel) ?? files[rel]?.backup;
+      files[rel] = {sha256: hashFile(path.join(targetRoot, rel)), ...(backup ? {backup} : {})};
+    } catch (e) {
+      errors.push({file: rel, error: e.message});
+    }
+  }
+  const now = new Date().toISOString();
+  try {
+    writeManifest(targetRoot, {
+      source:    null,
+      ref:       null,
+      commit:    null,
+      ...previous,
+      version:   VERSION,
+      createdAt: previous?.createdAt || now,
+      updatedAt: now,
+      ...meta,
+      files
+    });
+  } catch (e) {
+    errors.push({file: MANIFEST_NAME, error: e.message});
+  }
+}
@@ -0,0 +1,207 @@
+/**
+ * @module @thaikolja/scaffold-nuxt-4/lib/migrate
+ * @description Nuxt 3 -> 4 migration (--migrate).
+ */
+
+import fs            from 'node:fs';
+import path          from 'node:path';
+import {VERSION}     from './constants.mjs';
+import {acquireLock} from './lock.mjs';
+import {loadProject} from './project.mjs';
+import {
+  WALK_SKIP,
+  walk,
+  ensureDir,
+  pruneEmptyDirs,
+  toPosix,
+  stripExt
+}                    from './fs-utils.mjs';
+
+// Root-level entries that live inside `app/` (the Nuxt 4 srcDir). Everything else
+// (ROOT_ENTRIES) stays at the project root.
+export const MIGRATE_ENTRIES = new Set([
+  'assets',
+  'components',
+  'composables',
+  'layouts',
+  'middleware',
+  'pages',
+  'plugins',
+  'utils',
+  'app.vue',
+  'error.vue',
+  'app.config.ts',
+  'app.config.js',
+  'app.config.mjs'
+]);
+
+// Directories Nuxt 4 reads from the project root, never from `app/`
+export const ROOT_ENTRIES = ['server', 'shared', 'content', 'modules', 'public'];
+
+// Build output and caches are never scanned for imports
+export const PROJECT_WALK_SKIP = new Set([...WALK_SKIP, '.nuxt', '.output', '.data', '.cache', 'dist', 'coverage']);
+
+// Files whose import specifiers get rewritten; everything else is moved byte-for-byte
+const SOURCE_EXTENSIONS = new Set([
+  '.vue', '.ts', '.mts', '.cts', '.tsx', '.js', '.mjs', '.cjs', '.jsx',
+  '.css', '.pcss', '.postcss', '.scss', '.sass', '.less'
+]);
+
+// import/export ... from 'x', import 'x', import('x'), require('x'), @import 'x' / url('x')
+const SPECIFIER_RE = /(\bfrom\s*|\bimport\s*\(?\s*|\brequire\s*\(\s*|@import\s+(?:url\(\s*)?)(['"])([^'"\n]+)\2/g;
+
+/**
+ * Moves a Nuxt 3 root-level source tree into `app/` and rewrites relative and alias imports
+ * that would break. Existing files in `app/` are never overwritten.
+ * @param {{target?: string, dryRun?: boolean, listOnly?: boolean}} [options]
+ */
+export async function migrate({target, dryRun = false, listOnly = false} = {}) {
+  const {targetRoot} = loadProject(target);
+  const appRoot = path.join(targetRoot, 'app');
+  const moves = [];
+  const conflicts = new Set();
+
+  for (const name of [...MIGRATE_ENTRIES].sort()) {
+    const src = path.join(targetRoot, name);
+    if (!fs.existsSync(src)) continue;
+    const rels = fs.statSync(src).isDirectory()
+        ? walk(src, PROJECT_WALK_SKIP).map(r => `${name}/${toPosix(r)}`)
+        : [name];
+    for (const rel of rels) {
+      const to = `app/${rel}`;
+      if (fs.existsSync(path.join(targetRoot, to))) conflicts.add(rel);
+      else moves.push({rel, to});
+    }
+  }
+
+  // Top-level names (with and without extension) that have at least one file moving into app/
+  const movedTop = new Set();
+  for (const m of moves) {
+    const top = m.rel.split('/')[0];
+    movedTop.add(top);
+    if (!m.rel.includes('/')) movedTop.add(stripExt(top));
+  }
+  const movedByRel = new Map(moves.map(m => [m.rel, m.to]));
+
+  // Maps an absolute pre-migration path to where it lives afterwards
+  const relocate = abs => {
+    const rel = toPosix(path.relative(targetRoot, abs));
+    if (!rel || rel.startsWith('..') || path.isAbsolute(rel)) return abs;
+    if (!movedTop.has(rel.split('/')[0])) return abs;
+    if (conflicts.has(rel) || [...conflicts].some(c => stripExt(c) === rel)) return abs;
+    return path.join(appRoot, rel);
+  };
+
+  const rewriteSpecifier = (spec, fromAbs, toAbs) => {
+    const alias = /^([~@])\/(.*)$/.exec(spec);
+    if (alias) {
+      // `~/` and `@/` now resolve to app/; anything that stayed at the root needs `~~/` / `@@/`
+      const first = alias[2].split('/')[0];
+      return MIGRATE_ENTRIES.has(first) || [...MIGRATE_ENTRIES].some(e => stripExt(e) === first)
+          ? spec
+          : `${alias[1]}${alias[1]}/${alias[2]}`;
+    }
+    if (!/^\.\.?(?:\/|$)/.test(spec)) return spec;
+    const target = relocate(path.resolve(path.dirname(fromAbs), spec));
+    let next = toPosix(path.relative(path.dirname(toAbs), target)) || '.';
+    if (!next.startsWith('.')) next = `./${next}`;
+    if (spec.endsWith('/') && !next.endsWith('/')) next += '/';
+    return path.posix.normalize(spec) === path.posix.normalize(next) ? spec : next;
+  };
+
+  const rewriteSource = (text, fromAbs, toAbs) => {
+    const imports = [];
+    const out = text.replace(SPECIFIER_RE, (match, lead, quote, spec) => {
+      const next = rewriteSpecifier(spec, fromAbs, toAbs);
+      if (next === spec) return match;
+      imports.push({from: spec, to: next});
+      return `${lead}${quote}${next}${quote}`;
+    });
+    return {text: out, imports};
+  };
+
+  const actions = [];
+  const moved = [];
+  const skipped = [];
+  const rewritten = [];
+  const errors = [];
+  const writes = [];
+
+  for (const rel of [...conflicts].sort()) {
+    actions.push({rel, action: 'skip-exists', to: `app/${rel}`, reason: 'conflict'});
+    skipped.push(rel);
+  }
+
+  for (const relRaw of walk(targetRoot, PROJECT_WALK_SKIP)) {
+    const rel = toPosix(relRaw);
+    const toRel = movedByRel.get(rel);
+    if (conflicts.has(rel)) continue;
+    const fromAbs = path.join(targetRoot, rel);
+    const toAbs = toRel ? path.join(targetRoot, toRel) : fromAbs;
+    let result = null;
+    if (SOURCE_EXTENSIONS.has(path.extname(rel))) {
+      try {
+        result = rewriteSource(fs.readFileSync(fromAbs, 'utf8'), fromAbs, toAbs);
+      } catch (e) {
+        errors.push({file: rel, error: e.message});
+        continue;
+      }
+    }
+    const imports = result?.imports.length ? result.imports : undefined;
+    if (imports) rewritten.push(toRel || rel);
+    if (toRel) {
+      actions.push({rel, action: 'move', to: toRel, ...(imports && {imports})});
+      moved.push({from: rel, to: toRel});
+      writes.push({rel, fromAbs, toAbs, text: imports ? result.text : null});
+    } else if (imports) {
+      actions.push({rel, action: 'rewrite', imports});
+      writes.push({rel, fromAbs, toAbs, text: result.text});
+    }
+  }
+
+  if (!(dryRun || listOnly)) {
+    const release = acquireLock(targetRoot);
+    try {
+      for (const w of writes) {
+        try {
+          if (w.fromAbs !== w.toAbs) ensureDir(w.toAbs);
+          if (w.text !== null) {
+            fs.writeFileSync(w.toAbs, w.text);
+            if (w.fromAbs !== w.toAbs) fs.rmSync(w.fromAbs);
+          } else {
+            fs.renameSync(w.fromAbs, w.toAbs);
+          }
+        } catch (e) {
+          errors.push({file: w.rel, error: e.message});
+        }
+      }
+      for (const name of MIGRATE_ENTRIES) pruneEmptyDirs(path.join(targetRoot, name));
+    } finally {
+      release();
+    }
+  }
+
+  actions.sort((a, b) => a.rel.localeCompare(b.rel));
+  moved.sort((a, b) => a.from.localeCompare(b.from));
+  skipped.sort();
+  rewritten.sort();
+  errors.sort((a, b) => a.file.localeCompare(b.file));
+
+  return {
+    version:   VERSION,
+    target:    targetRoot,
+    mode:      'migrate',
+    effective: {dryRun, listOnly},
+    counts:    {
+      move:    moved.length,
+      skip:    skipped.length,
+      rewrite: rewritten.length,
+      errors:  errors.length
+    },
+    moved,
+    skipped,
+    rewritten,
+    errors,
+    actions
+  };
+}
@@ -0,0 +1,245 @@
+/**
+ * @module @thaikolja/scaffold-nuxt-4/lib/nuxt-config
+ * @description Formatting-preserving nuxt.config edits for --patch-config. Strings and comments
+ *   are masked so brackets inside them are ignored, then entries are spliced into the existing
+ *   literals as text; nothing is ever re-printed.
+ */
+
+// Same length as `src`; comment bodies and string contents become spaces (quotes are kept)
+export function maskSource(src) {
+  let out = '';
+  for (let i = 0; i < src.length;) {
+    const c = src[i];
+    const next = src[i + 1];
+    if (c === '/' && next === '/') {
+      const end = src.indexOf('\n', i);
+      const stop = end === -1 ? src.length : end;
+      out += ' '.repeat(stop - i);
+      i = stop;
+    } else if (c === '/' && next === '*') {
+      const end = src.indexOf('*/', i + 2);
+      const stop = end === -1 ? src.length : end + 2;
+      out += src.slice(i, stop).replace(/[^\n]/g, ' ');
+      i = stop;
+    } else if (c === '\'' || c === '"' || c === '`') {
+      let j = i + 1;
+      while (j < src.length && src[j] !== c) j += src[j] === '\\' ? 2 : 1;
+      out += c + src.slice(i + 1, j).replace(/[^\n]/g, ' ') + (j < src.length ? c : '');
+      i = j + 1;
+    } else {
+      out += c;
+      i++;
+    }
+  }
+  return out;
+}
+
+// Index of the bracket closing the one at `open`, or -1
+export function matchBracket(masked, open) {
+  const pairs = {'{': '}', '[': ']', '(': ')'};
+  const stack = [];
+  for (let i = open; i < masked.length; i++) {
+    const c = masked[i];
+    if (pairs[c]) stack.push(pairs[c]);
+    else if (c === '}' || c === ']' || c === ')') {
+      if (stack.pop() !== c) return -1;
+      if (!stack.length) return i;
+    }
+  }
+  return -1;
+}
+
+// Top-level `key: value` properties of the object literal spanning [open, close]
+export function objectProps(src, masked, open, close) {
+  const props = [];
+  let depth = 0;
+  let expectKey = true;
+  for (let i = open + 1; i < close; i++) {
+    const c = masked[i];
+    if (c === '{' || c === '[' || c === '(') {
+      depth++;
+      expectKey = false;
+    } else if (c === '}' || c === ']' || c === ')') {
+      depth--;
+    } else if (depth === 0 && c === ',') {
+      expectKey = true;
+    } else if (depth === 0 && expectKey && !/\s/.test(c)) {
+      const m = /^(?:(['"])([^'"]+)\1|([A-Za-z_$][\w$]*))\s*:/.exec(src.slice(i, close));
+      if (m) props.push({key: m[2] || m[3], valueStart: i + m[0].length});
+      expectKey = false;
+    }
+  }
+  return props;
+}
+
+// Position after the last code character before `end` (comments and whitespace skipped)
+function lastCodeIndex(masked, from, end) {
+  for (let i = end - 1; i > from; i--) if (!/\s/.test(masked[i])) return i;
+  return from;
+}
+
+// Moves an insertion point past comments (`// x` or a closed `/* x */`) ending the same line
+function afterTrailingComments(src, masked, pos) {
+  const eol = src.indexOf('\n', pos);
+  const stop = eol === -1 ? src.length : eol;
+  const rest = src.slice(pos, stop).replace(/\/\*.*?\*\//g, '').trim();
+  return masked.slice(pos, stop).trim() === '' && (!rest || rest.startsWith('//')) ? stop : pos;
+}
+
+/**
+ * Splices for new entries on their own lines after the entry ending at `last`. A missing comma
+ * goes directly after that entry; the entries go after any comment trailing it.
+ */
+function appendLines(src, masked, last, indent, entries) {
+  const trailingComma = masked[last] === ',';
+  const at = afterTrailingComments(src, masked, last + 1);
+  const text = `${entries.map(e => `\n${indent}${e}`).join(',')}${trailingComma ? ',' : ''}`;
+  if (trailingComma) return [{at, text}];
+  return at === last + 1 ? [{at, text: `,${text}`}] : [{at: last + 1, text: ','}, {at, text}];
+}
+
+const lineIndent = (src, pos) => /^[ \t]*/.exec(src.slice(src.lastIndexOf('\n', pos - 1) + 1))[0];
+
+// Normalises a css entry to a project-relative path so `~/assets/x.css` equals `./app/assets/x.css`
+function cssEntryPath(entry) {
+  return entry
+      .replace(/^(?:~|@)\//, 'app/')
+      .replace(/^(?:~~|@@|\.)\//, '');
+}
+
+/**
+ * Modules to register: every enabled feature that names one, plus @nuxtjs/tailwindcss when it is
+ * a declared dependency or about to be installed (Tailwind v4 projects use the
+ * `@tailwindcss/vite` plugin instead, see TAILWIND_VITE_PLUGIN).
+ */
+export function configModules(features, effective, deps) {
+  const mods = Object.entries(features)
+      .filter(([name, f]) => effective[name] && f.module)
+      .map(([, f]) => f.module);
+  if (effective.tailwind && deps['@nuxtjs/tailwindcss']) mods.push('@nuxtjs/tailwindcss');
+  return [...new Set(mods)];
+}
+
+/**
+ * String entries of the config's `extends` (a string or an array literal), e.g. `['../base']`.
+ * Entries that aren't string literals are ignored.
+ */
+export function configExtends(src) {
+  const masked = maskSource(src);
+  const m = /defineNuxtConfig\s*\(\s*\{/.exec(masked) || /export\s+default\s*\{/.exec(masked);
+  if (!m) return [];
+  const open = m.index + m[0].length - 1;
+  const close = matchBracket(masked, open);
+  if (close === -1) return [];
+  const prop = objectProps(src, masked, open, close).find(p => p.key === 'extends');
+  if (!prop) return [];
+  const start = prop.valueStart + /^\s*/.exec(masked.slice(prop.valueStart))[0].length;
+  const end = masked[start] === '[' ? matchBracket(masked, start) : start + 1;
+  if (end === -1) return [];
+  const values = [];
+  const re = /(['"`])/g;
+  re.lastIndex = start;
+  for (let q; (q = re.exec(masked)) && q.index <= end;) {
+    const stop = masked.indexOf(q[1], q.index + 1);
+    values.push(src.slice(q.index + 1, stop));
+    re.lastIndex = stop + 1;
+  }
+  return values;
+}
+
+// Where a new import goes: after the last top-level import, else before `export default`
+function importPosition(src, configStart) {
+  let at = -1;
+  for (const m of src.matchAll(/^import\s[^;]*?['"][^'"\n]+['"][^\S\n]*;?[^\S\n]*$/gm)) at = m.index + m[0].length;
+  return at === -1 ? {at: src.lastIndexOf('\n', configStart) + 1, before: true} : {at, before: false};
+}
+
+/**
+ * Computes the nuxt.config edits. `wants` lists {key, values} for array properties,
+ * {key, value} for scalar ones and {key, code, import: {name, from}} for a property written as
+ * code that needs a default import. A code property is left alone once its module is imported
+ * and skipped when the key already exists. Returns the patched text plus the edits and skipped keys.
+ */
+export function patchNuxtConfig(src, wants) {
+  const masked = maskSource(src);
+  const m = /defineNuxtConfig\s*\(\s*\{/.exec(masked) || /export\s+default\s*\{/.exec(masked);
+  if (!m) return {text: src, edits: [], skipped: [{key: '*', reason: 'no-config-object'}]};
+  const open = m.index + m[0].length - 1;
+  const close = matchBracket(masked, open);
+  if (close === -1) return {text: src, edits: [], skipped: [{key: '*', reason: 'unbalanced'}]};
+
+  const props = objectProps(src, masked, open, close);
+  const firstString = /(['"])/.exec(masked.slice(open, close));
+  const q = firstString ? firstString[1] : '\'';
+  const lit = v => `${q}${v}${q}`;
+  const splices = [];
+  const edits = [];
+  const skipped = [];
+  const newProps = [];
+
+  for (const want of wants) {
+    const prop = props.find(p => p.key === want.key);
+    if (want.code !== undefined) {
+      if (new RegExp(`['"]${want.import.from.replace(/[/.]/g, '\\$&')}['"]`).test(src)) continue;
+      if (prop) {
+        skipped.push({key: want.key, reason: 'exists'});
+        continue;
+      }
+      const semi = /^\s*;/.test(masked.slice(close + 1).replace(/^\s*\)/, '')) ? ';' : '';
+      const {at, before} = importPosition(src, m.index);
+      const line = `import ${want.import.name} from ${lit(want.import.from)}${semi}`;
+      splices.push({at, text: before ? `${line}\n\n` : `\n${line}`});
+      newProps.push(`${want.key}: ${want.code}`);
+      edits.push({key: want.key, action: 'add-property', values: [want.code]});
+      continue;
+    }
+    if (!prop) {
+      const values = want.values || [want.value];
+      if (!values.length) continue;
+      newProps.push(`${want.key}: ${want.values ? `[${values.map(lit).join(', ')}]` : lit(want.value)}`);
+      edits.push({key: want.key, action: 'add-property', values});
+      continue;
+    }
+    if (!want.values) continue; // scalar already present: never touched
+    const start = masked.slice(prop.valueStart).search(/\S/) + prop.valueStart;
+    if (masked[start] !== '[') {
+      skipped.push({key: want.key, reason: 'not-an-array-literal'});
+      continue;
+    }
+    const end = matchBracket(masked, start);
+    const body = src.slice(start + 1, end);
+    const present = new Set([...body.matchAll(/(['"`])([^'"`]*)\1/g)].map(x => x[2]));
+    const has = v => want.key === 'css'
+        ? [...present].some(p => cssEntryPath(p) === cssEntryPath(v))
+        : present.has(v);
+    const missing = want.values.filter(v => !has(v));
+    if (!missing.length) continue;
+    const last = lastCodeIndex(masked, start, end);
+    if (last === start) {
+      splices.push({at: start + 1, text: missing.map(lit).join(', ')});
+    } else {
+      const items = missing.map(lit);
+      if (body.includes('\n')) {
+        splices.push(...appendLines(src, masked, last, lineIndent(src, last), items));
+      } else {
+        const trailingComma = masked[last] === ',';
+        splices.push({at: last + 1, text: `${trailingComma ? ' ' : ', '}${items.join(', ')}${trailingComma ? ',' : ''}`});
+      }
+    }
+    edits.push({key: want.key, action: 'append', values: missing});
+  }
+
+  if (newProps.length) {
+    const last = lastCodeIndex(masked, open, close);
+    if (last === open) {
+      splices.push({at: open + 1, text: `\n${newProps.map(p => `  ${p}`).join(',\n')}\n`});
+    } else {
+      const indent = lineIndent(src, props.length ? props[props.length - 1].valueStart : last) || '  ';
+      splices.push(...appendLines(src, masked, last, indent, newProps));
+    }
+  }
+
+  let text = src;
+  for (const sp of splices.sort((a, b) => b.at - a.at)) text = text.slice(0, sp.at) + sp.text + text.slice(sp.at);
+  return {text, edits, skipped};
+}
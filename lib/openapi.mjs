@@ -0,0 +1,554 @@
+/**
+ * @module @thaikolja/scaffold-nuxt-4/lib/openapi
+ * @description Server route stubs from an OpenAPI 3 document (--from-openapi). Every operation
+ *   becomes `server/api/<path>.<method>.ts` for paths below `/api` and
+ *   `server/routes/<path>.<method>.ts` for the others, with `{param}` segments as `[param]`; request and
+ *   response types go into `shared/types/<spec>.ts`, and params, query and body are checked
+ *   against the operation's schemas by a small validator in `server/utils/`. The files form a
+ *   template layer of their own, so they go through the usual add/skip classification.
+ */
+
+import fs                from 'node:fs';
+import path              from 'node:path';
+import os                from 'node:os';
+import {registerCleanup} from './lock.mjs';
+import {UsageError}      from './errors.mjs';
+import {parseYaml}       from './yaml.mjs';
+
+// Methods Nitro's file routing understands, in the order operations are listed
+export const OPENAPI_METHODS = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch', 'trace'];
+export const VALIDATOR_FILE = 'server/utils/openapi-validation.ts';
+
+// Schema keywords the generated validator checks; everything else is left out of the handlers
+const VALIDATION_KEYWORDS = new Set([
+  'type', 'nullable', 'enum', 'const', 'properties', 'required', 'additionalProperties', 'items',
+  'minItems', 'maxItems', 'minLength', 'maxLength', 'pattern', 'minimum', 'maximum',
+  'exclusiveMinimum', 'exclusiveMaximum', 'multipleOf', 'allOf', 'anyOf', 'oneOf', 'not'
+]);
+const IDENTIFIER_RE = /^[A-Za-z_$][\w$]*$/;
+// shared/types is auto-imported, so schema names must not shadow these
+const RESERVED_TYPE_NAMES = new Set([
+  'Array', 'Blob', 'Boolean', 'Date', 'Error', 'Event', 'File', 'FormData', 'Function', 'Headers', 'Map',
+  'Number', 'Object', 'Partial', 'Pick', 'Promise', 'Record', 'Request', 'Response', 'Set', 'String', 'Symbol', 'URL'
+]);
+const SCHEMA_REF_RE = /^#\/components\/schemas\/([^/]+)$/;
+
+const pascalCase = s => s.replace(/[^A-Za-z0-9]+(.)?/g, (_, c) => c ? c.toUpperCase() : '')
+    .replace(/^./, c => c.toUpperCase())
+    .replace(/^(?=\d)/, '_');
+const quote = s => `'${s.replace(/\\/g, '\\\\').replace(/'/g, '\\\'').replace(/\n/g, '\\n')}'`;
+const propertyKey = key => IDENTIFIER_RE.test(key) ? key : quote(key);
+const literal = value => typeof value === 'string' ? quote(value) : JSON.stringify(value);
+const isObject = v => v !== null && typeof v === 'object' && !Array.isArray(v);
+// JSON content of a request body or response: `application/json`, `*+json` or `*/*`
+const jsonMedia = content => Object.entries(content || {}).find(([type]) => /^application\/(?:[\w.-]+\+)?json\b|^\*\/\*$/.test(type))?.[1];
+
+/**
+ * Reads an OpenAPI 3.x document from a JSON or YAML file.
+ * @throws {UsageError} Unreadable or unparsable files, Swagger 2.0 and other non-OpenAPI 3 documents
+ */
+export function loadOpenApi(file) {
+  let text;
+  try {
+    text = fs.readFileSync(file, 'utf8');
+  } catch (e) {
+    throw new UsageError(`Cannot read OpenAPI document ${file}: ${e.message}`);
+  }
+  let spec;
+  try {
+    spec = /\.json$/i.test(file) || text.trimStart().startsWith('{') ? JSON.parse(text) : parseYaml(text);
+  } catch (e) {
+    throw new UsageError(`Cannot parse ${path.basename(file)}: ${e.message}`);
+  }
+  if (isObject(spec) && spec.swagger) {
+    throw new UsageError(`${path.basename(file)} is a Swagger ${spec.swagger} document; convert it to OpenAPI 3 first.`);
+  }
+  if (!isObject(spec) || !/^3\./.test(String(spec.openapi)) || !isObject(spec.paths)) {
+    throw new UsageError(`${path.basename(file)} is not an OpenAPI 3 document with "paths".`);
+  }
+  return spec;
+}
+
+/**
+ * Route file of a path, without the method: `/api/users/{id}` -> `server/api/users/[id]`,
+ * `/health` -> `server/routes/health`. Nuxt serves `server/api/` under `/api` and
+ * `server/routes/` from the root, so every path keeps its URL; `/` becomes `index`.
+ * @throws {UsageError} Segments that can't be a file path
+ */
+export function routePath(apiPath) {
+  const segments = apiPath.split('/').filter(Boolean);
+  const dir = segments[0] === 'api' ? 'server/api' : 'server/routes';
+  if (segments[0] === 'api') segments.shift();
+  for (const segment of segments) {
+    if (segment === '.' || segment === '..' || /[\\:*?"<>|]/.test(segment.replace(/\{[^}]*}/g, ''))) {
+      throw new UsageError(`Cannot map path "${apiPath}" to a server route file.`);
+    }
+  }
+  return `${dir}/${segments.map(s => s.replace(/\{([^}]+)}/g, '[$1]')).join('/') || 'index'}`;
+}
+
+/**
+ * Every file --from-openapi writes, keyed by template path.
+ * @param {object} spec    Parsed document (see loadOpenApi())
+ * @param {string} name    Base name of the types module, e.g. `openapi` for `shared/types/openapi.ts`
+ * @param {{types?: boolean}} [options] `types: false` leaves out the types module (JavaScript projects)
+ * @returns {{files: Map<string, string>, handlers: string[], operations: number}} `handlers` are
+ *   the route stubs, which are never replaced once they exist
+ */
+export function openApiFiles(spec, name, {types: withTypes = true} = {}) {
+  const resolve = ref => {
+    if (typeof ref !== 'string' || !ref.startsWith('#/')) {
+      throw new UsageError(`Only local $ref values (#/...) are supported (got "${ref}").`);
+    }
+    let target = spec;
+    for (const part of ref.slice(2).split('/')) {
+      const key = decodeURIComponent(part).replace(/~1/g, '/').replace(/~0/g, '~');
+      if (!isObject(target) && !Array.isArray(target) || !(key in target)) throw new UsageError(`Unresolved $ref "${ref}".`);
+      target = target[key];
+    }
+    return target;
+  };
+  // Parameters, request bodies and responses may themselves be references
+  const deref = (value, seen = new Set()) => {
+    if (!isObject(value) || typeof value.$ref !== 'string') return value;
+    if (seen.has(value.$ref)) throw new UsageError(`Circular $ref "${value.$ref}".`);
+    return deref(resolve(value.$ref), new Set([...seen, value.$ref]));
+  };
+
+  // Type names: component schemas first, then the operation types around them
+  const taken = new Set();
+  const unique = base => {
+    let candidate = base;
+    for (let i = 2; taken.has(candidate); i++) candidate = `${base}${i}`;
+    taken.add(candidate);
+    return candidate;
+  };
+  const schemas = isObject(spec.components?.schemas) ? spec.components.schemas : {};
+  const schemaNames = new Map(Object.keys(schemas).map(key => {
+    const typeName = pascalCase(key);
+    return [key, unique(RESERVED_TYPE_NAMES.has(typeName) ? `${typeName}Schema` : typeName)];
+  }));
+
+  const docComment = (schema, pad) => {
+    const text = typeof schema?.description === 'string' ? schema.description.replace(/\s+/g, ' ').trim() : '';
+    return text ? `${pad}/** ${text.replace(/\*\//g, '*\\/')} */\n` : '';
+  };
+
+  // TypeScript for a schema; `depth` is the nesting level of inline object types
+  const tsType = (schema, depth = 0, seen = new Set()) => {
+    if (!isObject(schema)) return schema === false ? 'never' : 'unknown';
+    if (schema.$ref) {
+      const m = SCHEMA_REF_RE.exec(schema.$ref);
+      const key = m && decodeURIComponent(m[1]).replace(/~1/g, '/').replace(/~0/g, '~');
+      if (key && schemaNames.has(key)) return schemaNames.get(key);
+      if (seen.has(schema.$ref)) return 'unknown';
+      return tsType(resolve(schema.$ref), depth, new Set([...seen, schema.$ref]));
+    }
+    const nullable = schema.nullable === true;
+    const withNull = type => nullable && type !== 'unknown' ? `${type} | null` : type;
+    const group = type => /[|&]/.test(type) ? `(${type})` : type;
+    if (Array.isArray(schema.enum)) return withNull(schema.enum.map(literal).join(' | ') || 'never');
+    if ('const' in schema) return literal(schema.const);
+    if (Array.isArray(schema.allOf)) return withNull(schema.allOf.map(s => group(tsType(s, depth, seen))).join(' & '));
+    const union = schema.oneOf || schema.anyOf;
+    if (Array.isArray(union)) return withNull(union.map(s => group(tsType(s, depth, seen))).join(' | '));
+    // OpenAPI 3.1 lists `null` among the types
+    if (Array.isArray(schema.type)) {
+      return schema.type.map(type => tsType({...schema, type, nullable: false}, depth, seen)).join(' | ');
+    }
+    const type = schema.type ?? (schema.properties || schema.additionalProperties ? 'object' : schema.items ? 'array' : null);
+    if (type === 'string') return withNull('string');
+    if (type === 'integer' || type === 'number') return withNull('number');
+    if (type === 'boolean') return withNull('boolean');
+    if (type === 'null') return 'null';
+    if (type === 'array') return withNull(`${group(tsType(schema.items, depth, seen))}[]`);
+    if (type === 'object') return withNull(objectType(schema, depth, seen));
+    return 'unknown';
+  };
+
+  const objectType = (schema, depth, seen = new Set()) => {
+    const properties = isObject(schema.properties) ? Object.entries(schema.properties) : [];
+    const extra = schema.additionalProperties;
+    if (!properties.length) {
+      return isObject(extra) && Object.keys(extra).length ? `Record<string, ${tsType(extra, depth, seen)}>` : 'Record<string, unknown>';
+    }
+    const pad = '  '.repeat(depth + 1);
+    const required = new Set(Array.isArray(schema.required) ? schema.required : []);
+    const members = properties.map(([key, prop]) =>
+        `${docComment(prop, pad)}${pad}${propertyKey(key)}${required.has(key) ? '' : '?'}: ${tsType(prop, depth + 1, seen)}`);
+    // An index signature has to admit every declared property, so it stays `unknown`
+    if (extra === true || isObject(extra)) members.push(`${pad}[key: string]: unknown`);
+    return `{\n${members.join('\n')}\n${'  '.repeat(depth)}}`;
+  };
+
+  // `export interface` for plain object schemas, `export type` for everything else
+  const declaration = (typeName, schema) => {
+    const plainObject = isObject(schema) && !schema.$ref && !schema.nullable && isObject(schema.properties)
+        && !['allOf', 'oneOf', 'anyOf', 'enum'].some(k => k in schema) && !Array.isArray(schema.type);
+    const body = plainObject ? `export interface ${typeName} ${objectType(schema, 0)}` : `export type ${typeName} = ${tsType(schema)}`;
+    return `${docComment(schema, '')}${body}\n`;
+  };
+
+  /**
+   * The schema as the validator sees it: references inlined (a reference back into itself
+   * accepts anything) and only the keywords it checks. `request` drops readOnly properties.
+   */
+  const validationSchema = (schema, request, seen = new Set()) => {
+    if (!isObject(schema)) return {};
+    if (schema.$ref) {
+      if (seen.has(schema.$ref)) return {};
+      return validationSchema(resolve(schema.$ref), request, new Set([...seen, schema.$ref]));
+    }
+    const out = {};
+    for (const [key, value] of Object.entries(schema)) {
+      if (!VALIDATION_KEYWORDS.has(key)) continue;
+      if (key === 'properties' && isObject(value)) {
+        const kept = Object.entries(value).filter(([, prop]) => !(request && deref(prop)?.readOnly));
+        out.properties = Object.fromEntries(kept.map(([k, prop]) => [k, validationSchema(prop, request, seen)]));
+      } else if (key === 'required' && Array.isArray(value)) {
+        const readOnly = k => request && deref(schema.properties?.[k])?.readOnly;
+        if (value.some(k => !readOnly(k))) out.required = value.filter(k => !readOnly(k));
+      } else if (['items', 'not'].includes(key) || (key === 'additionalProperties' && isObject(value))) {
+        out[key] = validationSchema(value, request, seen);
+      } else if (['allOf', 'anyOf', 'oneOf'].includes(key) && Array.isArray(value)) {
+        out[key] = value.map(s => validationSchema(s, request, seen));
+      } else {
+        out[key] = value;
+      }
+    }
+    return out;
+  };
+
+  // Object literal in the templates' style: unquoted keys, single quotes, short lists inline
+  const toLiteral = (value, depth = 0) => {
+    const pad = '  '.repeat(depth + 1);
+    if (Array.isArray(value)) {
+      const items = value.map(v => toLiteral(v, depth + 1));
+      const inline = `[${items.join(', ')}]`;
+      return inline.length <= 60 && !inline.includes('\n') ? inline : `[\n${items.map(i => `${pad}${i}`).join(',\n')}\n${'  '.repeat(depth)}]`;
+    }
+    if (isObject(value)) {
+      const entries = Object.entries(value);
+      if (!entries.length) return '{}';
+      return `{\n${entries.map(([k, v]) => `${pad}${propertyKey(k)}: ${toLiteral(v, depth + 1)}`).join(',\n')}\n${'  '.repeat(depth)}}`;
+    }
+    return literal(value);
+  };
+
+  const typeDeclarations = [...schemaNames].map(([key, typeName]) => declaration(typeName, schemas[key]));
+  const files = new Map();
+  const handlers = [];
+  const origin = new Map();
+  const names = new Map();
+  let operations = 0;
+
+  for (const [apiPath, rawItem] of Object.entries(spec.paths)) {
+    const item = deref(rawItem);
+    if (!isObject(item)) continue;
+    for (const method of OPENAPI_METHODS) {
+      const op = item[method];
+      if (!isObject(op)) continue;
+      operations++;
+      const label = `${method.toUpperCase()} ${apiPath}`;
+      const route = routePath(apiPath);
+      const rel = `${route}.${method}.ts`;
+      if (origin.has(rel)) throw new UsageError(`${origin.get(rel)} and ${label} both map to ${rel}.`);
+      origin.set(rel, label);
+      // Names leave out the route directory, so `GET /api/users` is `GetUsers`
+      const opName = pascalCase(op.operationId || `${method} ${route.replace(/^server\/(?:api|routes)\//, '').replace(/\[([^\]]+)]/g, 'by $1')}`);
+      if (names.has(opName)) throw new UsageError(`${names.get(opName)} and ${label} are both named ${opName}; give them distinct operationIds.`);
+      names.set(opName, label);
+
+      // Operation parameters override path-level ones with the same name and location
+      const params = new Map();
+      for (const p of [...(item.parameters || []), ...(op.parameters || [])].map(p => deref(p))) {
+        if (isObject(p) && p.name && p.in) params.set(`${p.in}:${p.name}`, p);
+      }
+      // Path segments the document forgot to declare are still strings
+      for (const m of apiPath.matchAll(/\{([^}]+)}/g)) {
+        if (!params.has(`path:${m[1]}`)) params.set(`path:${m[1]}`, {name: m[1], in: 'path', required: true, schema: {type: 'string'}});
+      }
+      const paramSchema = location => {
+        const list = [...params.values()].filter(p => p.in === location);
+        if (!list.length) return null;
+        const required = list.filter(p => p.required || location === 'path').map(p => p.name);
+        return {
+          type:       'object',
+          ...(required.length && {required}),
+          properties: Object.fromEntries(list.map(p => [p.name, {...(isObject(p.schema) ? p.schema : {}), ...(p.description && {description: p.description})}]))
+        };
+      };
+
+      const types = [];
+      const checks = [];
+      const schemaConsts = [];
+      const addCheck = (kind, schema, reader, typeName, options) => {
+        types.push(declaration(typeName, schema));
+        schemaConsts.push(`const ${kind}Schema = ${toLiteral(validationSchema(schema, true))}\n`);
+        checks.push(`  const ${kind} = await ${reader}(event, validateSchema<${typeName}>(${kind}Schema${options ? `, ${options}` : ''}))`);
+        return typeName;
+      };
+      const imported = [];
+      const pathSchema = paramSchema('path');
+      if (pathSchema) imported.push(addCheck('params', pathSchema, 'getValidatedRouterParams', unique(`${opName}Params`), '{ coerce: true }'));
+      const querySchema = paramSchema('query');
+      if (querySchema) imported.push(addCheck('query', querySchema, 'getValidatedQuery', unique(`${opName}Query`), '{ coerce: true }'));
+
+      const notes = [];
+      const requestBody = deref(op.requestBody);
+      if (isObject(requestBody)) {
+        const json = jsonMedia(requestBody.content);
+        const form = requestBody.content?.['application/x-www-form-urlencoded'];
+        const media = json || form;
+        const options = [...(form && !json ? ['coerce: true'] : []), ...(requestBody.required ? [] : ['optional: true'])];
+        if (media) {
+          imported.push(addCheck('body', media.schema ?? {}, 'readValidatedBody', unique(`${opName}Body`), options.length ? `{ ${options.join(', ')} }` : ''));
+        } else if (requestBody.content?.['multipart/form-data']) {
+          notes.push('  // multipart/form-data body: read it with readMultipartFormData(event)');
+        }
+      }
+
+      // First success response; its JSON schema types the handler's return value
+      const responses = isObject(op.responses) ? op.responses : {};
+      const success = Object.keys(responses).filter(code => /^2(?:\d\d|XX)$/i.test(code)).sort()[0];
+      const response = success && deref(responses[success]);
+      const responseMedia = isObject(response) ? jsonMedia(response.content) : null;
+      let returns = '';
+      if (responseMedia?.schema) {
+        const typeName = unique(`${opName}Response`);
+        types.push(declaration(typeName, responseMedia.schema));
+        imported.push(typeName);
+        returns = `: Promise<${typeName}>`;
+      }
+      typeDeclarations.push(...types);
+
+      const summary = [op.summary, op.description].find(s => typeof s === 'string' && s.trim())?.replace(/\s+/g, ' ').trim();
+      const todo = `Implement ${op.operationId || label}${success && success !== '200' ? ` and respond with ${success}` : ''}`;
+      const lines = [
+        ...(imported.length ? [`import type { ${imported.join(', ')} } from '#shared/types/${name}'\n`] : []),
+        ...schemaConsts,
+        `// ${label}${summary ? `: ${summary}` : ''}${op.deprecated ? ' (deprecated)' : ''}`,
+        `export default defineEventHandler(${checks.length || returns ? 'async ' : ''}(event)${returns} => {`,
+        ...checks,
+        ...notes,
+        ...(checks.length || notes.length ? [''] : []),
+        `  // TODO: ${todo}`,
+        `  throw createError({ statusCode: 501, statusMessage: 'Not implemented' })`,
+        '})',
+        ''
+      ];
+      files.set(rel, lines.join('\n'));
+      handlers.push(rel);
+    }
+  }
+  if (!operations) throw new UsageError('The OpenAPI document has no operations.');
+
+  const title = [spec.info?.title, spec.info?.version].filter(Boolean).join(' ');
+  if (withTypes) files.set(`shared/types/${name}.ts`, `// Types from the OpenAPI document${title ? ` (${title})` : ''}\n\n${typeDeclarations.join('\n')}`);
+  files.set(VALIDATOR_FILE, VALIDATOR_SOURCE);
+  return {files, handlers, operations};
+}
+
+/**
+ * Writes the files for `file` to a temp directory and describes it like resolveTemplate() does,
+ * so the scaffold can use it as its template layer. `preserve` lists the handler stubs. JavaScript
+ * projects get no types module; their handlers lose the type imports anyway.
+ * @returns {{templateRoot: string, source: string, ref: string, templateDir: string, mode: 'openapi',
+ *   commit: null, usedEmbedded: false, cache: null, preserve: string[], dispose: () => void}}
+ */
+export function openApiLayer(file, {lang = 'ts', debug = () => {}} = {}) {
+  const spec = loadOpenApi(file);
+  const name = path.basename(file).replace(/\.(?:ya?ml|json)$/i, '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'openapi';
+  const {files, handlers, operations} = openApiFiles(spec, name, {types: lang !== 'js'});
+  debug(`openapi: ${operations} operations in ${file}`);
+
+  const tempRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'nuxt4-scaffold-openapi-'));
+  const dispose = () => {
+    try {
+      fs.rmSync(tempRoot, {recursive: true, force: true});
+    } catch {
+    }
+  };
+  const unregister = registerCleanup(dispose);
+  try {
+    for (const [rel, content] of files) {
+      fs.mkdirSync(path.dirname(path.join(tempRoot, rel)), {recursive: true});
+      fs.writeFileSync(path.join(tempRoot, rel), content);
+    }
+  } catch (e) {
+    unregister();
+    dispose();
+    throw e;
+  }
+  return {
+    templateRoot: tempRoot,
+    source:       file,
+    ref:          String(spec.info?.version ?? ''),
+    templateDir:  '.',
+    mode:         'openapi',
+    commit:       null,
+    usedEmbedded: false,
+    cache:        null,
+    preserve:     handlers,
+    dispose:      () => {
+      unregister();
+      dispose();
+    }
+  };
+}
+
+const VALIDATOR_SOURCE = `// Checks request data against the JSON schemas of the server route handlers generated from OpenAPI
+
+export interface JsonSchema {
+  type?: string | string[]
+  nullable?: boolean
+  enum?: unknown[]
+  const?: unknown
+  properties?: Record<string, JsonSchema>
+  required?: string[]
+  additionalProperties?: boolean | JsonSchema
+  items?: JsonSchema
+  minItems?: number
+  maxItems?: number
+  minLength?: number
+  maxLength?: number
+  pattern?: string
+  minimum?: number
+  maximum?: number
+  exclusiveMinimum?: boolean | number
+  exclusiveMaximum?: boolean | number
+  multipleOf?: number
+  allOf?: JsonSchema[]
+  anyOf?: JsonSchema[]
+  oneOf?: JsonSchema[]
+  not?: JsonSchema
+}
+
+export interface ValidationIssue {
+  path: string
+  message: string
+}
+
+export interface ValidateOptions {
+  /** Convert query and route strings to the numbers, booleans and arrays the schema expects */
+  coerce?: boolean
+  /** Let a missing body through */
+  optional?: boolean
+}
+
+function typesOf(schema: JsonSchema): string[] {
+  if (Array.isArray(schema.type)) return schema.type
+  return schema.type ? [schema.type] : []
+}
+
+function kindOf(value: unknown): string {
+  if (value === null) return 'null'
+  if (Array.isArray(value)) return 'array'
+  if (typeof value === 'number' && Number.isInteger(value)) return 'integer'
+  return typeof value
+}
+
+function coerce(schema: JsonSchema, value: unknown): unknown {
+  const types = typesOf(schema)
+  if (types.includes('array')) {
+    const items = schema.items
+    const list = Array.isArray(value) ? value : [value]
+    return items ? list.map(item => coerce(items, item)) : list
+  }
+  if (kindOf(value) === 'object') {
+    const properties = schema.properties ?? {}
+    return Object.fromEntries(Object.entries(value as Record<string, unknown>).map(([key, v]) => {
+      const property = Object.hasOwn(properties, key) ? properties[key] : undefined
+      return [key, property ? coerce(property, v) : v]
+    }))
+  }
+  if (typeof value !== 'string') return value
+  if ((types.includes('integer') || types.includes('number')) && value.trim() && !Number.isNaN(Number(value))) {
+    return Number(value)
+  }
+  if (types.includes('boolean') && (value === 'true' || value === 'false')) return value === 'true'
+  return value
+}
+
+function check(schema: JsonSchema, value: unknown, path: string, issues: ValidationIssue[]): void {
+  const issue = (message: string, at = path) => issues.push({ path: at || '/', message })
+  const passes = (sub: JsonSchema) => {
+    const found: ValidationIssue[] = []
+    check(sub, value, path, found)
+    return !found.length
+  }
+  if (value === null && schema.nullable) return
+
+  const types = typesOf(schema)
+  const kind = kindOf(value)
+  if (types.length && !types.some(type => type === kind || (type === 'number' && kind === 'integer'))) {
+    issue(\`must be \${types.join(' or ')}\`)
+    return
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    issue(\`must be one of \${schema.enum.map(option => JSON.stringify(option)).join(', ')}\`)
+  }
+  if ('const' in schema && schema.const !== value) issue(\`must be \${JSON.stringify(schema.const)}\`)
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) issue(\`must have at least \${schema.minLength} characters\`)
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) issue(\`must have at most \${schema.maxLength} characters\`)
+    if (schema.pattern !== undefined && !new RegExp(schema.pattern, 'u').test(value)) issue(\`must match \${schema.pattern}\`)
+  }
+  if (typeof value === 'number') {
+    const { minimum, maximum, exclusiveMinimum, exclusiveMaximum, multipleOf } = schema
+    // OpenAPI 3.0 marks minimum/maximum as exclusive, 3.1 gives the exclusive bound itself
+    if (minimum !== undefined && (exclusiveMinimum === true ? value <= minimum : value < minimum)) {
+      issue(\`must be \${exclusiveMinimum === true ? 'greater than' : 'at least'} \${minimum}\`)
+    }
+    if (maximum !== undefined && (exclusiveMaximum === true ? value >= maximum : value > maximum)) {
+      issue(\`must be \${exclusiveMaximum === true ? 'less than' : 'at most'} \${maximum}\`)
+    }
+    if (typeof exclusiveMinimum === 'number' && value <= exclusiveMinimum) issue(\`must be greater than \${exclusiveMinimum}\`)
+    if (typeof exclusiveMaximum === 'number' && value >= exclusiveMaximum) issue(\`must be less than \${exclusiveMaximum}\`)
+    if (multipleOf !== undefined && !Number.isInteger(value / multipleOf)) issue(\`must be a multiple of \${multipleOf}\`)
+  }
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) issue(\`must have at least \${schema.minItems} items\`)
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) issue(\`must have at most \${schema.maxItems} items\`)
+    const items = schema.items
+    if (items) value.forEach((item, i) => check(items, item, \`\${path}/\${i}\`, issues))
+  }
+  if (kind === 'object') {
+    const record = value as Record<string, unknown>
+    const properties = schema.properties ?? {}
+    for (const key of schema.required ?? []) {
+      if (record[key] === undefined) issue('is required', \`\${path}/\${key}\`)
+    }
+    for (const [key, v] of Object.entries(record)) {
+      const property = Object.hasOwn(properties, key) ? properties[key] : undefined
+      const extra = schema.additionalProperties
+      if (property) check(property, v, \`\${path}/\${key}\`, issues)
+      else if (extra === false) issue('is not allowed', \`\${path}/\${key}\`)
+      else if (extra && extra !== true) check(extra, v, \`\${path}/\${key}\`, issues)
+    }
+  }
+
+  for (const sub of schema.allOf ?? []) check(sub, value, path, issues)
+  if (schema.anyOf && !schema.anyOf.some(passes)) issue('must match at least one of the allowed schemas')
+  if (schema.oneOf && schema.oneOf.filter(passes).length !== 1) issue('must match exactly one of the allowed schemas')
+  if (schema.not && passes(schema.not)) issue('must not match the excluded schema')
+}
+
+/**
+ * A validator for readValidatedBody(), getValidatedQuery() and getValidatedRouterParams().
+ * Invalid input is rejected with a 400 error listing every issue under \`data.issues\`.
+ */
+export function validateSchema<T>(schema: JsonSchema, options: ValidateOptions = {}) {
+  return (value: unknown): T => {
+    if (options.optional && (value === undefined || value === null || value === '')) return value as T
+    const input = options.coerce ? coerce(schema, value) : value
+    const issues: ValidationIssue[] = []
+    check(schema, input, '', issues)
+    if (issues.length) {
+      throw createError({ statusCode: 400, statusMessage: 'Validation failed', data: { issues } })
+    }
+    return input as T
+  }
+}
+`;
@@ -0,0 +1,62 @@
+/**
+ * @module @thaikolja/scaffold-nuxt-4/lib/presets
+ * @description Embedded presets (--preset). A preset is the embedded `templates/` skeleton plus
+ *   an optional overlay in `presets/<name>/`, merged as one more template layer. Overlays use the
+ *   same template mechanisms as any other layer: a `scaffold.features.json` to gate their files
+ *   and a `.scaffoldignore` to drop skeleton files they don't need.
+ */
+
+import path                     from 'node:path';
+import {fileURLToPath}          from 'node:url';
+import {walk, toPosix}          from './fs-utils.mjs';
+import {UsageError}             from './errors.mjs';
+import {FEATURES_MANIFEST_NAME} from './features.mjs';
+import {IGNORE_FILE_NAME}       from './ignore.mjs';
+import {untemplatedPath}        from './render.mjs';
+
+export const PRESETS_DIR = 'presets';
+export const DEFAULT_PRESET = 'minimal';
+// Layer URL of a preset overlay, e.g. `preset:blog`
+export const PRESET_SCHEME = 'preset:';
+
+// `overlay: false` is the plain skeleton
+export const PRESETS = Object.freeze({
+  minimal:    {description: 'The skeleton: empty default layout, error page and a hello API route', overlay: false},
+  blog:       {description: 'Content collection for posts, a [...slug].vue post page, a post list and an RSS feed', overlay: true},
+  'api-only': {description: 'Server routes, server middleware and shared/ types; no app/ directory', overlay: true},
+  app:        {description: 'Auth middleware and composable, default/auth layouts, an API plugin, login and dashboard pages', overlay: true}
+});
+
+// Overlay files that configure the layer instead of being copied
+const METADATA = new Set([FEATURES_MANIFEST_NAME, IGNORE_FILE_NAME]);
+
+const packageRoot = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+/** @throws {UsageError} Unknown preset name */
+export function checkPreset(name) {
+  if (!Object.hasOwn(PRESETS, name)) {
+    throw new UsageError(`Unknown preset "${name}". Known: ${Object.keys(PRESETS).join(', ')}.`);
+  }
+  return name;
+}
+
+// Directory of a preset's overlay; null for presets without one
+export function presetRoot(name) {
+  checkPreset(name);
+  return PRESETS[name].overlay ? path.join(packageRoot, PRESETS_DIR, name) : null;
+}
+
+/**
+ * Every preset with the files its overlay adds or replaces, as written to the target (template
+ * metadata excluded).
+ * @returns {Promise<{presets: {name: string, description: string, default: boolean, files: string[]}[]}>}
+ */
+export async function listPresets() {
+  return {
+    presets: Object.entries(PRESETS).map(([name, {description}]) => {
+      const root = presetRoot(name);
+      const files = root ? walk(root).map(toPosix).filter(rel => !METADATA.has(path.posix.basename(rel))).map(untemplatedPath).sort() : [];
+      return {name, description, default: name === DEFAULT_PRESET, files};
+    })
+  };
+}
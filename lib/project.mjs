@@ -0,0 +1,39 @@
+/**
+ * @module @thaikolja/scaffold-nuxt-4/lib/project
+ * @description Validates a target directory as a Nuxt project and reads its package.json.
+ */
+
+import fs            from 'node:fs';
+import path          from 'node:path';
+import process       from 'node:process';
+import {expandTilde} from './fs-utils.mjs';
+import {UsageError}  from './errors.mjs';
+
+export const NUXT_CONFIG_NAMES = ['nuxt.config.ts', 'nuxt.config.js', 'nuxt.config.mjs'];
+
+/**
+ * @param {string} [target] Project directory; defaults to the current working directory.
+ * @returns {{targetRoot: string, pkg: object, deps: Record<string, string>, nuxtConfigName: string}}
+ */
+export function loadProject(target) {
+  const targetRoot = target ? path.resolve(expandTilde(target)) : process.cwd();
+  if (!fs.existsSync(targetRoot) || !fs.statSync(targetRoot).isDirectory()) {
+    throw new UsageError(`Target path not a directory: ${targetRoot}`);
+  }
+  const pkgPath = path.join(targetRoot, 'package.json');
+  if (!fs.existsSync(pkgPath)) {
+    throw new UsageError(`package.json missing in target: ${targetRoot}`);
+  }
+  let pkg;
+  try {
+    pkg = JSON.parse(fs.readFileSync(pkgPath, 'utf8'));
+  } catch {
+    throw new UsageError('Failed to parse package.json.');
+  }
+  const nuxtConfigName = NUXT_CONFIG_NAMES.find(f => fs.existsSync(path.join(targetRoot, f)));
+  if (!nuxtConfigName) {
+    throw new UsageError('nuxt.config.* missing in target path.');
+  }
+  const deps = {...(pkg.dependencies || {}), ...(pkg.devDependencies || {})};
+  return {targetRoot, pkg, deps, nuxtConfigName};
+}
@@ -0,0 +1,97 @@
+/**
+ * @module @thaikolja/scaffold-nuxt-4/lib/prompt
+ * @description Minimal checkbox prompt on raw stdin keypresses, so --interactive needs no
+ *   dependencies. Only used by the CLI; callers must check `process.stdin.isTTY` first.
+ */
+
+import process  from 'node:process';
+import readline from 'node:readline';
+
+const identity = s => s;
+
+/**
+ * Shows a scrollable checkbox list. Keys: up/down (or k/j) move, space toggles, `a` toggles all,
+ * enter confirms, `q`/escape/ctrl-c abort.
+ *
+ * @param {object} options
+ * @param {string} options.message
+ * @param {{label: string, value: *, checked?: boolean, disabled?: boolean, hint?: string}[]} options.choices
+ *   Disabled choices are shown for context but can't be toggled or selected.
+ * @param {{cyan?: Function, dim?: Function, green?: Function}} [options.colors]
+ * @param {NodeJS.WriteStream} [options.output] Defaults to stderr so stdout stays machine-readable.
+ * @returns {Promise<Array | null>} Values of the checked choices, or null when aborted.
+ */
+export function checkbox({message, choices, colors = {}, output = process.stderr}) {
+  const {cyan = identity, dim = identity, green = identity} = colors;
+  const input = process.stdin;
+  const items = choices.map(c => ({...c, checked: !c.disabled && c.checked !== false}));
+  const selectable = items.map((c, i) => c.disabled ? -1 : i).filter(i => i !== -1);
+  let cursor = selectable[0] ?? 0;
+  let offset = 0;
+  let drawn = 0;
+
+  const render = () => {
+    const height = Math.max(5, (output.rows || 24) - 4);
+    if (cursor < offset) offset = cursor;
+    if (cursor >= offset + height) offset = cursor - height + 1;
+    const visible = items.slice(offset, offset + height);
+    const lines = [
+      `${cyan('?')} ${message}`,
+      dim('  (up/down move, space toggle, a all, enter confirm, q abort)'),
+      ...visible.map((c, i) => {
+        const index = offset + i;
+        const pointer = index === cursor ? cyan('>') : ' ';
+        const box = c.disabled ? dim('   ') : c.checked ? green('[x]') : '[ ]';
+        const label = c.disabled ? dim(c.label) : c.label;
+        return `${pointer} ${box} ${label}${c.hint ? ` ${dim(c.hint)}` : ''}`;
+      })
+    ];
+    if (items.length > height) lines.push(dim(`  ${offset + 1}-${offset + visible.length} of ${items.length}`));
+    if (drawn) output.write(`\x1b[${drawn}A\r\x1b[J`);
+    output.write(lines.join('\n') + '\n');
+    drawn = lines.length;
+  };
+
+  const move = step => {
+    if (!selectable.length) return;
+    const at = selectable.indexOf(cursor);
+    cursor = selectable[(at + step + selectable.length) % selectable.length];
+  };
+
+  return new Promise(resolve => {
+    const wasRaw = input.isRaw;
+    readline.emitKeypressEvents(input);
+    input.setRawMode(true);
+    input.resume();
+    output.write('\x1b[?25l');
+
+    const finish = result => {
+      input.off('keypress', onKey);
+      input.setRawMode(wasRaw);
+      input.pause();
+      output.write('\x1b[?25h');
+      resolve(result);
+    };
+
+    const onKey = (str, key = {}) => {
+      if ((key.ctrl && key.name === 'c') || key.name === 'escape' || key.name === 'q') return finish(null);
+      if (key.name === 'return' || key.name === 'enter') {
+        return finish(items.filter(c => c.checked).map(c => c.value));
+      }
+      if (key.name === 'up' || key.name === 'k') move(-1);
+      else if (key.name === 'down' || key.name === 'j') move(1);
+      else if (key.name === 'space' && items[cursor] && !items[cursor].disabled) {
+        items[cursor].checked = !items[cursor].checked;
+      } else if (key.name === 'a') {
+        const next = !selectable.every(i => items[i].checked);
+        for (const i of selectable) items[i].checked = next;
+      } else {
+        return;
+      }
+      render();
+    };
+
+    input.on('keypress', onKey);
+    render();
+  });
+}
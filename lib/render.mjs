@@ -0,0 +1,187 @@
+/**
+ * @module @thaikolja/scaffold-nuxt-4/lib/render
+ * @description Template variables and conditional blocks. Only files marked with the
+ *   TEMPLATE_SUFFIX (`app.config.ts.tpl` -> `app.config.ts`) are rendered:
+ *     {{ pkg.name }}                       value from package.json, --var or the run
+ *     {{ vars.siteName || pkg.name }}      first non-empty alternative; "quoted" literals allowed
+ *     {{ vars.siteName | json }}           value through a filter (FILTERS), for string contexts
+ *     {{#if content}} … {{else}} … {{/if}} feature conditional; {{#unless}} negates
+ *     \{{                                  a literal `{{`
+ *   Placeholders that aren't expressions over known names, such as Vue's `{{ error.statusCode }}`,
+ *   are left as they are.
+ */
+
+import {UsageError} from './errors.mjs';
+
+export const TEMPLATE_SUFFIX = '.tpl';
+
+// Names a --var key may use
+const VAR_KEY_RE = /^[A-Za-z_$][\w$]*$/;
+const PATH_RE = /^[A-Za-z_$][\w$-]*(?:\.[A-Za-z_$][\w$-]*)*$/;
+const STRING_RE = /^(['"])(.*)\1$/s;
+const TAG_RE = /\\\{\{|\{\{([\s\S]*?)\}\}/g;
+const BLOCK_RE = /^(#if|#unless|else|\/if|\/unless)(?:\s+([\s\S]*))?$/;
+// A trailing `| name`; `||` separates alternatives instead
+const FILTER_RE = /(?<!\|)\|(?!\|)\s*([\w-]+)\s*$/;
+
+/**
+ * Escapes for the context a value lands in. `json` gives a quoted JS/JSON string literal; `html`
+ * escapes markup, including the braces Vue would read as an interpolation.
+ */
+const FILTERS = {
+  json: value => JSON.stringify(value),
+  html: value => value.replace(/[&<>"'{}]/g, c => `&#${c.charCodeAt(0)};`)
+};
+
+export const isTemplateFile = rel => rel.endsWith(TEMPLATE_SUFFIX);
+export const untemplatedPath = rel => isTemplateFile(rel) ? rel.slice(0, -TEMPLATE_SUFFIX.length) : rel;
+
+/**
+ * Parses `--var key=value` entries into an object; later keys win.
+ * @param {string[]} entries
+ * @returns {Record<string, string>}
+ */
+export function parseVars(entries) {
+  const vars = {};
+  for (const entry of entries) {
+    const eq = entry.indexOf('=');
+    const key = eq === -1 ? entry : entry.slice(0, eq);
+    if (eq === -1 || !VAR_KEY_RE.test(key)) {
+      throw new UsageError(`--var expects key=value with a key like siteName (got "${entry}").`);
+    }
+    vars[key] = entry.slice(eq + 1);
+  }
+  return vars;
+}
+
+/**
+ * Values a template can use: every feature by name (on or off), `pkg` (package.json), `vars`
+ * (config file `vars` and --var), `lang` (`ts` | `js`) and `tailwind` (major or null).
+ */
+export function templateContext({pkg, features, vars, lang, tailwind}) {
+  return {...features, pkg, vars, lang, tailwind};
+}
+
+// `a.b || "x"` -> [{path: ['a', 'b']}, {literal: 'x'}], or null when it isn't one
+function parseExpression(source) {
+  const alternatives = [];
+  for (const part of source.split('||').map(s => s.trim())) {
+    const literal = STRING_RE.exec(part);
+    if (literal) alternatives.push({literal: literal[2]});
+    else if (PATH_RE.test(part)) alternatives.push({path: part.split('.')});
+    else return null;
+  }
+  return alternatives;
+}
+
+// Every name the expression reads is a key of the context
+const knows = (context, alternatives) => alternatives.every(a => a.path === undefined || Object.hasOwn(context, a.path[0]));
+
+function lookup(context, keys) {
+  let value = context;
+  for (const key of keys) {
+    if (value === null || typeof value !== 'object' || !Object.hasOwn(value, key)) return undefined;
+    value = value[key];
+  }
+  return value;
+}
+
+const isEmpty = value => value === undefined || value === null || value === false || value === ''
+    || (Array.isArray(value) && !value.length);
+
+// First alternative that isn't empty
+function evaluate(context, alternatives) {
+  for (const a of alternatives) {
+    const value = a.path ? lookup(context, a.path) : a.literal;
+    if (!isEmpty(value)) return value;
+  }
+  return undefined;
+}
+
+const stringify = value => isEmpty(value) ? '' : typeof value === 'object' ? JSON.stringify(value) : String(value);
+
+/**
+ * Renders a marked template. Block tags that are alone on their line take the line with them.
+ * @throws {Error} Unbalanced blocks and conditions over unknown names, with the line number
+ */
+export function renderTemplate(text, context) {
+  const lineOf = offset => text.slice(0, offset).split('\n').length;
+  const fail = (offset, message) => {
+    throw new Error(`Template line ${lineOf(offset)}: ${message}`);
+  };
+
+  // Flat token list; standalone block tags swallow their indentation and line break
+  const tokens = [];
+  let cursor = 0;
+  for (const m of text.matchAll(TAG_RE)) {
+    const block = m[1] !== undefined && BLOCK_RE.exec(m[1].trim());
+    let start = m.index;
+    let end = m.index + m[0].length;
+    if (block) {
+      const lineStart = text.lastIndexOf('\n', start - 1) + 1;
+      const lineEnd = text.indexOf('\n', end);
+      const after = lineEnd === -1 ? text.length : lineEnd;
+      if (!text.slice(lineStart, start).trim() && !text.slice(end, after).trim()) {
+        start = lineStart;
+        end = lineEnd === -1 ? after : lineEnd + 1;
+      }
+    }
+    // Never reach back into text an earlier standalone tag already consumed
+    start = Math.max(start, cursor);
+    tokens.push({type: 'text', value: text.slice(cursor, start)});
+    if (m[0] === '\\{{') {
+      tokens.push({type: 'text', value: '{{'});
+    } else if (block) {
+      tokens.push({type: block[1], expression: block[2]?.trim(), offset: m.index});
+    } else {
+      tokens.push({type: 'placeholder', source: m[1], raw: m[0], offset: m.index});
+    }
+    cursor = end;
+  }
+  tokens.push({type: 'text', value: text.slice(cursor)});
+
+  let out = '';
+  // Open blocks, innermost last; output is dropped while any of them is false
+  const stack = [];
+  const active = () => stack.every(b => b.on);
+  for (const t of tokens) {
+    if (t.type === 'text') {
+      if (active()) out += t.value;
+    } else if (t.type === 'placeholder') {
+      if (!active()) continue;
+      let source = t.source.trim();
+      const filters = [];
+      for (let f; (f = FILTER_RE.exec(source));) {
+        filters.unshift(f[1]);
+        source = source.slice(0, f.index).trim();
+      }
+      const alternatives = parseExpression(source);
+      if (!alternatives || !knows(context, alternatives)) {
+        out += t.raw;
+        continue;
+      }
+      const unknown = filters.find(f => !Object.hasOwn(FILTERS, f));
+      if (unknown) fail(t.offset, `unknown filter "${unknown}".`);
+      out += filters.reduce((value, f) => FILTERS[f](value), stringify(evaluate(context, alternatives)));
+    } else if (t.type === '#if' || t.type === '#unless') {
+      const alternatives = t.expression && parseExpression(t.expression);
+      if (!alternatives || alternatives.some(a => a.literal !== undefined)) {
+        fail(t.offset, `{{${t.type}}} expects a name, e.g. {{${t.type} content}}.`);
+      }
+      const unknown = alternatives.find(a => !Object.hasOwn(context, a.path[0]));
+      if (unknown) fail(t.offset, `unknown name "${unknown.path[0]}".`);
+      const value = !isEmpty(evaluate(context, alternatives));
+      stack.push({name: t.type.slice(1), on: t.type === '#if' ? value : !value, offset: t.offset, hasElse: false});
+    } else if (t.type === 'else') {
+      const open = stack.at(-1);
+      if (!open || open.hasElse) fail(t.offset, '{{else}} outside of an {{#if}} or {{#unless}} block.');
+      open.on = !open.on;
+      open.hasElse = true;
+    } else {
+      const open = stack.pop();
+      if (!open || `/${open.name}` !== t.type) fail(t.offset, `{{${t.type}}} doesn't close an open block.`);
+    }
+  }
+  if (stack.length) fail(stack.at(-1).offset, `{{#${stack.at(-1).name}}} is never closed.`);
+  return out;
+}
@@ -0,0 +1,125 @@
+/**
+ * @module @thaikolja/scaffold-nuxt-4/lib/revert
+ * @description Backs a scaffold out again (--revert) using the hashed manifest.
+ */
+
+import fs                            from 'node:fs';
+import path                          from 'node:path';
+import {VERSION}                     from './constants.mjs';
+import {UsageError}                  from './errors.mjs';
+import {acquireLock}                 from './lock.mjs';
+import {loadProject}                 from './project.mjs';
+import {hashFile, pruneEmptyParents} from './fs-utils.mjs';
+import {
+  MANIFEST_NAME,
+  readManifest,
+  writeManifest
+}                                    from './manifest.mjs';
+
+/**
+ * Deletes files recorded in the scaffold manifest whose hash still matches what was written;
+ * edited files are kept and stay tracked. Files written over a `--on-conflict=backup` copy get
+ * that backup moved back instead, and are kept when the backup is gone.
+ * @param {{target?: string, dryRun?: boolean, listOnly?: boolean}} [options]
+ */
+export async function revert({target, dryRun = false, listOnly = false} = {}) {
+  const {targetRoot} = loadProject(target);
+  const manifest = readManifest(targetRoot);
+  if (!manifest) {
+    throw new UsageError(`No readable ${MANIFEST_NAME} in target; nothing to revert.`);
+  }
+
+  const actions = [];
+  const removed = [];
+  const restored = [];
+  const kept = [];
+  const missing = [];
+  const errors = [];
+
+  for (const rel of Object.keys(manifest.files).sort()) {
+    const abs = path.join(targetRoot, rel);
+    if (!fs.existsSync(abs)) {
+      actions.push({rel, action: 'missing'});
+      missing.push(rel);
+      continue;
+    }
+    let hash;
+    try {
+      hash = hashFile(abs);
+    } catch (e) {
+      errors.push({file: rel, error: e.message});
+      continue;
+    }
+    if (hash !== manifest.files[rel].sha256) {
+      actions.push({rel, action: 'keep-modified', reason: 'modified'});
+      kept.push(rel);
+      continue;
+    }
+    const {backup} = manifest.files[rel];
+    if (backup && !fs.existsSync(path.join(targetRoot, backup))) {
+      actions.push({rel, action: 'keep-modified', reason: 'backup-missing'});
+      kept.push(rel);
+      continue;
+    }
+    if (backup) {
+      actions.push({rel, action: 'restore-backup', backup});
+      restored.push(rel);
+      continue;
+    }
+    actions.push({rel, action: 'remove'});
+    removed.push(rel);
+  }
+
+  if (!(dryRun || listOnly)) {
+    const release = acquireLock(targetRoot);
+    try {
+      for (const rel of removed) {
+        try {
+          fs.rmSync(path.join(targetRoot, rel));
+          pruneEmptyParents(path.join(targetRoot, rel), targetRoot);
+        } catch (e) {
+          errors.push({file: rel, error: e.message});
+        }
+      }
+      for (const rel of restored) {
+        try {
+          fs.renameSync(path.join(targetRoot, manifest.files[rel].backup), path.join(targetRoot, rel));
+        } catch (e) {
+          errors.push({file: rel, error: e.message});
+        }
+      }
+      // Only files that are still on disk (kept or failed) remain tracked
+      const remaining = {};
+      for (const rel of [...kept, ...errors.map(e => e.file)]) remaining[rel] = manifest.files[rel];
+      try {
+        if (Object.keys(remaining).length) writeManifest(targetRoot, {...manifest, files: remaining});
+        else fs.rmSync(path.join(targetRoot, MANIFEST_NAME), {force: true});
+      } catch (e) {
+        errors.push({file: MANIFEST_NAME, error: e.message});
+      }
+    } finally {
+      release();
+    }
+  }
+
+  return {
+    version:   VERSION,
+    target:    targetRoot,
+    mode:      'revert',
+    manifest:  {source: manifest.source, ref: manifest.ref, commit: manifest.commit, createdAt: manifest.createdAt},
+    effective: {dryRun, listOnly},
+    counts:    {
+      remove:  removed.length,
+      restore: restored.length,
+      keep:    kept.length,
+      missing: missing.length,
+      errors:  errors.length
+    },
+    removed,
+    restored,
+    kept,
+    missing,
+    errors,
+    actions
+  };
+}
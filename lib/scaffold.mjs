@@ -0,0 +1,740 @@
+/**
+ * @module @thaikolja/scaffold-nuxt-4/lib/scaffold
+ * @description The additive scaffold itself: classifies every template file against the target
+ *   (add | skip | overwrite | backup | side-by-side | update | keep | conflict | exclude), writes
+ *   what it may and returns the same payload the CLI prints for --json.
+ */
+
+import fs                   from 'node:fs';
+import path                 from 'node:path';
+import {VERSION, LOCK_NAME} from './constants.mjs';
+import {
+  UsageError,
+  TemplateEmptyError
+}                           from './errors.mjs';
+import {acquireLock}        from './lock.mjs';
+import {loadProject}        from './project.mjs';
+import {resolveTemplate}    from './template-source.mjs';
+import {openApiLayer}       from './openapi.mjs';
+import {
+  unifiedDiff,
+  mergeWithMarkers
+}                           from './diff.mjs';
+import {
+  patchNuxtConfig,
+  configModules
+}                           from './nuxt-config.mjs';
+import {
+  walk,
+  toPosix,
+  hashBuffer,
+  hashFile,
+  isBinary
+}                           from './fs-utils.mjs';
+import {
+  MANIFEST_NAME,
+  readManifest,
+  recordManifest
+}                           from './manifest.mjs';
+import {
+  FEATURES_MANIFEST_NAME,
+  loadFeatures,
+  resolveFeatures
+}                           from './features.mjs';
+import {
+  CONFLICT_ACTIONS,
+  conflictStrategies,
+  sideBySideName,
+  backupName
+}                           from './conflicts.mjs';
+import {
+  CONFIG_FILE_NAMES,
+  loadConfig,
+  resolveSettings,
+  templateLayers,
+  isEmbeddedLayer
+}                           from './config.mjs';
+import {
+  IGNORE_FILE_NAME,
+  compilePattern,
+  readIgnoreFile,
+  createIgnore
+}                           from './ignore.mjs';
+import {
+  detectPackageManager,
+  missingPackages,
+  installCommand,
+  runInstall
+}                           from './install.mjs';
+import {
+  TAILWIND_STYLESHEET,
+  TAILWIND_VITE_PLUGIN,
+  isTailwindConfig,
+  detectTailwindVersion,
+  tailwindFiles,
+  tailwindNextSteps
+}                           from './tailwind.mjs';
+import {checkFailures}      from './check.mjs';
+import {
+  createTransaction,
+  createDirectWriter
+}                           from './transaction.mjs';
+import {
+  isTemplateFile,
+  untemplatedPath,
+  templateContext,
+  renderTemplate
+}                           from './render.mjs';
+import {
+  detectLang,
+  hasTypes,
+  jsPath,
+  twinPath,
+  toJavaScript
+}                           from './lang.mjs';
+
+export const MERGE_STYLES = ['files', 'markers'];
+
+const layerInfo = ({source, ref, mode, commit, cache, templateDir}) => ({source, ref, templateDir, mode, commit, cache});
+
+const isInfoFile = rel => path.basename(rel) === 'INFO.md';
+
+// Always-exclude basenames
+export const ALWAYS_EXCLUDE = new Set([
+  'package.json',
+  'package-lock.json',
+  'pnpm-lock.yaml',
+  'yarn.lock',
+  'bun.lockb',
+  'scaffold.mjs',
+  '_scaffold.mjs',
+  'a.txt',
+  LOCK_NAME,
+  MANIFEST_NAME,
+  FEATURES_MANIFEST_NAME,
+  ...CONFIG_FILE_NAMES,
+  IGNORE_FILE_NAME,
+  '.DS_Store',
+  'Thumbs.db'
+]);
+
+// Docs excluded unless explicitly included
+export const DOC_EXCLUDE = new Set([
+  'README.md',
+  'LICENSE',
+  'LICENSE.txt',
+  'CHANGELOG.md',
+  'CHANGES.md'
+]);
+
+/**
+ * Copies template files that don't exist in the target yet. Never overwrites anything except,
+ * with `update`, files whose manifest hash proves the user never edited them, and files the
+ * `onConflict` strategy (or a per-path `conflicts` rule) says to overwrite or back up.
+ *
+ * @param {import('../index.d.ts').ScaffoldOptions} [options]
+ * @returns {Promise<import('../index.d.ts').ScaffoldResult>}
+ * @throws {UsageError} Invalid options, unusable target or template source
+ * @throws {TemplateEmptyError} The template source has no files
+ */
+export async function scaffold(options = {}) {
+  const {
+    target,
+    all = false,
+    check = false,
+    dryRun: dryRunOption = false,
+    listOnly = false,
+    update: updateMode = false,
+    mergeStyle = 'files',
+    patchConfig = false,
+    diff: showDiff = false,
+    install = false,
+    transactional = true,
+    offline = false,
+    refresh = false,
+    cacheDir,
+    openapi,
+    debug = () => {}
+  } = options;
+  // --check never writes
+  const dryRun = dryRunOption || check;
+  // Template files the caller chose not to add (--interactive); existing files are unaffected
+  const deselected = new Set(options.deselected || []);
+
+  if (!MERGE_STYLES.includes(mergeStyle)) {
+    throw new UsageError(`--merge-style must be "files" or "markers" (got "${mergeStyle}").`);
+  }
+  const tailwindMajor = options.tailwind === undefined || options.tailwind === null ? undefined : String(options.tailwind);
+  if (tailwindMajor !== undefined && !['3', '4'].includes(tailwindMajor)) {
+    throw new UsageError('--tailwind must be 3 or 4.');
+  }
+
+  const {targetRoot, pkg, deps, nuxtConfigName} = loadProject(target);
+  const language = detectLang(targetRoot, deps, nuxtConfigName, options.lang);
+  // Persistent settings: defaults < target config file < options.env < options
+  const config = await loadConfig(targetRoot, pkg);
+  const {settings, sources} = resolveSettings(config, options.env, options);
+  debug(`config file: ${config.file ?? 'none'}`);
+  for (const [key, source] of Object.entries(sources)) {
+    const perKey = /^(features|vars)\.(.+)$/.exec(key);
+    const value = perKey ? settings[perKey[1]][perKey[2]] : settings[key];
+    debug(`setting ${key}=${JSON.stringify(value)} (${source})`);
+  }
+  const {fast, clean: cleanInfo, includeDocs, onConflict} = settings;
+  const overrides = {...settings.features};
+  // A pinned version only makes sense with Tailwind on, unless it was explicitly turned off
+  if (tailwindMajor !== undefined && overrides.tailwind === undefined) overrides.tailwind = true;
+  const strategyOf = conflictStrategies(onConflict, settings.conflicts);
+  // --only / --exclude globs (gitignore syntax without negation)
+  const onlyRules = settings.only.map(g => compilePattern(g, {negation: false})).filter(Boolean);
+  const excludeRules = settings.exclude.map(g => compilePattern(g, {negation: false})).filter(Boolean);
+
+  // Template layers, lowest first; the first one describes the run in the payload and manifest.
+  // An OpenAPI document replaces them with the files generated from it.
+  const layers = openapi ? [] : templateLayers(settings);
+  // Presets build on the embedded templates; other sources run without one
+  const preset = layers.some(isEmbeddedLayer) ? settings.preset : null;
+  const templates = [];
+  try {
+    if (openapi) templates.push(openApiLayer(path.resolve(openapi), {lang: language.lang, debug}));
+    for (const layer of layers) {
+      templates.push(resolveTemplate({
+        templateUrl: layer.url,
+        templateRef: layer.ref,
+        templateDir: layer.dir,
+        fast,
+        offline,
+        refresh,
+        cacheDir,
+        debug
+      }));
+    }
+  } catch (e) {
+    for (const t of templates) t.dispose();
+    throw e;
+  }
+  const [template] = templates;
+  // Template files that are never replaced once they exist (OpenAPI handler stubs)
+  const preserve = new Set(templates.flatMap(t => t.preserve || []));
+  const writing = !(dryRun || listOnly);
+  let release = null;
+  // Every write of a real run goes through this; see createTransaction()
+  let writer = null;
+  try {
+    // Self-target guard
+    for (const {templateRoot} of templates) {
+      try {
+        const tStat = fs.statSync(targetRoot);
+        const trStat = fs.statSync(templateRoot);
+        if (tStat.ino === trStat.ino && tStat.dev === trStat.dev) {
+          throw new UsageError('Template root == target root.');
+        }
+      } catch (e) {
+        if (e instanceof UsageError) throw e;
+      }
+    }
+
+    // Features declared by later layers replace same-named ones from earlier layers
+    const features = loadFeatures(templates[0].templateRoot);
+    for (const t of templates.slice(1)) {
+      for (const [name, def] of Object.entries(loadFeatures(t.templateRoot))) {
+        if (def.source === 'template') features[name] = def;
+      }
+    }
+    const {detected, effective: effectiveFeatures, disabledFeatureOf} = resolveFeatures(features, deps, overrides, all);
+    const tailwind = effectiveFeatures.tailwind
+        ? detectTailwindVersion(targetRoot, deps, tailwindMajor)
+        : {major: null, source: null};
+
+    // template rel -> generated content that replaces the template file of the same path
+    const generatedFiles = tailwindFiles(tailwind.major, effectiveFeatures);
+    const context = templateContext({
+      pkg,
+      features: effectiveFeatures,
+      vars:     settings.vars,
+      lang:     language.lang,
+      tailwind: tailwind.major
+    });
+    // Bytes that would be written for a template file: marked templates are rendered first, then
+    // JS projects get the types stripped. Binary files pass through untouched.
+    const renderTemplateFile = (rel, src) => {
+      const {templateRel, templated} = templateFiles.get(rel);
+      let content = generatedFiles.has(templateRel) ? Buffer.from(generatedFiles.get(templateRel)) : fs.readFileSync(src);
+      if (isBinary(content)) return content;
+      if (templated) content = Buffer.from(renderTemplate(content.toString('utf8'), context));
+      if (language.lang !== 'js' || !hasTypes(templateRel)) return content;
+      return Buffer.from(toJavaScript(templateRel, content.toString('utf8')));
+    };
+
+    // The target's .scaffoldignore comes last, so its rules (and negations) win
+    const ignoredBy = createIgnore([
+      ...templates.flatMap(t => readIgnoreFile(t.templateRoot, 'template')),
+      ...readIgnoreFile(targetRoot, 'target')
+    ]);
+    const onlyMatch = createIgnore(onlyRules);
+    const excludedBy = createIgnore(excludeRules);
+
+    // rel -> {src, layer, templateRel, templated}: the merged template set, later layers replacing
+    // earlier ones. `templateRel` drops the template marker (`.tpl`); `rel` is the output path
+    // (`.js` instead of `.ts` for JS projects).
+    const templateFiles = new Map();
+    templates.forEach(({templateRoot}, layer) => {
+      for (const relRaw of walk(templateRoot)) {
+        const markedRel = relRaw.replace(/\\/g, '/');
+        const templateRel = untemplatedPath(markedRel);
+        const rel = language.lang === 'js' ? jsPath(templateRel) : templateRel;
+        templateFiles.set(rel, {src: path.join(templateRoot, relRaw), layer, templateRel, templated: isTemplateFile(markedRel)});
+      }
+    });
+    if (templateFiles.size === 0) throw new TemplateEmptyError();
+
+    if (writing) {
+      release = acquireLock(targetRoot);
+      writer = transactional ? createTransaction(targetRoot) : createDirectWriter();
+    }
+
+    const actions = [];
+    const added = [];
+    const skipped = [];
+    const excluded = [];
+    const errors = [];
+    const updated = [];
+    const kept = [];
+    const conflicts = [];
+    const overwritten = [];
+    const backedUp = [];
+    const sideBySide = [];
+    // Side-by-side copies and conflict files (`.new`/`.orig`) written by this run; recorded in the
+    // manifest so --revert removes them
+    const artifacts = [];
+    const runDate = new Date();
+
+    // Baseline hashes from the previous run; only consulted by --update
+    const previousManifest = readManifest(targetRoot);
+    // rel -> template hash to record without rewriting the file (conflicts, already in sync)
+    const baselines = new Map();
+
+    /**
+     * Three-way comparison of an existing file: baseline (manifest hash of what was written),
+     * local (current file) and template (what would be written now).
+     */
+    const classifyExisting = (rel, src, dest) => {
+      const base = previousManifest?.files[rel]?.sha256;
+      const templateHash = hashBuffer(renderTemplateFile(rel, src));
+      const localHash = hashFile(dest);
+      if (localHash === templateHash) return {action: 'skip-exists', reason: 'identical', templateHash};
+      if (!base) return {action: 'skip-exists', reason: 'untracked', templateHash};
+      if (localHash === base) return {action: 'update', reason: 'template-updated', templateHash};
+      if (templateHash === base) return {action: 'keep-modified', reason: 'modified-locally', templateHash};
+      return {action: 'conflict', reason: 'both-changed', templateHash};
+    };
+
+    // With --diff, tells whether a skipped file matches the template and how it differs
+    const diffExisting = (rel, src, dest) => {
+      const next = renderTemplateFile(rel, src);
+      const local = fs.readFileSync(dest);
+      if (next.equals(local)) return {reason: 'identical'};
+      if (isBinary(next) || isBinary(local)) return {reason: 'differs', binary: true};
+      return {
+        reason: 'differs',
+        diff:   unifiedDiff(next.toString('utf8'), local.toString('utf8'), `template/${rel}`, rel)
+      };
+    };
+
+    /**
+     * Applies a non-skip --on-conflict strategy to an existing file that differs from the template:
+     * overwrite it, rename it to a timestamped `*.bak` first, or write `*.template.ext` next to it.
+     */
+    const resolveExisting = (rel, src, dest, strategy) => {
+      const entry = {rel, action: CONFLICT_ACTIONS[strategy]};
+      if (strategy === 'backup') entry.backup = backupName(rel, runDate);
+      if (strategy === 'new') entry.artifact = sideBySideName(rel);
+      actions.push(entry);
+      if (writing) {
+        try {
+          const next = renderTemplateFile(rel, src);
+          if (strategy === 'new') {
+            writer.write(path.join(targetRoot, entry.artifact), next);
+            artifacts.push(entry.artifact);
+          } else {
+            if (strategy === 'backup') writer.move(dest, path.join(targetRoot, entry.backup));
+            writer.write(dest, next);
+          }
+        } catch (e) {
+          errors.push({file: rel, error: e.message});
+          return;
+        }
+      }
+      ({overwrite: overwritten, backup: backedUp, new: sideBySide})[strategy].push(rel);
+    };
+
+    const writeConflict = (rel, src, dest) => {
+      const next = renderTemplateFile(rel, src);
+      const local = fs.readFileSync(dest);
+      if (mergeStyle === 'markers' && !isBinary(next) && !isBinary(local)) {
+        writer.write(`${dest}.orig`, local);
+        writer.write(dest, mergeWithMarkers(local.toString('utf8'), next.toString('utf8')));
+        return `${path.basename(dest)}.orig`;
+      }
+      writer.write(`${dest}.new`, next);
+      return `${path.basename(dest)}.new`;
+    };
+
+    for (const [rel, {src, templateRel, templated}] of [...templateFiles].sort(([a], [b]) => a.localeCompare(b))) {
+      const baseName = path.basename(rel);
+
+      if (ALWAYS_EXCLUDE.has(baseName)) {
+        actions.push({rel, action: 'exclude-always', reason: 'utility'});
+        excluded.push({file: rel, reason: 'utility'});
+        continue;
+      }
+      // User patterns match the output or the template path, feature globs the template path
+      if (onlyRules.length && !onlyMatch(rel) && !onlyMatch(templateRel)) {
+        actions.push({rel, action: 'exclude-pattern', reason: 'not-only'});
+        excluded.push({file: rel, reason: 'not-only'});
+        continue;
+      }
+      const rule = excludedBy(rel) || excludedBy(templateRel) || ignoredBy(rel) || ignoredBy(templateRel);
+      if (rule) {
+        const reason = rule.source ? 'scaffoldignore' : 'exclude';
+        actions.push({rel, action: 'exclude-pattern', reason, pattern: rule.pattern, ...(rule.source && {source: rule.source})});
+        excluded.push({file: rel, reason, pattern: rule.pattern, ...(rule.source && {source: rule.source})});
+        continue;
+      }
+      if (!includeDocs && DOC_EXCLUDE.has(baseName)) {
+        actions.push({rel, action: 'exclude-docs', reason: 'docs'});
+        excluded.push({file: rel, reason: 'docs'});
+        continue;
+      }
+      if (cleanInfo && isInfoFile(rel)) {
+        actions.push({rel, action: 'exclude-info', reason: 'clean'});
+        excluded.push({file: rel, reason: 'info-clean'});
+        continue;
+      }
+      const offFeature = disabledFeatureOf(templateRel);
+      if (offFeature) {
+        actions.push({rel, action: 'exclude-feature', reason: `${offFeature}-off`});
+        excluded.push({file: rel, reason: `${offFeature}-disabled`});
+        continue;
+      }
+      if (tailwind.major === 4 && isTailwindConfig(rel)) {
+        actions.push({rel, action: 'exclude-feature', reason: 'tailwind-v4'});
+        excluded.push({file: rel, reason: 'tailwind-v4-no-config'});
+        continue;
+      }
+
+      const dest = path.join(targetRoot, rel);
+      // `foo.js` and `foo.ts` are the same module; never add one next to the other
+      const twin = twinPath(rel);
+      if (twin && !fs.existsSync(dest) && fs.existsSync(path.join(targetRoot, twin))) {
+        actions.push({rel, action: 'skip-exists', reason: 'other-lang', existing: twin});
+        skipped.push(rel);
+        continue;
+      }
+      if (fs.existsSync(dest)) {
+        const preserved = preserve.has(templateRel);
+        const strategy = preserved ? 'skip' : strategyOf(rel);
+        if (!updateMode && strategy !== 'skip') {
+          try {
+            if (hashFile(dest) !== hashBuffer(renderTemplateFile(rel, src))) {
+              resolveExisting(rel, src, dest, strategy);
+              continue;
+            }
+          } catch (e) {
+            errors.push({file: rel, error: e.message});
+            continue;
+          }
+          actions.push({rel, action: 'skip-exists', reason: 'identical'});
+          skipped.push(rel);
+          continue;
+        }
+        // Handler stubs are meant to be edited, so they are never diffed against the template
+        if (preserved) {
+          actions.push({rel, action: 'skip-exists', reason: 'handler'});
+          skipped.push(rel);
+          continue;
+        }
+        if (!updateMode) {
+          const entry = {rel, action: 'skip-exists'};
+          if (showDiff) {
+            try {
+              Object.assign(entry, diffExisting(rel, src, dest));
+            } catch (e) {
+              errors.push({file: rel, error: e.message});
+            }
+          }
+          actions.push(entry);
+          skipped.push(rel);
+          continue;
+        }
+        let state;
+        try {
+          state = classifyExisting(rel, src, dest);
+        } catch (e) {
+          errors.push({file: rel, error: e.message});
+          continue;
+        }
+        const {action, reason, templateHash} = state;
+        // Files --update can't vouch for fall back to the --on-conflict strategy
+        if (reason === 'untracked' && strategy !== 'skip') {
+          resolveExisting(rel, src, dest, strategy);
+        } else if (action === 'skip-exists') {
+          const entry = {rel, action, reason};
+          if (showDiff && reason !== 'identical') {
+            try {
+              Object.assign(entry, diffExisting(rel, src, dest), {reason});
+            } catch (e) {
+              errors.push({file: rel, error: e.message});
+            }
+          }
+          actions.push(entry);
+          skipped.push(rel);
+          if (reason === 'identical' && previousManifest?.files[rel]) baselines.set(rel, templateHash);
+        } else if (action === 'keep-modified') {
+          actions.push({rel, action, reason});
+          kept.push(rel);
+        } else if (action === 'update') {
+          actions.push({rel, action, reason});
+          if (writing) {
+            try {
+              writer.write(dest, renderTemplateFile(rel, src));
+              updated.push(rel);
+            } catch (e) {
+              errors.push({file: rel, error: e.message});
+            }
+          } else {
+            updated.push(rel);
+          }
+        } else {
+          const entry = {rel, action, reason, style: mergeStyle};
+          actions.push(entry);
+          if (writing) {
+            try {
+              entry.artifact = path.posix.join(path.posix.dirname(rel), writeConflict(rel, src, dest));
+              artifacts.push(entry.artifact);
+              conflicts.push(rel);
+              // The user has now seen this template version; it becomes the new baseline
+              baselines.set(rel, templateHash);
+            } catch (e) {
+              errors.push({file: rel, error: e.message});
+            }
+          } else {
+            conflicts.push(rel);
+          }
+        }
+        continue;
+      }
+
+      if (deselected.has(rel)) {
+        actions.push({rel, action: 'exclude-user', reason: 'deselected'});
+        excluded.push({file: rel, reason: 'deselected'});
+        continue;
+      }
+
+      actions.push({rel, action: 'add'});
+      if (writing) {
+        try {
+          writer.write(dest, renderTemplateFile(rel, src));
+          added.push(rel);
+        } catch (e) {
+          errors.push({file: rel, error: e.message});
+        }
+      } else {
+        // Marked templates are rendered anyway, so their mistakes show up before a real run
+        try {
+          if (templated && !listOnly) renderTemplateFile(rel, src);
+          added.push(rel);
+        } catch (e) {
+          errors.push({file: rel, error: e.message});
+        }
+      }
+    }
+
+    // Packages of features that were switched on without being dependencies (--install)
+    const installing = install ? missingPackages(features, detected, effectiveFeatures, deps, tailwind.major) : [];
+
+    // Register the stylesheet, feature modules, the Tailwind Vite plugin and compatibilityDate in
+    // nuxt.config; packages being installed count as dependencies
+    let configPatch = null;
+    if (patchConfig) {
+      const configPath = path.join(targetRoot, nuxtConfigName);
+      const hasStylesheet = added.includes(TAILWIND_STYLESHEET) || fs.existsSync(path.join(targetRoot, TAILWIND_STYLESHEET));
+      const withInstalled = {...deps, ...Object.fromEntries(installing.map(p => [p, '*']))};
+      const vitePlugin = tailwind.major === 4 && withInstalled['@tailwindcss/vite'] && !withInstalled['@nuxtjs/tailwindcss'];
+      try {
+        const original = fs.readFileSync(configPath, 'utf8');
+        const {text, edits, skipped: skippedKeys} = patchNuxtConfig(original, [
+          {key: 'compatibilityDate', value: new Date().toISOString().slice(0, 10)},
+          {key: 'modules', values: configModules(features, effectiveFeatures, withInstalled)},
+          {key: 'css', values: hasStylesheet ? [`~/${TAILWIND_STYLESHEET.replace(/^app\//, '')}`] : []},
+          ...(vitePlugin ? [TAILWIND_VITE_PLUGIN] : [])
+        ]);
+        configPatch = {
+          file:    nuxtConfigName,
+          edits,
+          skipped: skippedKeys,
+          diff:    unifiedDiff(original, text, `a/${nuxtConfigName}`, `b/${nuxtConfigName}`)
+        };
+        if (edits.length && writing) writer.write(configPath, text);
+      } catch (e) {
+        errors.push({file: nuxtConfigName, error: e.message});
+      }
+    }
+
+    // Move the staged files into place and record them so the run can be reverted later. With a
+    // transaction, any error (including one while staging) undoes the whole run.
+    let transaction = null;
+    if (writing) {
+      const proceed = () => !transactional || !errors.length;
+      if (proceed()) {
+        try {
+          writer.apply();
+          writer.track(path.join(targetRoot, MANIFEST_NAME));
+        } catch (e) {
+          errors.push({file: e.file ? toPosix(path.relative(targetRoot, e.file)) : MANIFEST_NAME, error: e.message});
+        }
+      }
+      if (proceed()) {
+        // Overwritten files the scaffold did not create stay untracked so --revert never deletes
+        // them; backed-up files remember their backup so --revert can move it back
+        const backups = new Map(actions.filter(a => a.backup).map(a => [a.rel, a.backup]));
+        const replaced = overwritten.filter(rel => previousManifest?.files[rel]);
+        // Generated OpenAPI files are recorded without replacing the template the project came from
+        recordManifest(targetRoot, [...added, ...updated, ...replaced, ...backedUp, ...artifacts], openapi ? {} : {
+          source:      template.source,
+          ref:         template.ref,
+          commit:      template.commit,
+          templateDir: template.templateDir,
+          // Only multi-layer runs record their layers; undefined drops a stale list
+          layers:      templates.length > 1 ? templates.map(layerInfo) : undefined,
+          flags:       {
+            ...effectiveFeatures,
+            all,
+            cleanInfo,
+            includeDocs
+          }
+        }, errors, baselines, backups);
+      }
+      if (proceed()) {
+        writer.finish();
+      } else {
+        writer.rollback();
+      }
+      if (transactional) transaction = {status: errors.length ? 'rolled-back' : 'committed'};
+    }
+    const committed = writing && transaction?.status !== 'rolled-back';
+
+    for (const a of actions) a.layer = templateFiles.get(a.rel).layer;
+
+    // Add the packages of features that were switched on without being dependencies
+    let installResult = null;
+    if (install) {
+      const manager = detectPackageManager(targetRoot, pkg);
+      // nuxt.config entries --patch-config didn't add (or wasn't asked to) are left to the user
+      const patched = key => !!configPatch && !configPatch.skipped.some(s => s.key === key || s.key === '*');
+      const nextSteps = tailwindNextSteps(installing, nuxtConfigName, patched);
+      installResult = {
+        manager:  manager.name,
+        source:   manager.source,
+        packages: installing,
+        command:  installing.length ? installCommand(manager.name, installing) : null,
+        status:   !installing.length ? 'nothing-to-install' : committed ? 'installed' : 'planned',
+        ...(nextSteps.length && {nextSteps})
+      };
+      if (installing.length && committed) {
+        debug(`running ${installResult.command}`);
+        const error = runInstall(targetRoot, manager.name, installing);
+        if (error) Object.assign(installResult, {status: 'failed', error});
+      }
+    }
+
+    // Deterministic ordering
+    actions.sort((a, b) => a.rel.localeCompare(b.rel));
+    added.sort();
+    skipped.sort();
+    updated.sort();
+    kept.sort();
+    conflicts.sort();
+    overwritten.sort();
+    backedUp.sort();
+    sideBySide.sort();
+    excluded.sort((a, b) => a.file.localeCompare(b.file));
+
+    const result = {
+      version:   VERSION,
+      target:    targetRoot,
+      source:    template.source,
+      ref:       template.ref,
+      mode:      template.mode,
+      commit:    template.commit,
+      cache:     template.cache,
+      layers:    templates.map(layerInfo),
+      preset,
+      detected,
+      tailwind,
+      lang:      language,
+      vars:      settings.vars,
+      effective: {
+        ...effectiveFeatures,
+        all,
+        cleanInfo,
+        dryRun,
+        listOnly,
+        includeDocs,
+        update: updateMode,
+        mergeStyle,
+        diff:   showDiff,
+        check,
+        transactional,
+        onConflict,
+        only:    onlyRules.map(r => r.pattern),
+        exclude: excludeRules.map(r => r.pattern)
+      },
+      counts:    {
+        add:        added.length,
+        skip:       skipped.length,
+        overwrite:  overwritten.length,
+        backup:     backedUp.length,
+        sideBySide: sideBySide.length,
+        update:     updated.length,
+        keep:       kept.length,
+        conflict:   conflicts.length,
+        excluded:   excluded.length,
+        errors:     errors.length
+      },
+      added,
+      skipped,
+      overwritten,
+      backedUp,
+      sideBySide,
+      updated,
+      kept,
+      conflicts,
+      excluded,
+      errors,
+      actions,
+      settings:  {file: config.file, sources},
+      ...(transaction && {transaction}),
+      ...(installResult && {install: installResult}),
+      ...(configPatch && {config: configPatch})
+    };
+    if (check) {
+      const failures = checkFailures(result);
+      result.check = {passed: !failures.length, failures};
+    }
+    return result;
+  } finally {
+    // Unexpected exceptions leave nothing behind; a no-op once the run was applied
+    if (writer) writer.rollback();
+    if (release) release();
+    for (const t of templates) t.dispose();
+  }
+}
+
+/**
+ * Classification only: the result `scaffold()` would produce, without touching the target.
+ * @param {import('../index.d.ts').ScaffoldOptions} [options]
+ */
+export function classify(options = {}) {
+  return scaffold({...options, listOnly: true, dryRun: false});
+}
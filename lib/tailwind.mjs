@@ -0,0 +1,120 @@
+/**
+ * @module @thaikolja/scaffold-nuxt-4/lib/tailwind
+ * @description Tailwind v3/v4 detection and generated files. v4 is configured in CSS
+ *   (`@import "tailwindcss"`), v3 needs `@tailwind` directives plus a `tailwind.config.ts`.
+ *   When the major version is known and Tailwind is on, both files are generated instead of
+ *   copying the template's version-neutral placeholders.
+ */
+
+import fs   from 'node:fs';
+import path from 'node:path';
+
+export const TAILWIND_STYLESHEET = 'app/assets/css/main.css';
+export const isTailwindConfig = rel => /^tailwind\.config\.[cm]?[jt]s$/.test(rel);
+
+// Leading major version of a semver range such as `^3.4.1`, `~4.0` or `>=3 <4`
+export function rangeMajor(range) {
+  if (typeof range !== 'string') return null;
+  const m = /(\d+)(?:\.(?:\d+|x|\*))*/.exec(range.replace(/^npm:[^@]+@/, ''));
+  return m ? parseInt(m[1], 10) : null;
+}
+
+function installedMajor(targetRoot, name) {
+  try {
+    const v = JSON.parse(fs.readFileSync(path.join(targetRoot, 'node_modules', name, 'package.json'), 'utf8')).version;
+    return rangeMajor(v);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Resolves the Tailwind major version: explicit `major` (--tailwind), installed `tailwindcss`,
+ * `@tailwindcss/vite` (v4 only), declared `tailwindcss` range, then the
+ * `@nuxtjs/tailwindcss` range (module v7+ targets Tailwind v4).
+ * @returns {{major: 3 | 4 | null, source: string | null}}
+ */
+export function detectTailwindVersion(targetRoot, deps, major) {
+  if (major !== undefined && major !== null) return {major: parseInt(major, 10), source: 'flag'};
+  const installed = installedMajor(targetRoot, 'tailwindcss');
+  if (installed === 3 || installed === 4) return {major: installed, source: 'installed'};
+  if (deps['@tailwindcss/vite']) return {major: 4, source: '@tailwindcss/vite'};
+  const declared = rangeMajor(deps['tailwindcss']);
+  if (declared === 3 || declared === 4) return {major: declared, source: 'package.json'};
+  const moduleMajor = installedMajor(targetRoot, '@nuxtjs/tailwindcss') ?? rangeMajor(deps['@nuxtjs/tailwindcss']);
+  if (moduleMajor !== null) return {major: moduleMajor >= 7 ? 4 : 3, source: '@nuxtjs/tailwindcss'};
+  return {major: null, source: null};
+}
+
+export function tailwindStylesheet(major, {ui = false} = {}) {
+  if (major === 3) {
+    return `@tailwind base;
+@tailwind components;
+@tailwind utilities;
+`;
+  }
+  return `@import "tailwindcss";
+${ui ? '@import "@nuxt/ui";\n' : ''}
+@theme static {
+  --color-example: #f0f0f0;
+}
+`;
+}
+
+export function tailwindConfig({content: withContent = false} = {}) {
+  const content = [
+    './app/components/**/*.{vue,js,ts}',
+    './app/layouts/**/*.vue',
+    './app/pages/**/*.vue',
+    './app/plugins/**/*.{js,ts}',
+    './app/app.vue',
+    './app/error.vue',
+    ...(withContent ? ['./content/**/*.md'] : [])
+  ];
+  return `import type { Config } from 'tailwindcss'
+
+export default {
+  content: [
+${content.map(c => `    '${c}'`).join(',\n')}
+  ],
+  theme: {
+    extend: {}
+  },
+  plugins: []
+} satisfies Config
+`;
+}
+
+/**
+ * rel -> generated content replacing the template file of the same path.
+ * Empty when the major version is unknown.
+ */
+export function tailwindFiles(major, effective) {
+  const files = new Map();
+  if (!major) return files;
+  files.set(TAILWIND_STYLESHEET, tailwindStylesheet(major, {ui: !!effective.ui}));
+  if (major === 3) files.set('tailwind.config.ts', tailwindConfig({content: !!effective.content}));
+  return files;
+}
+
+// nuxt.config property for --patch-config that registers the `@tailwindcss/vite` plugin (v4)
+export const TAILWIND_VITE_PLUGIN = {
+  key:    'vite',
+  code:   '{ plugins: [tailwindcss()] }',
+  import: {name: 'tailwindcss', from: '@tailwindcss/vite'}
+};
+
+/**
+ * What is left to do by hand in `configFile` for the Tailwind packages being installed:
+ * v4's Vite plugin and v3's module, unless `patched(key)` says --patch-config took care of it.
+ */
+export function tailwindNextSteps(packages, configFile, patched) {
+  const steps = [];
+  if (packages.includes('@tailwindcss/vite') && !patched('vite')) {
+    steps.push(`Add \`import tailwindcss from '@tailwindcss/vite'\` and \`vite: { plugins: [tailwindcss()] }\` to ${configFile}.`);
+  }
+  if (packages.includes('@nuxtjs/tailwindcss') && !patched('modules')) {
+    steps.push(`Add '@nuxtjs/tailwindcss' to \`modules\` in ${configFile}.`);
+  }
+  return steps;
+}
@@ -0,0 +1,368 @@
+/**
+ * @module @thaikolja/scaffold-nuxt-4/lib/template-source
+ * @description Resolves where template files come from: the templates embedded in the package
+ *   (and the preset overlays next to them, `preset:<name>`), a local directory, a local archive,
+ *   an npm package or a shallow Git clone. Git sources may be URLs (`https://`, `git@`, `ssh://`,
+ *   `git://`, `file://`) or host shorthands such as `github:org/repo#ref/subdir`. Clones are kept
+ *   in the template cache (see cache.mjs) and reused while the ref still points to the same commit.
+ */
+
+import fs                          from 'node:fs';
+import path                        from 'node:path';
+import os                          from 'node:os';
+import process                     from 'node:process';
+import {spawnSync}                 from 'node:child_process';
+import {fileURLToPath}             from 'node:url';
+import {expandTilde}               from './fs-utils.mjs';
+import {registerCleanup}           from './lock.mjs';
+import {isArchive, extractArchive} from './archive.mjs';
+import {
+  PRESETS_DIR,
+  PRESET_SCHEME,
+  presetRoot
+}                                  from './presets.mjs';
+import {
+  cachedCommit,
+  findCheckout,
+  storeCheckout,
+  recordRef
+}                                  from './cache.mjs';
+import {UsageError}                from './errors.mjs';
+import {
+  DEFAULT_REPO_URL,
+  DEFAULT_REPO_REF,
+  DEFAULT_TEMPLATE_DIR
+}                                  from './constants.mjs';
+
+// Package root, which ships the embedded `templates/` directory
+const packageRoot = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+// Shorthand host -> clone URL prefix
+export const GIT_HOSTS = Object.freeze({
+  github:    'https://github.com/',
+  gitlab:    'https://gitlab.com/',
+  bitbucket: 'https://bitbucket.org/'
+});
+
+// `github:org/repo#ref/subdir`; GitLab groups may nest (`gitlab:group/sub/repo`)
+const SHORTHAND_RE = /^(github|gitlab|bitbucket):([\w.-]+(?:\/[\w.-]+)+)(?:#([^/]*)(?:\/(.+))?)?$/;
+
+// Sources that aren't local paths: Git URLs, host shorthands, npm packages and preset overlays
+export function isRemote(url) {
+  return /^(?:git@|(?:https?|ssh|git|git\+ssh|file):\/\/|(?:github|gitlab|bitbucket|npm|preset):)/i.test(url);
+}
+
+/**
+ * Expands a host shorthand to its clone URL plus the ref and subdirectory it names, e.g.
+ * `gitlab:acme/templates#v2/nuxt` -> `{url: 'https://gitlab.com/acme/templates.git', ref: 'v2',
+ * dir: 'nuxt'}`. Returns null for anything else.
+ * @returns {{url: string, ref: string | null, dir: string | null} | null}
+ */
+export function parseShorthand(source) {
+  const m = SHORTHAND_RE.exec(source);
+  if (!m) return null;
+  return {url: `${GIT_HOSTS[m[1]]}${m[2].replace(/\.git$/, '')}.git`, ref: m[3] || null, dir: m[4]?.replace(/\/+$/, '') || null};
+}
+
+// Local path of a `file://` URL or a plain path
+const localPath = source => /^file:\/\//i.test(source) ? fileURLToPath(source) : path.resolve(expandTilde(source));
+
+/**
+ * Command and leading arguments that start npm without a shell. On Windows `npm` is a .cmd shim
+ * that can only run through cmd.exe, so npm's own CLI script is run with the current Node.
+ */
+function npmCommand() {
+  if (process.platform !== 'win32') return ['npm', []];
+  const script = /npm-cli\.js$/.test(process.env.npm_execpath || '')
+    ? process.env.npm_execpath
+    : path.join(path.dirname(process.execPath), 'node_modules', 'npm', 'bin', 'npm-cli.js');
+  return [process.execPath, [script]];
+}
+
+/**
+ * Fetches `spec` (`@org/pkg@^2`) with `npm pack`, which honours the npm cache and the
+ * configured registry or mirror. Returns the tarball path and the resolved version.
+ */
+function packNpm(spec, dir, {offline, refresh}) {
+  if (!spec || spec.startsWith('-')) throw new UsageError(`Invalid npm template spec: "npm:${spec}"`);
+  const [command, prefix] = npmCommand();
+  const res = spawnSync(command, [
+    ...prefix, 'pack', spec, '--json', '--pack-destination', dir,
+    ...(offline ? ['--offline'] : refresh ? ['--prefer-online'] : [])
+  ], {
+    stdio:    ['ignore', 'pipe', 'pipe'],
+    encoding: 'utf8'
+  });
+  if (res.status !== 0) {
+    const output = (res.stderr || '').trim().split('\n').slice(-3).join('\n') || res.error?.message;
+    throw new UsageError(`npm pack ${spec} failed${output ? `: ${output}` : ''}`);
+  }
+  const [info] = JSON.parse(res.stdout);
+  return {file: path.join(dir, info.filename), version: info.version};
+}
+
+function localEmbeddedTemplates(templateDir) {
+  const candidate = path.join(packageRoot, templateDir);
+  try {
+    return fs.existsSync(candidate) && fs.statSync(candidate).isDirectory() ? candidate : null;
+  } catch {
+    return null;
+  }
+}
+
+export function execGit(args, cwd) {
+  const res = spawnSync('git', args, {
+    cwd, stdio: ['ignore', 'pipe', 'pipe'], encoding: 'utf8'
+  });
+  if (res.status !== 0) {
+    throw new Error(`git ${args.join(' ')} failed: ${(res.stderr || '').trim() || (res.stdout || '').trim() || res.error?.message}`);
+  }
+  return res.stdout.trim();
+}
+
+/**
+ * Commit `ref` points to on the remote, without cloning. The default ref stands for the remote
+ * HEAD because that is what a plain clone checks out. Returns null when the remote doesn't know
+ * the name (e.g. an abbreviated SHA).
+ */
+function resolveRemoteRef(url, ref) {
+  const name = ref === DEFAULT_REPO_REF ? 'HEAD' : ref;
+  const refs = execGit(['ls-remote', url, name]).split('\n').filter(Boolean).map(l => l.split('\t'));
+  const pick = refs.find(([, r]) => r === `refs/tags/${name}^{}`)
+      || refs.find(([, r]) => r === name || r === `refs/heads/${name}` || r === `refs/tags/${name}`);
+  if (pick) return pick[0];
+  return /^[0-9a-f]{40}$/i.test(ref) ? ref.toLowerCase() : null;
+}
+
+function gitAvailable() {
+  try {
+    execGit(['--version']);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * @param {object}   options
+ * @param {string}   [options.templateUrl]  Git URL or local path; defaults to the package repo
+ * @param {string}   [options.templateRef]  Branch, tag or commit to clone
+ * @param {string}   [options.templateDir]  Subdirectory holding the template files
+ * @param {boolean}  [options.fast]         Sparse, blob-less clone of `templateDir` only
+ * @param {boolean}  [options.offline]      Use the template cache only; never touch the network
+ * @param {boolean}  [options.refresh]      Re-clone even when the commit is cached
+ * @param {string}   [options.cacheDir]     Cache root; defaults to defaultCacheDir()
+ * @param {Function} [options.debug]        Receives diagnostic messages
+ * @returns {{templateRoot: string, source: string, ref: string, templateDir: string, mode: string,
+ *   commit: string | null, usedEmbedded: boolean, cache: {hit: boolean, dir: string | null} | null,
+ *   dispose: () => void}}
+ *   `cache` is null for embedded and local templates. `dispose` removes the temp clone; it also
+ *   runs on runCleanups().
+ */
+export function resolveTemplate({
+  templateUrl,
+  templateRef,
+  templateDir,
+  fast = false,
+  offline = false,
+  refresh = false,
+  cacheDir,
+  debug = () => {}
+} = {}) {
+  if (offline && refresh) {
+    throw new UsageError('--offline and --refresh are mutually exclusive.');
+  }
+  // A shorthand's own ref and subdirectory win over --template-ref and --template-dir
+  const shorthand = templateUrl ? parseShorthand(templateUrl) : null;
+  const repoUrl = shorthand?.url || templateUrl || DEFAULT_REPO_URL;
+  const repoRef = shorthand?.ref || templateRef || DEFAULT_REPO_REF;
+  const subdir = shorthand?.dir || templateDir || DEFAULT_TEMPLATE_DIR;
+
+  let tempRoot = null;
+  const dispose = () => {
+    if (!tempRoot) return;
+    try {
+      fs.rmSync(tempRoot, {recursive: true, force: true});
+    } catch {
+    }
+    tempRoot = null;
+  };
+  const unregister = registerCleanup(dispose);
+  const result = (fields) => ({
+    source:       repoUrl,
+    ref:          repoRef,
+    templateDir:  subdir,
+    commit:       null,
+    usedEmbedded: false,
+    cache:        null,
+    ...fields,
+    dispose:      () => {
+      unregister();
+      dispose();
+    }
+  });
+
+  // Preset overlays ship with the package, like the embedded templates
+  if (repoUrl.startsWith(PRESET_SCHEME)) {
+    const name = repoUrl.slice(PRESET_SCHEME.length);
+    const root = presetRoot(name);
+    if (!root) throw new UsageError(`Preset "${name}" has no overlay.`);
+    return result({templateRoot: root, templateDir: `${PRESETS_DIR}/${name}`, mode: 'embedded', usedEmbedded: true});
+  }
+
+  const embedded = localEmbeddedTemplates(subdir);
+  if (embedded && repoUrl === DEFAULT_REPO_URL) {
+    return result({templateRoot: embedded, source: 'embedded', mode: 'embedded', usedEmbedded: true});
+  }
+
+  const attemptClone = optimized => {
+    tempRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'nuxt4-scaffold-'));
+    const dir = path.join(tempRoot, 'repo');
+    if (optimized) {
+      execGit(['clone', '--depth=1', '--no-tags', '--filter=blob:none', '--sparse', repoUrl, dir]);
+      try {
+        // Target only the requested template subdir
+        execGit(['sparse-checkout', 'set', '--no-cone', `${subdir}/**`], dir);
+      } catch {
+        // Sparse may fail on older git; caller will fallback if needed
+      }
+    } else {
+      execGit(['clone', '--depth=1', '--no-tags', repoUrl, dir]);
+    }
+    if (repoRef !== DEFAULT_REPO_REF) {
+      execGit(['fetch', '--depth=1', 'origin', repoRef], dir);
+      execGit(['checkout', '--detach', 'FETCH_HEAD'], dir);
+    }
+    return dir;
+  };
+
+  const subdirOf = dir => {
+    const candidate = path.join(dir, subdir);
+    return fs.existsSync(candidate) && fs.statSync(candidate).isDirectory() ? candidate : dir;
+  };
+
+  // npm packages and local archives are extracted into a temp dir for this run only
+  const extract = (file, fields) => {
+    try {
+      const dir = path.join(tempRoot, 'extracted');
+      fs.mkdirSync(dir);
+      const {files, skipped} = extractArchive(file, dir);
+      debug(`extracted ${files} files from ${file}${skipped.length ? `; skipped links: ${skipped.join(', ')}` : ''}`);
+      return result({templateRoot: subdirOf(dir), ...fields});
+    } catch (e) {
+      unregister();
+      dispose();
+      throw e;
+    }
+  };
+
+  if (/^npm:/i.test(repoUrl)) {
+    tempRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'nuxt4-scaffold-'));
+    let packed;
+    try {
+      packed = packNpm(repoUrl.slice(4), tempRoot, {offline, refresh});
+    } catch (e) {
+      unregister();
+      dispose();
+      throw e;
+    }
+    return extract(packed.file, {ref: packed.version, mode: 'npm'});
+  }
+
+  if (isArchive(repoUrl) && (!isRemote(repoUrl) || /^file:\/\//i.test(repoUrl))) {
+    const archive = localPath(repoUrl);
+    if (!fs.existsSync(archive)) {
+      unregister();
+      throw new UsageError(`Template archive not found: ${archive}`);
+    }
+    tempRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'nuxt4-scaffold-'));
+    return extract(archive, {mode: 'archive'});
+  }
+
+  if (!isRemote(repoUrl)) {
+    const localDir = localPath(repoUrl);
+    if (!fs.existsSync(localDir)) {
+      unregister();
+      throw new UsageError(`Local template path not found: ${localDir}`);
+    }
+    // Commit the template was taken from; null for directories that aren't the root of their own
+    // repository, so a plain folder inside some unrelated checkout doesn't report its commit
+    let commit = null;
+    try {
+      if (fs.realpathSync(execGit(['rev-parse', '--show-toplevel'], localDir)) === fs.realpathSync(localDir)) {
+        commit = execGit(['rev-parse', 'HEAD'], localDir);
+      }
+    } catch {
+    }
+    return result({templateRoot: subdirOf(localDir), mode: 'full', commit});
+  }
+
+  // Cache lookup: by the ref's current remote commit, or by the last known one when offline
+  const hasGit = gitAvailable();
+  let commit = null;
+  let resolvedOnline = false;
+  if (offline || !hasGit) {
+    commit = cachedCommit(cacheDir, repoUrl, repoRef);
+  } else if (!refresh) {
+    try {
+      commit = resolveRemoteRef(repoUrl, repoRef);
+      resolvedOnline = true;
+    } catch (e) {
+      commit = cachedCommit(cacheDir, repoUrl, repoRef);
+      debug(`ls-remote failed, falling back to the cache (${commit || 'no entry'}): ${e.message}`);
+    }
+  }
+  const cached = commit && findCheckout(cacheDir, repoUrl, commit, subdir);
+  if (cached) {
+    debug(`template cache hit: ${cached}`);
+    if (resolvedOnline) {
+      try {
+        recordRef(cacheDir, repoUrl, repoRef, commit);
+      } catch {
+      }
+    }
+    return result({templateRoot: subdirOf(cached), mode: 'cache', commit, cache: {hit: true, dir: cached}});
+  }
+  if (offline) {
+    unregister();
+    throw new UsageError(`No cached template for ${repoUrl} (ref ${repoRef}); run once without --offline.`);
+  }
+  if (!hasGit) {
+    unregister();
+    throw new UsageError('Git not available and no embedded templates.');
+  }
+
+  let cloneDir;
+  let mode;
+  try {
+    if (fast) {
+      cloneDir = attemptClone(true);
+      mode = 'optimized';
+      // If optimized clone is empty (excluding .git), retry full
+      if (fs.readdirSync(cloneDir).filter(x => x !== '.git').length === 0) {
+        debug('optimized clone empty; retry full');
+        dispose();
+        cloneDir = attemptClone(false);
+        mode = 'full';
+      }
+    } else {
+      cloneDir = attemptClone(false);
+      mode = 'full';
+    }
+    commit = execGit(['rev-parse', 'HEAD'], cloneDir);
+  } catch (e) {
+    unregister();
+    dispose();
+    throw new UsageError(`Clone failed: ${e.message}`);
+  }
+
+  // A failing cache write costs the next run a clone, never this run
+  try {
+    const stored = storeCheckout(cacheDir, repoUrl, repoRef, commit, cloneDir, mode === 'optimized' ? subdir : null);
+    dispose();
+    return result({templateRoot: subdirOf(stored), mode, commit, cache: {hit: false, dir: stored}});
+  } catch (e) {
+    debug(`template cache write failed: ${e.message}`);
+  }
+  return result({templateRoot: subdirOf(cloneDir), mode, commit, cache: {hit: false, dir: null}});
+}
@@ -0,0 +1,138 @@
+/**
+ * @module @thaikolja/scaffold-nuxt-4/lib/transaction
+ * @description All-or-nothing writes for real scaffold runs. Writes are staged in a temp
+ *   directory inside the target (so moving them into place is a rename) and applied in order
+ *   with a journal; rollback() undoes every applied step, restores replaced files and prunes
+ *   the directories the run created. An interrupted run rolls back through registerCleanup().
+ */
+
+import fs                from 'node:fs';
+import path              from 'node:path';
+import {registerCleanup} from './lock.mjs';
+import {ensureDir}       from './fs-utils.mjs';
+
+export const STAGING_PREFIX = '.scaffold-nuxt-4-staging-';
+
+/**
+ * Stages writes until apply(). `write` and `move` only queue; apply() runs the queue and may be
+ * called again for later steps; rollback() undoes everything since the start; finish() keeps
+ * the result. rollback() and finish() are idempotent, and nothing is undone after finish().
+ * @returns {{write(dest: string, data: Buffer | string): void, move(from: string, to: string): void,
+ *   track(file: string): void, apply(): void, rollback(): void, finish(): void}}
+ */
+export function createTransaction(targetRoot) {
+  const staging = fs.mkdtempSync(path.join(targetRoot, STAGING_PREFIX));
+  const pending = [];
+  // Applied steps, undone last to first
+  const journal = [];
+  const createdDirs = [];
+  let counter = 0;
+  let done = false;
+  const stagedPath = kind => path.join(staging, `${kind}-${counter++}`);
+
+  // Moves an existing file out of the way; rollback() moves it back
+  const setAside = file => {
+    if (!fs.existsSync(file)) return null;
+    const original = stagedPath('original');
+    fs.renameSync(file, original);
+    return original;
+  };
+
+  const close = () => {
+    done = true;
+    unregister();
+    try {
+      fs.rmSync(staging, {recursive: true, force: true});
+    } catch {
+    }
+  };
+
+  const rollback = () => {
+    if (done) return;
+    for (const step of journal.reverse()) {
+      try {
+        if (step.from) {
+          fs.renameSync(step.to, step.from);
+          continue;
+        }
+        fs.rmSync(step.dest, {force: true});
+        if (step.original) fs.renameSync(step.original, step.dest);
+      } catch {
+      }
+    }
+    // Deepest first, so parents are empty by the time they come up
+    for (const dir of createdDirs.sort((a, b) => b.length - a.length)) {
+      try {
+        fs.rmdirSync(dir);
+      } catch {
+      }
+    }
+    close();
+  };
+  const unregister = registerCleanup(rollback);
+
+  return {
+    write(dest, data) {
+      const staged = stagedPath('staged');
+      fs.writeFileSync(staged, data);
+      pending.push({dest, staged});
+    },
+    move(from, to) {
+      pending.push({from, to});
+    },
+    // The file is about to be written outside the transaction; rollback() restores it
+    track(file) {
+      const original = setAside(file);
+      if (original) fs.copyFileSync(original, file);
+      journal.push({dest: file, original});
+    },
+    apply() {
+      while (pending.length) {
+        const step = pending.shift();
+        const dest = step.dest || step.to;
+        try {
+          ensureDir(dest, createdDirs);
+          if (step.from) {
+            fs.renameSync(step.from, step.to);
+            journal.push(step);
+          } else {
+            const original = setAside(step.dest);
+            journal.push({dest: step.dest, original});
+            fs.renameSync(step.staged, step.dest);
+          }
+        } catch (e) {
+          e.file = dest;
+          throw e;
+        }
+      }
+    },
+    rollback,
+    finish() {
+      if (!done) close();
+    }
+  };
+}
+
+/**
+ * The same interface without a transaction (`transactional: false`): every write happens
+ * immediately and a failure leaves what was written so far.
+ */
+export function createDirectWriter() {
+  return {
+    write(dest, data) {
+      ensureDir(dest);
+      fs.writeFileSync(dest, data);
+    },
+    move(from, to) {
+      fs.renameSync(from, to);
+    },
+    track() {
+    },
+    apply() {
+    },
+    rollback() {
+    },
+    finish() {
+    }
+  };
+}
@@ -0,0 +1,143 @@
+/**
+ * @module @thaikolja/scaffold-nuxt-4/lib/workspaces
+ * @description Monorepo support (--workspaces): finds every Nuxt app or layer declared by
+ *   `pnpm-workspace.yaml` or the root package.json `workspaces` field and scaffolds each one with
+ *   its own dependencies.
+ */
+
+import fs                          from 'node:fs';
+import path                        from 'node:path';
+import process                     from 'node:process';
+import {VERSION}                   from './constants.mjs';
+import {ScaffoldError, UsageError} from './errors.mjs';
+import {
+  expandTilde,
+  toPosix,
+  WALK_SKIP
+}                                  from './fs-utils.mjs';
+import {globToRegExp}              from './features.mjs';
+import {configExtends}             from './nuxt-config.mjs';
+import {NUXT_CONFIG_NAMES}         from './project.mjs';
+import {scaffold}                  from './scaffold.mjs';
+import {parseYaml}                 from './yaml.mjs';
+
+export const PNPM_WORKSPACE_FILE = 'pnpm-workspace.yaml';
+
+/**
+ * Workspace globs of `root`: the `packages` list of pnpm-workspace.yaml first, then package.json
+ * `workspaces` (an array or `{packages: [...]}`). Returns null when `root` declares no workspace.
+ * @throws {UsageError} Unreadable or invalid pnpm-workspace.yaml
+ */
+export function workspaceGlobs(root) {
+  const pnpmFile = path.join(root, PNPM_WORKSPACE_FILE);
+  if (fs.existsSync(pnpmFile)) {
+    let doc;
+    try {
+      doc = parseYaml(fs.readFileSync(pnpmFile, 'utf8'));
+    } catch (e) {
+      throw new UsageError(`Cannot parse ${PNPM_WORKSPACE_FILE}: ${e.message}`);
+    }
+    const packages = doc?.packages ?? [];
+    if (!Array.isArray(packages) || packages.some(g => typeof g !== 'string')) {
+      throw new UsageError(`"packages" in ${PNPM_WORKSPACE_FILE} must be a list of globs.`);
+    }
+    return {file: PNPM_WORKSPACE_FILE, globs: packages.filter(Boolean)};
+  }
+  let pkg;
+  try {
+    pkg = JSON.parse(fs.readFileSync(path.join(root, 'package.json'), 'utf8'));
+  } catch {
+    return null;
+  }
+  const globs = Array.isArray(pkg.workspaces) ? pkg.workspaces : pkg.workspaces?.packages;
+  return Array.isArray(globs) ? {file: 'package.json', globs} : null;
+}
+
+// Directories below `root` (posix, relative) matching the globs; `!glob` entries exclude
+function expandGlobs(root, globs) {
+  const include = globs.filter(g => !g.startsWith('!')).map(g => globToRegExp(g.replace(/^\.\/|\/+$/g, '')));
+  const exclude = globs.filter(g => g.startsWith('!')).map(g => globToRegExp(g.slice(1).replace(/^\.\/|\/+$/g, '')));
+  const dirs = [];
+  const visit = (abs, rel) => {
+    let entries = [];
+    try {
+      entries = fs.readdirSync(abs, {withFileTypes: true});
+    } catch {
+    }
+    for (const e of entries) {
+      if (!e.isDirectory() || WALK_SKIP.has(e.name)) continue;
+      const childRel = rel ? `${rel}/${e.name}` : e.name;
+      if (include.some(re => re.test(childRel)) && !exclude.some(re => re.test(childRel))) dirs.push(childRel);
+      visit(path.join(abs, e.name), childRel);
+    }
+  };
+  visit(root, '');
+  return dirs.sort();
+}
+
+// Relative `extends` entries are local layers; remote ones (github:, npm packages) are not scaffolded
+const isLocalLayer = entry => /^\.{1,2}\//.test(entry);
+
+const nuxtConfigOf = dir => NUXT_CONFIG_NAMES.find(f => fs.existsSync(path.join(dir, f)));
+
+/**
+ * Nuxt packages of the workspace at `root`: every workspace directory with package.json and
+ * nuxt.config.*, plus local layers they `extends` that live outside the workspace globs.
+ * @returns {{file: string, packages: {name: string, dir: string, rel: string, extends: string[], layer: boolean}[]}}
+ */
+export function findWorkspacePackages(root) {
+  const workspace = workspaceGlobs(root);
+  if (!workspace) {
+    throw new UsageError(`No workspace in ${root}: expected ${PNPM_WORKSPACE_FILE} or a "workspaces" field in package.json.`);
+  }
+  const found = new Map();
+  const queue = expandGlobs(root, workspace.globs).map(rel => path.join(root, rel));
+  while (queue.length) {
+    const dir = queue.shift();
+    const configName = nuxtConfigOf(dir);
+    if (found.has(dir) || !configName || !fs.existsSync(path.join(dir, 'package.json'))) continue;
+    let name = toPosix(path.relative(root, dir));
+    try {
+      name = JSON.parse(fs.readFileSync(path.join(dir, 'package.json'), 'utf8')).name || name;
+    } catch {
+    }
+    let layers = [];
+    try {
+      layers = configExtends(fs.readFileSync(path.join(dir, configName), 'utf8'));
+    } catch {
+    }
+    found.set(dir, {name, dir, rel: toPosix(path.relative(root, dir)) || '.', extends: layers, layer: false});
+    for (const entry of layers.filter(isLocalLayer)) queue.push(path.resolve(dir, entry));
+  }
+  const packages = [...found.values()].sort((a, b) => a.rel.localeCompare(b.rel));
+  for (const p of packages) {
+    p.layer = packages.some(other => other.extends.some(l => isLocalLayer(l) && path.resolve(other.dir, l) === p.dir));
+  }
+  return {file: workspace.file, packages};
+}
+
+/**
+ * Runs scaffold() for every Nuxt package of the workspace. A package that fails with a
+ * ScaffoldError gets an `error` entry instead of aborting the others.
+ * @param {import('../index.d.ts').WorkspaceOptions} [options] scaffold() options; `target` is the workspace root
+ * @returns {Promise<import('../index.d.ts').WorkspaceResult>}
+ */
+export async function scaffoldWorkspaces(options = {}) {
+  const root = options.target ? path.resolve(expandTilde(options.target)) : process.cwd();
+  if (!fs.existsSync(root) || !fs.statSync(root).isDirectory()) {
+    throw new UsageError(`Target path not a directory: ${root}`);
+  }
+  const {file, packages} = findWorkspacePackages(root);
+  if (!packages.length) throw new UsageError(`No Nuxt packages found in the workspace (${file}).`);
+
+  const results = [];
+  for (const pkg of packages) {
+    try {
+      results.push({package: pkg, ...await scaffold({...options, target: pkg.dir})});
+    } catch (e) {
+      if (!(e instanceof ScaffoldError)) throw e;
+      results.push({package: pkg, error: {code: e.code, exitCode: e.exitCode, message: e.message}});
+    }
+  }
+  return {version: VERSION, root, workspaceFile: file, results};
+}
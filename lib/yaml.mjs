@@ -0,0 +1,350 @@
+/**
+ * @module @thaikolja/scaffold-nuxt-4/lib/yaml
+ * @description A YAML reader for configuration-style documents such as OpenAPI specs, without
+ *   dependencies. Covers block mappings and sequences, flow collections, plain, quoted and block
+ *   (`|`, `>`) scalars, comments, anchors and aliases. Not supported: tags, complex (`?`) keys,
+ *   merge keys and multiple documents. Scalars resolve with the YAML 1.2 core schema.
+ */
+
+const NULL_RE = /^(?:~|null|Null|NULL)$/;
+const BOOL_RE = /^(?:true|True|TRUE|false|False|FALSE)$/;
+const INT_RE = /^[-+]?(?:0|[1-9][0-9]*)$/;
+const FLOAT_RE = /^[-+]?(?:\.[0-9]+|[0-9]+(?:\.[0-9]*)?)(?:[eE][-+]?[0-9]+)?$/;
+const ANCHOR_RE = /^&([^\s,[\]{}]+)\s*/;
+const ALIAS_RE = /^\*([^\s,[\]{}]+)/;
+const ESCAPES = {
+  0: '\0', a: '\x07', b: '\b', t: '\t', '\t': '\t', n: '\n', v: '\v', f: '\f', r: '\r', e: '\x1b',
+  ' ': ' ', '"': '"', '/': '/', '\\': '\\', N: '\x85', _: '\xa0'
+};
+const HEX_ESCAPES = {x: 2, u: 4, U: 8};
+
+// Plain scalar -> null, boolean, number or the string itself
+function resolvePlain(text) {
+  if (text === '' || NULL_RE.test(text)) return null;
+  if (BOOL_RE.test(text)) return text.toLowerCase() === 'true';
+  if (INT_RE.test(text)) return parseInt(text, 10);
+  if (/^0o[0-7]+$/.test(text)) return parseInt(text.slice(2), 8);
+  if (/^0x[0-9a-fA-F]+$/.test(text)) return parseInt(text.slice(2), 16);
+  if (FLOAT_RE.test(text)) return parseFloat(text);
+  if (/^[-+]?\.(?:inf|Inf|INF)$/.test(text)) return text.startsWith('-') ? -Infinity : Infinity;
+  if (/^\.(?:nan|NaN|NAN)$/.test(text)) return NaN;
+  return text;
+}
+
+// Text before a ` #` comment that isn't inside quotes
+function stripComment(text) {
+  let quote = null;
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (quote) {
+      if (c === '\\' && quote === '"') i++;
+      else if (c === quote) quote = null;
+    } else if (c === '#' && (i === 0 || /\s/.test(text[i - 1]))) {
+      return text.slice(0, i).trimEnd();
+    } else if ((c === '"' || c === '\'') && (i === 0 || /[\s,[{:]/.test(text[i - 1]))) {
+      quote = c;
+    }
+  }
+  return text.trimEnd();
+}
+
+const isSequenceItem = text => text === '-' || text.startsWith('- ');
+
+/**
+ * Parses the first document of `text`.
+ * @returns {unknown}
+ * @throws {Error} Syntax errors and unsupported constructs, with the line number
+ */
+export function parseYaml(text) {
+  const lines = text.replace(/^\uFEFF/, '').split(/\r?\n/).map((raw, i) => ({
+    raw,
+    indent: raw.length - raw.replace(/^ +/, '').length,
+    text:   raw.trimStart(),
+    n:      i + 1
+  }));
+  const anchors = {};
+  let pos = 0;
+  const fail = (line, message) => {
+    throw new Error(`line ${line ? line.n : lines.length}: ${message}`);
+  };
+  const isBlank = line => !stripComment(line.text) || line.text.startsWith('%');
+  // Next line with content; `pos` is moved onto it
+  const current = () => {
+    while (pos < lines.length && isBlank(lines[pos])) pos++;
+    const line = lines[pos];
+    if (line && line.raw[line.indent] === '\t') fail(line, 'tabs are not allowed for indentation.');
+    return line;
+  };
+
+  // One document: an optional leading `---`, up to the next `---` or `...`
+  if (current()?.text.startsWith('---')) {
+    if (stripComment(lines[pos].text.slice(3))) fail(lines[pos], 'content after "---" is not supported.');
+    pos++;
+  }
+  const end = lines.findIndex((l, i) => i >= pos && l.indent === 0 && /^(?:---|\.\.\.)(?:\s|$)/.test(l.text));
+  if (end !== -1) lines.length = end;
+
+  // Quoted scalar at `start`; returns the value and the index after the closing quote, or null
+  // when it isn't closed on this text
+  function readQuoted(s, start, line) {
+    const quote = s[start];
+    let value = '';
+    for (let i = start + 1; i < s.length; i++) {
+      const c = s[i];
+      if (c === quote) {
+        if (quote === '\'' && s[i + 1] === '\'') {
+          value += '\'';
+          i++;
+          continue;
+        }
+        return {value, end: i + 1};
+      }
+      if (quote === '"' && c === '\\') {
+        const e = s[++i];
+        if (e in HEX_ESCAPES) {
+          value += String.fromCodePoint(parseInt(s.slice(i + 1, i + 1 + HEX_ESCAPES[e]), 16));
+          i += HEX_ESCAPES[e];
+        } else if (e in ESCAPES) {
+          value += ESCAPES[e];
+        } else {
+          fail(line, `unknown escape "\\${e}".`);
+        }
+        continue;
+      }
+      value += c;
+    }
+    return null;
+  }
+
+  // `key: rest`, or null when the text isn't a mapping entry
+  function splitKey(s, line) {
+    if (s[0] === '"' || s[0] === '\'') {
+      const quoted = readQuoted(s, 0, line);
+      const after = quoted && /^\s*:(?:\s|$)/.exec(s.slice(quoted.end));
+      return after ? {key: quoted.value, rest: stripComment(s.slice(quoted.end + after[0].length)).trim()} : null;
+    }
+    if (/^[[{]/.test(s)) return null;
+    const m = /^(.*?)\s*:(?:\s+|$)/.exec(s);
+    if (!m || m[1].startsWith('#')) return null;
+    if (m[1] === '?' || m[1].startsWith('? ')) fail(line, 'complex keys are not supported.');
+    return {key: m[1], rest: stripComment(s.slice(m[0].length)).trim()};
+  }
+
+  // A quoted scalar that may continue on the following lines; line breaks fold into spaces
+  function quotedScalar(s, line) {
+    let source = s;
+    let quoted = readQuoted(source, 0, line);
+    while (!quoted) {
+      if (pos >= lines.length) fail(line, 'unterminated quoted string.');
+      const part = lines[pos++].text.trim();
+      if (source.endsWith('\\') && source[0] === '"') source = source.slice(0, -1) + part;
+      else if (!part) source += '\n';
+      else source = `${source.trimEnd()}${source.endsWith('\n') ? '' : ' '}${part}`;
+      quoted = readQuoted(source, 0, line);
+    }
+    const rest = stripComment(source.slice(quoted.end)).trim();
+    if (rest) fail(line, `unexpected "${rest}" after a quoted string.`);
+    return quoted.value;
+  }
+
+  // Flow collection or scalar at `i` inside `[...]` / `{...}`
+  function flowValue(s, i, line) {
+    const skip = j => {
+      while (j < s.length && /\s/.test(s[j])) j++;
+      return j;
+    };
+    i = skip(i);
+    const open = s[i];
+    if (open === '[' || open === '{') {
+      const close = open === '[' ? ']' : '}';
+      const list = [];
+      const map = {};
+      i = skip(i + 1);
+      while (s[i] !== close) {
+        if (i >= s.length) fail(line, `unterminated flow ${open === '[' ? 'sequence' : 'mapping'}.`);
+        const item = flowValue(s, i, line);
+        i = skip(item.end);
+        if (open === '{') {
+          let value = null;
+          if (s[i] === ':') {
+            const v = flowValue(s, i + 1, line);
+            value = v.value;
+            i = skip(v.end);
+          }
+          map[String(item.value)] = value;
+        } else {
+          list.push(item.value);
+        }
+        if (s[i] === ',') i = skip(i + 1);
+        else if (s[i] !== close) fail(line, `expected "," or "${close}" (got "${s.slice(i, i + 10)}").`);
+      }
+      return {value: open === '[' ? list : map, end: i + 1};
+    }
+    if (open === '"' || open === '\'') {
+      const quoted = readQuoted(s, i, line);
+      if (!quoted) fail(line, 'unterminated quoted string.');
+      return quoted;
+    }
+    if (open === '*') {
+      const m = ALIAS_RE.exec(s.slice(i));
+      if (!m || !(m[1] in anchors)) fail(line, `unknown alias "${m ? m[0] : '*'}".`);
+      return {value: anchors[m[1]], end: i + m[0].length};
+    }
+    // Plain scalar up to `,`, a closing bracket or `: `
+    let j = i;
+    while (j < s.length && !/[,\]}]/.test(s[j]) && !(s[j] === ':' && /[\s,\]}]/.test(s[j + 1] ?? ' '))) j++;
+    return {value: resolvePlain(s.slice(i, j).trim()), end: j};
+  }
+
+  // A flow collection that may span lines, up to its closing bracket
+  function flowCollection(s, line) {
+    let source = s;
+    for (;;) {
+      let depth = 0;
+      let quote = null;
+      for (let i = 0; i < source.length; i++) {
+        const c = source[i];
+        if (quote) {
+          if (c === '\\' && quote === '"') i++;
+          else if (c === quote) quote = null;
+        } else if (c === '"' || c === '\'') {
+          quote = c;
+        } else if (c === '[' || c === '{') {
+          depth++;
+        } else if (c === ']' || c === '}') {
+          depth--;
+        }
+      }
+      if (depth <= 0) break;
+      if (pos >= lines.length) fail(line, 'unterminated flow collection.');
+      source += ` ${stripComment(lines[pos++].text)}`;
+    }
+    const {value, end: close} = flowValue(source, 0, line);
+    const rest = stripComment(source.slice(close)).trim();
+    if (rest) fail(line, `unexpected "${rest}" after a flow collection.`);
+    return value;
+  }
+
+  // `|` or `>` block scalar; its lines are the ones indented deeper than `parentIndent`
+  function blockScalar(header, line, parentIndent) {
+    const m = /^[|>](?:([1-9])?([-+])?|([-+])([1-9]))$/.exec(header);
+    if (!m) fail(line, `invalid block scalar header "${header}".`);
+    const chomp = m[2] || m[3] || '';
+    const body = [];
+    while (pos < lines.length && (lines[pos].indent > parentIndent || !lines[pos].raw.trim())) body.push(lines[pos++].raw);
+    const explicit = m[1] || m[4];
+    const contentIndent = explicit
+        ? parentIndent + Number(explicit)
+        : Math.min(...body.filter(l => l.trim()).map(l => l.length - l.trimStart().length));
+    const rows = body.map(l => l.slice(contentIndent));
+    // Trailing blank lines only count with `+`
+    let trailing = 0;
+    while (rows.length && !rows.at(-1).trim()) {
+      rows.pop();
+      trailing++;
+    }
+    if (!rows.length) return chomp === '+' ? '\n'.repeat(trailing) : '';
+
+    let value = rows[0];
+    for (let i = 1; i < rows.length; i++) {
+      const [prev, row] = [rows[i - 1], rows[i]];
+      if (header[0] === '|' || /^\s/.test(row) || /^\s/.test(prev)) value += `\n${row}`;
+      // Folded: a single break becomes a space, each blank line one break
+      else if (!row) value += '\n';
+      else value += prev ? ` ${row}` : row;
+    }
+    if (chomp === '-') return value;
+    return chomp === '+' ? `${value}\n${'\n'.repeat(trailing)}` : `${value}\n`;
+  }
+
+  // A plain scalar that may continue on lines indented deeper than `parentIndent`
+  function plainScalar(s, parentIndent) {
+    const parts = [s];
+    for (;;) {
+      let next = pos;
+      while (next < lines.length && isBlank(lines[next])) next++;
+      const line = lines[next];
+      if (!line || line.indent <= parentIndent || isSequenceItem(line.text) || splitKey(line.text, line)) break;
+      for (; pos < next; pos++) parts.push('');
+      parts.push(stripComment(line.text));
+      pos = next + 1;
+    }
+    if (parts.length === 1) return resolvePlain(s);
+    return parts.reduce((out, part) => !part ? `${out}\n` : out.endsWith('\n') ? out + part : `${out} ${part}`);
+  }
+
+  // Value after `key:` or `- `; the lines of a nested block are indented deeper than `parentIndent`
+  function inlineValue(rest, line, parentIndent) {
+    let anchor = null;
+    const a = ANCHOR_RE.exec(rest);
+    if (a) {
+      anchor = a[1];
+      rest = rest.slice(a[0].length);
+    }
+    if (rest.startsWith('!')) fail(line, 'tags are not supported.');
+    let value;
+    if (!rest) {
+      const next = current();
+      const nested = next && (next.indent > parentIndent || (next.indent === parentIndent && isSequenceItem(next.text)));
+      value = nested ? node(next.indent) : null;
+    } else if (rest.startsWith('*')) {
+      const m = ALIAS_RE.exec(rest);
+      if (!m || m[0] !== rest || !(m[1] in anchors)) fail(line, `unknown alias "${rest}".`);
+      value = anchors[m[1]];
+    } else if (/^[|>]/.test(rest)) {
+      value = blockScalar(rest, line, parentIndent);
+    } else if (/^[[{]/.test(rest)) {
+      value = flowCollection(rest, line);
+    } else if (/^["']/.test(rest)) {
+      value = quotedScalar(rest, line);
+    } else {
+      value = plainScalar(rest, parentIndent);
+    }
+    if (anchor) anchors[anchor] = value;
+    return value;
+  }
+
+  function mapping(indent) {
+    const map = {};
+    for (let line = current(); line && line.indent === indent && !isSequenceItem(line.text); line = current()) {
+      const entry = splitKey(line.text, line);
+      if (!entry) fail(line, `expected "key: value" (got "${line.text.trim()}").`);
+      if (entry.key === '<<') fail(line, 'merge keys are not supported.');
+      pos++;
+      map[entry.key] = inlineValue(entry.rest, line, indent);
+    }
+    return map;
+  }
+
+  function sequence(indent) {
+    const list = [];
+    for (let line = current(); line && line.indent === indent && isSequenceItem(line.text); line = current()) {
+      const rest = line.text.slice(1).trimStart();
+      if (splitKey(rest, line) || isSequenceItem(rest)) {
+        // `- key: value` and `- - item` continue as a block at the column after the dash
+        const column = indent + line.text.length - rest.length;
+        lines[pos] = {...line, indent: column, text: rest};
+        list.push(node(column));
+      } else {
+        pos++;
+        list.push(inlineValue(stripComment(rest), line, indent));
+      }
+    }
+    return list;
+  }
+
+  function node(indent) {
+    const line = current();
+    if (isSequenceItem(line.text)) return sequence(indent);
+    if (splitKey(line.text, line)) return mapping(indent);
+    pos++;
+    return inlineValue(stripComment(line.text), line, indent - 1);
+  }
+
+  const first = current();
+  if (!first) return null;
+  const value = node(first.indent);
+  const extra = current();
+  if (extra) fail(extra, `unexpected "${extra.text.trim()}" (check the indentation).`);
+  return value;
+}
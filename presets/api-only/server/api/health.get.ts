@@ -0,0 +1,6 @@
+export default defineEventHandler(() => {
+  return {
+    status: 'ok',
+    time: new Date().toISOString()
+  }
+})
@@ -0,0 +1,10 @@
+import type { User } from '#shared/types/api'
+
+export default defineEventHandler((event): User => {
+  const id = Number(getRouterParam(event, 'id'))
+  const user = users.find(u => u.id === id)
+  if (!user) {
+    throw createError({ statusCode: 404, statusMessage: `User ${id} not found` })
+  }
+  return user
+})
@@ -0,0 +1,5 @@
+import type { User } from '#shared/types/api'
+
+export default defineEventHandler((): User[] => {
+  return users
+})
@@ -0,0 +1,12 @@
+import type { User } from '#shared/types/api'
+
+export default defineEventHandler(async (event): Promise<User> => {
+  const body = await readBody<Partial<User>>(event)
+  if (!body?.name || !body.email) {
+    throw createError({ statusCode: 400, statusMessage: 'name and email are required' })
+  }
+  const user: User = { id: Math.max(0, ...users.map(u => u.id)) + 1, name: body.name, email: body.email }
+  users.push(user)
+  setResponseStatus(event, 201)
+  return user
+})
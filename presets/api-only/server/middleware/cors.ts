@@ -0,0 +1,6 @@
+export default defineEventHandler((event) => {
+  if (event.path.startsWith('/api/')) {
+    // Also answers preflight requests; restrict `origin` in production
+    handleCors(event, { origin: '*', methods: '*' })
+  }
+})
@@ -0,0 +1,6 @@
+export default defineEventHandler((event) => {
+  const start = Date.now()
+  event.node.res.on('finish', () => {
+    console.log(`${event.method} ${event.path} ${event.node.res.statusCode} ${Date.now() - start}ms`)
+  })
+})
@@ -0,0 +1,7 @@
+import type { User } from '#shared/types/api'
+
+// Replace with a database
+export const users: User[] = [
+  { id: 1, name: 'Ada Lovelace', email: 'ada@example.com' },
+  { id: 2, name: 'Alan Turing', email: 'alan@example.com' }
+]
@@ -0,0 +1,11 @@
+// Auto-imported in server/ and app/; in JavaScript projects, describe shapes with JSDoc here
+export interface User {
+  id: number
+  name: string
+  email: string
+}
+
+export interface ApiError {
+  statusCode: number
+  message: string
+}
@@ -0,0 +1,21 @@
+export interface AuthUser {
+  id: number
+  name: string
+}
+
+export function useAuth() {
+  const user = useState<AuthUser | null>('auth-user', () => null)
+  const loggedIn = computed(() => !!user.value)
+
+  // Replace with a call to your API, e.g. useNuxtApp().$api('/auth/login', ...)
+  async function login(name: string) {
+    user.value = { id: 1, name }
+  }
+
+  async function logout() {
+    user.value = null
+    await navigateTo('/login')
+  }
+
+  return { user, loggedIn, login, logout }
+}
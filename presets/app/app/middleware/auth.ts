@@ -0,0 +1,6 @@
+export default defineNuxtRouteMiddleware((to) => {
+  const { loggedIn } = useAuth()
+  if (!loggedIn.value) {
+    return navigateTo({ path: '/login', query: { redirect: to.fullPath } })
+  }
+})
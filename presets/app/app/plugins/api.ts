@@ -0,0 +1,17 @@
+export default defineNuxtPlugin(() => {
+  const config = useRuntimeConfig()
+
+  // `useNuxtApp().$api('/users')` instead of repeating the base URL and error handling
+  const api = $fetch.create({
+    baseURL: (config.public.apiBase as string | undefined) || '/api',
+    onResponseError({ response }) {
+      if (response.status === 401) {
+        useAuth().user.value = null
+      }
+    }
+  })
+
+  return {
+    provide: { api }
+  }
+})
@@ -0,0 +1,21 @@
+import { defineContentConfig, defineCollection, z } from '@nuxt/content'
+
+export default defineContentConfig({
+  collections: {
+    content: defineCollection({
+      type: 'page',
+      source: {
+        include: '**/*.md',
+        exclude: ['blog/**']
+      }
+    }),
+    blog: defineCollection({
+      type: 'page',
+      source: 'blog/**/*.md',
+      schema: z.object({
+        date: z.string(),
+        tags: z.array(z.string()).optional()
+      })
+    })
+  }
+})
@@ -0,0 +1,29 @@
+const escape = (value: string) => value
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+
+export default defineEventHandler(async (event) => {
+  const origin = getRequestURL(event).origin
+  const posts = await queryCollection(event, 'blog').order('date', 'DESC').all()
+
+  const items = posts.map(post => `
+    <item>
+      <title>${escape(post.title)}</title>
+      <link>${origin}${post.path}</link>
+      <guid>${origin}${post.path}</guid>
+      <pubDate>${new Date(post.date).toUTCString()}</pubDate>
+      <description>${escape(post.description || '')}</description>
+    </item>`).join('')
+
+  setHeader(event, 'Content-Type', 'application/rss+xml; charset=utf-8')
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0">
+  <channel>
+    <title>${escape({{ vars.siteName || pkg.name || "Blog" | json }})}</title>
+    <link>${origin}/blog</link>
+    <description>Latest posts</description>${items}
+  </channel>
+</rss>
+`
+})
@@ -4,53 +4,111 @@
  * @version 1.0.0
  * @description Deterministic additive scaffolder for Nuxt 4 projects. Intelligently adds template files
  *   without overwriting existing ones. Supports built-in, Git, or local directory templates,
- *   with automatic feature detection for `@nuxt/content` and Tailwind CSS, configurable via flags.
+ *   with automatic feature detection (e.g. `@nuxt/content`, Tailwind CSS), configurable via flags.
  *
  * CORE PURPOSE
  *   - Classify template files vs target (add | skip | exclude).
  *   - Optionally write changes (default) or simulate (--dry-run).
  *   - Provide structured JSON (--json) or human console output.
- *   - Support various template sources (built-in, Git, local directory).
- *   - Feature gating for `@nuxt/content` and Tailwind CSS.
+ *   - Support various template sources (built-in, Git URLs and `github:`/`gitlab:` shorthands, local
+ *     directories and archives, npm packages), layered in one run.
+ *   - Feature gating for `@nuxt/content`, Tailwind CSS, @nuxt/ui, Pinia, i18n, @nuxt/image and @nuxt/eslint,
+ *     extensible per template through `scaffold.features.json`.
+ *   - Tailwind v3/v4 aware `main.css` and `tailwind.config.ts` generation.
+ *   - Template variables and feature conditionals in `*.tpl` files (--var).
+ *   - Starter presets on top of the skeleton: minimal, blog, api-only and app (--preset).
+ *   - Typed server route handler stubs with request validation from an OpenAPI 3 document (--from-openapi).
+ *   - Plain JavaScript output for projects without TypeScript (--lang, detected by default).
+ *   - Opt-in, formatting-preserving nuxt.config patching (--patch-config).
+ *   - Migrate Nuxt 3 root-level sources into `app/` (--migrate).
+ *   - All-or-nothing real runs: files are staged and rolled back on any error or interruption.
+ *   - Record every written file in a hashed manifest and back it out again (--revert).
+ *   - Three-way update of previously scaffolded files against that manifest (--update).
+ *   - Unified diffs of existing files against the template (--diff).
+ *   - Persistent settings from scaffold.config.{mjs,json}, .scaffoldrc or package.json#scaffold.
+ *   - Path filters: repeatable --only/--exclude globs and `.scaffoldignore` files (gitignore syntax).
+ *   - Configurable handling of existing files: skip, overwrite, backup or side by side (--on-conflict).
+ *   - Generate single pages, components, composables, API routes, middleware and plugins.
+ *   - Install missing feature packages with the detected package manager (--install).
+ *   - Scaffold every Nuxt app and layer of a pnpm/npm/yarn/bun workspace (--workspaces).
+ *   - Read-only audit of the Nuxt 4 directory layout (doctor).
+ *   - CI enforcement without writes (--check) with JUnit, SARIF or Markdown reports (--report).
+ *   - Programmatic API (`import {scaffold} from '@thaikolja/scaffold-nuxt-4'`); this file is the
+ *     CLI wrapper around it and only parses flags and prints results.
  *
  * USAGE
  *   npx @thaikolja/scaffold-nuxt-4 [flags]
  *   (If no flags, copies default template files to current working directory.)
+ *   npx @thaikolja/scaffold-nuxt-4 generate <kind> <name> [flags] [targetPath]
+ *   (kind: page | component | composable | api | middleware | server-middleware | plugin)
+ *   npx @thaikolja/scaffold-nuxt-4 cache list | cache clear [url]
+ *   npx @thaikolja/scaffold-nuxt-4 doctor [--json] [targetPath]
  *
  * PRIMARY FLAGS (summarized)
  *   --all                  Includes all files from the template, ignoring automatic feature detection.
- *   --with-content         Forces the inclusion of files related to @nuxt/content.
- *   --without-content      Forces the exclusion of files related to @nuxt/content.
- *   --with-tailwind        Forces the inclusion of files related to Tailwind CSS.
- *   --without-tailwind     Forces the exclusion of files related to Tailwind CSS.
+ *   --with-<feature>       Forces the inclusion of files owned by a feature (e.g. --with-content, --with-tailwind).
+ *   --without-<feature>    Forces the exclusion of files owned by a feature (e.g. --without-pinia).
  *   -c, --clean            Excludes INFO.md files from being copied.
+ *   -i, --interactive      Toggles features with checkboxes and deselects single files before writing.
  *   --dry-run              Simulates the scaffolding process without making any changes to the filesystem.
  *   --list                 Lists all files in the template and their classification (add, skip, exclude).
  *   --json                 Outputs the results of the scaffolding process in JSON format.
  *   --debug                Enables debug mode for more verbose output.
  *   --no-color             Disables color-coded output.
+ *   --only=<glob>          Only considers template files matching the glob (repeatable).
+ *   --exclude=<glob>       Excludes template files matching the glob (repeatable).
  *   --include-docs         Includes documentation files (e.g., README.md, LICENSE) in the copy process.
- *   --template-url=<url>   Specifies the URL of a Git repository or the path to a local directory to use as the template source.
+ *   --template-url=<url>   Specifies the template source: a Git URL (https, ssh, git@, file://) or `github:org/repo#ref/subdir`
+ *                          shorthand, a local directory or .tar.gz/.zip archive, or `npm:<package>@<range>`.
+ *                          Repeat it to layer several sources; later ones override earlier ones (`embedded` = built-in).
  *   --template-ref=<ref>   Specifies the branch, tag, or commit to use when cloning a Git repository.
  *   --template-dir=<dir>   Specifies the subdirectory within the template source that contains the files to be copied.
+ *   --offline              Uses the template cache only and never touches the network.
+ *   --refresh              Re-fetches a Git template even when its commit is cached.
+ *   --tailwind=<3|4>       Overrides the detected Tailwind CSS major version (implies --with-tailwind).
+ *   --var=<key=value>      Sets a variable for `*.tpl` templates, read as `{{ vars.key }}` (repeatable).
+ *   --preset=<name>        Adds a starter preset to the embedded templates: minimal (default), blog, api-only or app.
+ *   --list-presets         Lists the presets and the files each one adds.
+ *   --from-openapi=<file>  Generates server route handlers, shared/types and validation from an OpenAPI 3 JSON/YAML file.
+ *   --lang=<ts|js>         Overrides the detected project language; `js` writes `.js` files without types.
+ *   --patch-config         Adds missing `css`, `modules` and `compatibilityDate` entries to nuxt.config.*.
+ *   --migrate              Moves a Nuxt 3 root-level source tree into `app/` and rewrites broken imports.
+ *   --revert               Deletes files recorded in the scaffold manifest that are still unmodified.
+ *   --update               Updates existing files the user never edited, using the manifest as baseline.
+ *   --merge-style=<style>  How --update reports conflicts: `files` (*.new next to it) or `markers`.
+ *   --diff                 Shows how skipped existing files differ from the template.
+ *   --on-conflict=<mode>   What to do with existing files that differ: skip, overwrite, backup or new.
+ *   --no-transaction       Writes files one by one and keeps what was written when an error occurs.
+ *   --install              Installs the packages of features enabled without being dependencies.
+ *   --workspaces           Scaffolds every Nuxt package of the workspace at the target path.
+ *   --check                Writes nothing and exits with 6 when template files are missing (or differ, with a comparison).
+ *   --report=<format>      Prints the result as a `junit`, `sarif` or `markdown` report instead.
  *   -v, --version          Prints the version of the script.
  *   -h, --help             Displays the help message.
  */
 
 
-import fs              from 'node:fs';
-import path            from 'node:path';
-import os              from 'node:os';
-import process         from 'node:process';
-import {spawnSync}     from 'node:child_process';
-import {fileURLToPath} from 'node:url';
-
-// ---------------- CONFIG CONSTANTS ----------------
-const MIN_NODE_MAJOR = 18;
-const DEFAULT_REPO_URL = 'https://gitlab.com/thaikolja/scaffold-nuxt-4.git';
-const DEFAULT_REPO_REF = 'main';
-const DEFAULT_TEMPLATE_DIR = 'templates';
-const VERSION = '1.0.0';
+import process                        from 'node:process';
+import {
+  VERSION,
+  EXIT,
+  MIN_NODE_MAJOR
+}                                     from './lib/constants.mjs';
+import {runCleanups}                  from './lib/lock.mjs';
+import {ScaffoldError, UsageError}    from './lib/errors.mjs';
+import {listCache, clearCache}        from './lib/cache.mjs';
+import {scaffold, classify}           from './lib/scaffold.mjs';
+import {scaffoldWorkspaces}           from './lib/workspaces.mjs';
+import {checkbox}                     from './lib/prompt.mjs';
+import {migrate}                      from './lib/migrate.mjs';
+import {revert}                       from './lib/revert.mjs';
+import {generate, buildGenerated}     from './lib/generate.mjs';
+import {doctor}                       from './lib/doctor.mjs';
+import {REPORT_FORMATS, formatReport} from './lib/check.mjs';
+import {toJavaScript}                 from './lib/lang.mjs';
+import {parseVars}                    from './lib/render.mjs';
+import {parseShorthand}               from './lib/template-source.mjs';
+import {listPresets}                  from './lib/presets.mjs';
 
 // ---------------- NODE VERSION GUARD ----------------
 (function enforceNodeVersion() {
@@ -61,18 +119,12 @@ const VERSION = '1.0.0';
   }
 })();
 
-// ---------------- EXIT CODES ----------------
-const EXIT = {
-  OK:             0,
-  USAGE_ERROR:    1,
-  TEMPLATE_EMPTY: 2,
-  FILE_ERRORS:    3
-};
-
 // ---------------- ARG PARSING ----------------
 const rawArgs = process.argv.slice(2);
 const positional = [];
 const longArgs = new Map();
+// Every value of repeatable options such as --only=<glob>
+const repeatedArgs = new Map();
 const flags = new Set();
 
 for (let i = 0; i < rawArgs.length; i++) {
@@ -81,6 +133,7 @@ for (let i = 0; i < rawArgs.length; i++) {
     const eq = a.indexOf('=');
     if (eq !== -1) {
       longArgs.set(a.slice(2, eq), a.slice(eq + 1));
+      repeatedArgs.set(a.slice(2, eq), [...(repeatedArgs.get(a.slice(2, eq)) || []), a.slice(eq + 1)]);
     } else {
       longArgs.set(a.slice(2), true);
     }
@@ -101,8 +154,14 @@ const getOpt = (name, def) => {
   const v = longArgs.get(name);
   return v === true ? def : (v ?? def);
 };
+const getAll = name => repeatedArgs.get(name) || [];
 
 // ---------------- OPTIONS ----------------
+const COMMANDS = new Set(['generate', 'cache', 'doctor']);
+const command = COMMANDS.has(positional[0]) ? positional.shift() : null;
+const [generateKind, generateName] = command === 'generate' ? positional.splice(0, 2) : [];
+const [cacheAction, cacheUrl] = command === 'cache' ? positional.splice(0, 2) : [];
+
 if (positional.length > 1) {
   console.error('ERROR: Only one positional path allowed.');
   process.exit(EXIT.USAGE_ERROR);
@@ -111,25 +170,70 @@ if (positional.length > 1) {
 const wantHelp = wantFlag('-h', 'help');
 const wantVersion = wantFlag('-v', 'version');
 const cleanInfo = wantFlag('-c', 'clean');
+const wantInteractive = wantFlag('-i', 'interactive');
 const listOnly = want('list');
 const dryRun = want('dry-run');
 const debug = want('debug');
 const forceAll = want('all');
-const overrideWithContent = want('with-content');
-const overrideWithoutContent = want('without-content');
-const overrideWithTailwind = want('with-tailwind');
-const overrideWithoutTailwind = want('without-tailwind');
+// --with-<feature> / --without-<feature>; names are checked once the template's features are known
+const featureOverrides = {};
+for (const key of longArgs.keys()) {
+  const m = /^with(out)?-(.+)$/.exec(key);
+  if (!m) continue;
+  if (m[2] in featureOverrides) {
+    console.error(`ERROR: --with-${m[2]} and --without-${m[2]} are mutually exclusive.`);
+    process.exit(EXIT.USAGE_ERROR);
+  }
+  featureOverrides[m[2]] = !m[1];
+}
 const jsonOutput = want('json');
 const disableColorFlag = want('no-color');
 const includeDocs = want('include-docs');
-
-const templateUrlFlag = getOpt('template-url');
+const migrateMode = want('migrate');
+const revertMode = want('revert');
+const updateMode = want('update');
+const workspacesMode = want('workspaces');
+const installDeps = want('install');
+const transactional = !want('no-transaction');
+const checkMode = want('check');
+const reportFormat = getOpt('report');
+const mergeStyle = getOpt('merge-style', 'files');
+const generateMethod = getOpt('method');
+const generateMode = getOpt('mode');
+const generateGlobal = want('global');
+const tailwindFlag = getOpt('tailwind');
+const langFlag = getOpt('lang');
+const patchConfig = want('patch-config');
+const showDiff = want('diff');
+const onConflict = getOpt('on-conflict');
+const onlyGlobs = getAll('only');
+const excludeGlobs = getAll('exclude');
+const varFlags = getAll('var');
+const presetFlag = getOpt('preset');
+const listPresetsMode = want('list-presets');
+const openApiFlag = getOpt('from-openapi');
+
+// Repeated --template-url flags are layered, the last one on top
+const templateUrlFlags = getAll('template-url');
 const templateRefFlag = getOpt('template-ref');
 const templateDirFlag = getOpt('template-dir');
+const offline = want('offline');
+const refresh = want('refresh');
+const cacheDir = process.env.SCAFFOLD_CACHE_DIR || undefined;
 
 const noColorEnv = !!process.env.NO_COLOR;
 const wantColor = !(disableColorFlag || noColorEnv);
 
+// ---------------- COLOR HELPERS ----------------
+const color = (code, str) =>
+    (process.stdout.isTTY && wantColor) ? `\x1b[${code}m${str}\x1b[0m` : str;
+const green = s => color(32, s);
+const yellow = s => color(33, s);
+const cyan = s => color(36, s);
+const magenta = s => color(35, s);
+const red = s => color(31, s);
+const dim = s => color(2, s);
+
 if (wantVersion) {
   console.log(VERSION);
   process.exit(EXIT.OK);
@@ -142,577 +246,720 @@ Scaffold Nuxt 4 (additive).
 
 Usage:
   scaffold-nuxt-4 [flags] [targetPath]
+  scaffold-nuxt-4 generate <kind> <name> [flags] [targetPath]
+  scaffold-nuxt-4 cache list | cache clear [url]
+  scaffold-nuxt-4 doctor [--json] [targetPath]
+
+Generate kinds:
+  page               app/pages/<name>.vue          (e.g. blog/[slug])
+  component          app/components/<Name>.vue
+  composable         app/composables/<useName>.ts
+  api                server/api/<name>[.<method>].ts  --method=get|post|put|patch|delete
+  middleware         app/middleware/<name>.ts      --global for *.global.ts
+  server-middleware  server/middleware/<name>.ts
+  plugin             app/plugins/<name>.ts         --mode=client|server
 
 Flags:
   --all
-  --with-content / --without-content
-  --with-tailwind / --without-tailwind
+  --with-<feature> / --without-<feature>
+                        Built-in features: content, tailwind, ui, pinia, i18n, image, eslint
   -c, --clean           Exclude INFO.md files
+  -i, --interactive     Pick features and files with checkboxes (needs a TTY)
   --dry-run             Simulate only
   --list                Classification only
   --json                JSON output
   --debug               Internal state
   --no-color            Disable ANSI colors
+  --only=<glob>         Only consider matching template files (repeatable)
+  --exclude=<glob>      Skip matching template files (repeatable)
   --include-docs        Allow README/LICENSE/CHANGELOG copying
-  --template-url=<url>  Override template repo URL (can be a local path)
+  --template-url=<url>  Template source: Git URL, github:/gitlab:/bitbucket: shorthand
+                        (org/repo#ref/subdir), local dir, .tar.gz/.zip archive or
+                        npm:<package>@<range>; repeat to layer
+                        sources, later ones winning (embedded = built-in templates)
   --template-ref=<ref>  Override ref (branch/tag/commit)
   --template-dir=<dir>  Template subdirectory (default: templates)
+  --offline             Use cached Git templates only (no network)
+  --refresh             Re-fetch a Git template even if its commit is cached
+  --tailwind=<3|4>      Tailwind major version when it can't be detected
+  --var=<key=value>     Variable for *.tpl templates, {{ vars.key }} (repeatable)
+  --preset=<name>       Starter preset on top of the embedded templates:
+                        minimal (default) | blog | api-only | app
+  --list-presets        List the presets and the files they add
+  --from-openapi=<file> Add a server route handler per operation of an OpenAPI 3 document
+                        (JSON or YAML), with shared/types and request validation;
+                        replaces the templates, existing handlers are never touched
+  --lang=<ts|js>        Output language (default: js for a nuxt.config.js/.mjs project
+                        without tsconfig.json or typescript, else ts)
+  --patch-config        Register main.css, feature modules and compatibilityDate in nuxt.config.*
+  --migrate             Move Nuxt 3 root-level sources into app/ (no template copy)
+  --revert              Delete unmodified files recorded in .scaffold-nuxt-4.json
+  --update              Refresh unedited files whose template changed since the last run
+  --merge-style=<style> Conflict output for --update: files (default) | markers
+  --diff                Diff skipped files against the template (identical ones are marked)
+  --on-conflict=<mode>  Existing files that differ: skip (default) | overwrite | backup | new
+                        Per-path rules: "conflicts" in scaffold.config.json
+  --no-transaction      Write files one by one instead of all-or-nothing; errors keep
+                        what was written so far
+  --install             Add packages of forced features with the project's package manager
+  --workspaces          Scaffold every Nuxt app/layer of a pnpm, npm, yarn or bun workspace
+  --check               CI mode: write nothing, exit 6 if files are missing (or differ,
+                        with --diff, --update or --on-conflict)
+  --report=<format>     Print a junit, sarif or markdown report instead of the usual output
   -v, --version         Print version
   -h, --help            Help
 
 Notes:
   - Short flags can be combined: -vh, -cv, etc.
+  - --migrate, --revert and generate honour --dry-run, --list and --json.
+  - doctor never writes; it exits with 5 when it finds an error-level problem.
+  - Real runs record written files with hashes in .scaffold-nuxt-4.json.
+  - Settings also come from scaffold.config.{mjs,json}, .scaffoldrc or package.json "scaffold";
+    precedence: defaults < config file < env < flags (see --debug).
+  - .scaffoldignore (gitignore syntax) is read from the template root and the target.
+  - Git templates are cached per URL and commit under $XDG_CACHE_HOME/scaffold-nuxt-4.
 
 Env:
   SCAFFOLD_REPO_URL
   SCAFFOLD_REPO_REF
   SCAFFOLD_FAST=1
+  SCAFFOLD_CACHE_DIR
   NO_COLOR=1
 `);
   process.exit(EXIT.OK);
 }
 
 // Mutual exclusivity
-if (overrideWithContent && overrideWithoutContent) {
-  console.error('ERROR: --with-content and --without-content are mutually exclusive.');
+if ([migrateMode, revertMode, updateMode].filter(Boolean).length > 1) {
+  console.error('ERROR: --migrate, --revert and --update are mutually exclusive.');
   process.exit(EXIT.USAGE_ERROR);
 }
-if (overrideWithTailwind && overrideWithoutTailwind) {
-  console.error('ERROR: --with-tailwind and --without-tailwind are mutually exclusive.');
+if (workspacesMode && (migrateMode || revertMode || command || wantInteractive)) {
+  console.error('ERROR: --workspaces only applies to the template copy, not to --migrate, --revert, --interactive, generate, doctor or cache.');
   process.exit(EXIT.USAGE_ERROR);
 }
-
-// ---------------- TARGET PATH ----------------
-function expandTilde(p) {
-  if (!p) return p;
-  if (p === '~') return os.homedir();
-  if (p.startsWith('~/')) return path.join(os.homedir(), p.slice(2));
-  return p;
+if (wantInteractive && (migrateMode || revertMode || command)) {
+  console.error('ERROR: --interactive only applies to the template copy, not to --migrate, --revert, generate, doctor or cache.');
+  process.exit(EXIT.USAGE_ERROR);
 }
-
-const targetRoot = positional.length ? path.resolve(expandTilde(positional[0])) : process.cwd();
-if (!fs.existsSync(targetRoot) || !fs.statSync(targetRoot).isDirectory()) {
-  console.error('ERROR: Target path not a directory:', targetRoot);
+if (want('lang') && (migrateMode || revertMode || (command && command !== 'generate'))) {
+  console.error('ERROR: --lang only applies to the template copy and generate, not to --migrate, --revert, doctor or cache.');
   process.exit(EXIT.USAGE_ERROR);
 }
-
-// ---------------- LOCK ----------------
-const LOCK_NAME = '.scaffold-nuxt-4.lock';
-const lockPath = path.join(targetRoot, LOCK_NAME);
-let lockAcquired = false;
-
-function isProcessAlive(pid) {
-  if (!pid || !Number.isFinite(pid)) return false;
-  try {
-    process.kill(pid, 0);
-    return true;
-  } catch (e) {
-    // ESRCH -> not running; EPERM/others -> assume running
-    return e && e.code !== 'ESRCH';
-  }
+if (want('from-openapi') && !openApiFlag) {
+  console.error('ERROR: --from-openapi needs a file, e.g. --from-openapi=./openapi.yaml.');
+  process.exit(EXIT.USAGE_ERROR);
 }
-
-function readLockPid(p) {
-  try {
-    const txt = fs.readFileSync(p, 'utf8').trim();
-    const pid = parseInt(txt, 10);
-    return Number.isFinite(pid) ? pid : null;
-  } catch {
-    return null;
-  }
+if (want('from-openapi') && (templateUrlFlags.length || want('preset') || workspacesMode || patchConfig)) {
+  console.error('ERROR: --from-openapi replaces the templates; it can\'t be combined with --template-url, --preset, --workspaces or --patch-config.');
+  process.exit(EXIT.USAGE_ERROR);
 }
-
-function createLock() {
-  const fd = fs.openSync(lockPath, 'wx');
-  try {
-    fs.writeFileSync(fd, String(process.pid));
-  } finally {
-    try {
-      fs.closeSync(fd);
-    } catch {
-    }
-  }
-  lockAcquired = true;
+if (want('report') && !REPORT_FORMATS.includes(reportFormat)) {
+  console.error(`ERROR: --report must be one of ${REPORT_FORMATS.join(', ')}.`);
+  process.exit(EXIT.USAGE_ERROR);
 }
-
-try {
-  createLock();
-} catch (e) {
-  if (e && e.code === 'EEXIST') {
-    const pid = readLockPid(lockPath);
-    if (isProcessAlive(pid)) {
-      console.error(`ERROR: Another scaffold process appears active (lock: ${lockPath}${pid ? `, pid ${pid}` : ''}).`);
-      process.exit(EXIT.USAGE_ERROR);
-    }
-    try {
-      fs.rmSync(lockPath, {force: true});
-    } catch {
-    }
-    try {
-      createLock();
-    } catch (ee) {
-      console.error(`ERROR: Failed to acquire lock at ${lockPath}: ${ee.message}`);
-      process.exit(EXIT.USAGE_ERROR);
-    }
-  } else {
-    console.error(`ERROR: Failed to create lock at ${lockPath}: ${e?.message || e}`);
+if (want('report') && jsonOutput) {
+  console.error('ERROR: --report and --json are mutually exclusive.');
+  process.exit(EXIT.USAGE_ERROR);
+}
+for (const [name, set] of [
+  ['diff', showDiff],
+  ['on-conflict', want('on-conflict')],
+  ['only', want('only')],
+  ['exclude', want('exclude')],
+  ['var', want('var')],
+  ['preset', want('preset')],
+  ['from-openapi', want('from-openapi')],
+  ['install', installDeps],
+  ['no-transaction', !transactional],
+  ['check', checkMode],
+  ['report', want('report')]
+]) {
+  if (set && (migrateMode || revertMode || command)) {
+    console.error(`ERROR: --${name} only applies to the template copy, not to --migrate, --revert, generate, doctor or cache.`);
     process.exit(EXIT.USAGE_ERROR);
   }
 }
 
-// Register signal/exit cleanup so locks/temp dirs don't become immortal
+// Locks and temp clones registered by the library are removed on interruption
 const SIGNAL_EXIT_CODE = {SIGINT: 130, SIGHUP: 129, SIGTERM: 143};
-let cleaning = false;
-process.once('SIGINT', () => {
-  cleanup();
-  process.exit(SIGNAL_EXIT_CODE.SIGINT);
-});
-process.once('SIGHUP', () => {
-  cleanup();
-  process.exit(SIGNAL_EXIT_CODE.SIGHUP);
-});
-process.once('SIGTERM', () => {
-  cleanup();
-  process.exit(SIGNAL_EXIT_CODE.SIGTERM);
-});
-process.once('exit', () => {
-  cleanup();
-});
-
-// ---------------- NUXT DETECTION ----------------
-const pkgPath = path.join(targetRoot, 'package.json');
-if (!fs.existsSync(pkgPath)) {
-  console.error('ERROR: package.json missing in target:', targetRoot);
-  cleanupAndExit(EXIT.USAGE_ERROR);
-}
-let pkg;
-try {
-  pkg = JSON.parse(fs.readFileSync(pkgPath, 'utf8'));
-} catch {
-  console.error('ERROR: Failed to parse package.json.');
-  cleanupAndExit(EXIT.USAGE_ERROR);
-}
-const hasNuxtConfig = ['nuxt.config.ts', 'nuxt.config.js', 'nuxt.config.mjs']
-    .some(f => fs.existsSync(path.join(targetRoot, f)));
-if (!hasNuxtConfig) {
-  console.error('ERROR: nuxt.config.* missing in target path.');
-  cleanupAndExit(EXIT.USAGE_ERROR);
+for (const [signal, code] of Object.entries(SIGNAL_EXIT_CODE)) {
+  process.once(signal, () => {
+    runCleanups();
+    process.exit(code);
+  });
 }
+process.once('exit', () => runCleanups());
 
-const deps = {...(pkg.dependencies || {}), ...(pkg.devDependencies || {})};
-const detectedContent = !!deps['@nuxt/content'];
-const detectedTailwind = !!deps['tailwindcss'];
-
-const effectiveContent =
-          forceAll ? true :
-              overrideWithContent ? true :
-                  overrideWithoutContent ? false :
-                      detectedContent;
-
-const effectiveTailwind =
-          forceAll ? true :
-              overrideWithTailwind ? true :
-                  overrideWithoutTailwind ? false :
-                      detectedTailwind;
-
-// ---------------- TEMPLATE SOURCE DECISION ----------------
-const REPO_URL = templateUrlFlag || process.env.SCAFFOLD_REPO_URL || DEFAULT_REPO_URL;
-const REPO_REF = templateRefFlag || process.env.SCAFFOLD_REPO_REF || DEFAULT_REPO_REF;
-const USE_OPTIMIZED = process.env.SCAFFOLD_FAST === '1';
-const REQUESTED_TEMPLATE_SUBDIR = templateDirFlag || DEFAULT_TEMPLATE_DIR;
-
-const selfDir = path.dirname(fileURLToPath(import.meta.url));
-let templateRoot = null;
-let cloneDir = null;
-let tempRoot = null;
-let usedEmbedded = false;
-let cloneMode = null;
-
-function isRemote(url) {
-  return /^(?:git@|https?:\/\/)/i.test(url);
-}
+const logDebug = message => {
+  if (debug) console.log(`[debug] ${message}`);
+};
 
-function localEmbeddedTemplates() {
-  const candidate = path.join(selfDir, REQUESTED_TEMPLATE_SUBDIR);
-  try {
-    return fs.existsSync(candidate) && fs.statSync(candidate).isDirectory() ? candidate : null;
-  } catch {
-    return null;
-  }
-}
+const colorizeDiff = text => text.split('\n').map(l =>
+    l.startsWith('+++') || l.startsWith('---') ? dim(l) :
+        l.startsWith('@@') ? cyan(l) :
+            l.startsWith('+') ? green(l) :
+                l.startsWith('-') ? red(l) : l
+).join('\n');
 
-const embedded = localEmbeddedTemplates();
-if (embedded && REPO_URL === DEFAULT_REPO_URL) {
-  templateRoot = embedded;
-  usedEmbedded = true;
-  cloneMode = 'embedded';
-}
+const formatFeatures = map => Object.entries(map).map(([k, v]) => `${k}=${v}`).join(' ');
 
-function execGit(args, cwd) {
-  const res = spawnSync('git', args, {
-    cwd, stdio: ['ignore', 'pipe', 'pipe'], encoding: 'utf8'
-  });
-  if (res.status !== 0) {
-    throw new Error(`git ${args.join(' ')} failed: ${res.stderr.trim() || res.stdout.trim()}`);
-  }
-  return res.stdout.trim();
-}
+// `scaffoldignore: content/** in target` for pattern exclusions, the bare reason otherwise
+const formatReason = e => {
+  if (e.existing) return `${e.reason}: ${e.existing}`;
+  return e.pattern ? `${e.reason}: ${e.pattern}${e.source ? ` in ${e.source}` : ''}` : e.reason;
+};
 
-function gitAvailable() {
-  try {
-    execGit(['--version']);
-    return true;
-  } catch {
-    return false;
+const exitCodeOf = result => {
+  if (result.mode === 'doctor') return result.counts.errors ? EXIT.PROBLEMS_FOUND : EXIT.OK;
+  // Workspace runs: the first failed package decides, then file errors in any package
+  if (result.results) {
+    const failed = result.results.find(r => r.error);
+    if (failed) return failed.error.exitCode;
+    const codes = result.results.map(exitCodeOf);
+    return codes.includes(EXIT.FILE_ERRORS) ? EXIT.FILE_ERRORS : Math.max(EXIT.OK, ...codes);
   }
-}
+  if (result.errors?.length) return EXIT.FILE_ERRORS;
+  if (result.check && !result.check.passed) return EXIT.CHECK_FAILED;
+  return result.install?.status === 'failed' ? EXIT.INSTALL_FAILED : EXIT.OK;
+};
 
-function attemptClone(optimized) {
-  tempRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'nuxt4-scaffold-'));
-  const dir = path.join(tempRoot, 'repo');
-  if (optimized) {
-    execGit(['clone', '--depth=1', '--no-tags', '--filter=blob:none', '--sparse', REPO_URL, dir]);
-    try {
-      // Target only the requested template subdir
-      execGit(['sparse-checkout', 'set', '--no-cone', `${REQUESTED_TEMPLATE_SUBDIR}/**`], dir);
-    } catch {
-      // Sparse may fail on older git; caller will fallback if needed
+// ---------------- OUTPUT: MIGRATE ----------------
+function printMigrate(result) {
+  const {target, actions, moved, skipped, rewritten, errors} = result;
+  if (listOnly) {
+    console.log(cyan('=== Migration classification ==='));
+    console.log('Target:', target);
+    console.log('');
+    for (const a of actions) {
+      const tag = a.action === 'move' ? green('[MOVE]')
+          : a.action === 'rewrite' ? cyan('[REWRITE]')
+              : magenta('[SKIP]');
+      console.log(tag, a.rel, a.to ? dim(`-> ${a.to}`) : '', a.reason ? dim(`(${a.reason})`) : '');
+      for (const i of a.imports || []) console.log('   ', dim(`${i.from} -> ${i.to}`));
     }
+    console.log('\nTotals:', `move=${moved.length}`, `skip=${skipped.length}`, `rewrite=${rewritten.length}`);
+    return;
+  }
+
+  console.log('');
+  console.log(cyan('=== nuxt 4 migration ==='));
+  console.log('Target:', target);
+  console.log(`Effective: dryRun=${dryRun}`);
+  console.log('');
+  if (moved.length) {
+    console.log(green('Moved (or would move):'));
+    for (const m of moved) console.log('  >', m.from, dim(`-> ${m.to}`));
   } else {
-    execGit(['clone', '--depth=1', '--no-tags', REPO_URL, dir]);
+    console.log(yellow('Nothing to move.'));
   }
-  if (REPO_REF !== DEFAULT_REPO_REF) {
-    execGit(['fetch', '--depth=1', 'origin', REPO_REF], dir);
-    execGit(['checkout', REPO_REF], dir);
+  if (rewritten.length) {
+    console.log(cyan('\nImports rewritten:'));
+    for (const a of actions.filter(x => x.imports)) {
+      console.log('  ~', a.to || a.rel);
+      for (const i of a.imports) console.log('     ', dim(`${i.from} -> ${i.to}`));
+    }
+  }
+  if (skipped.length) {
+    console.log(magenta('\nSkipped (already exists in app/):'));
+    for (const f of skipped) console.log('  -', f);
   }
-  return dir;
+  printErrors(errors);
+  console.log('');
+  console.log(`Totals: moved=${moved.length} rewritten=${rewritten.length} skipped=${skipped.length} errors=${errors.length}`);
+  console.log('');
 }
 
-if (!templateRoot) {
-  if (!isRemote(REPO_URL)) {
-    const local = path.resolve(expandTilde(REPO_URL));
-    if (!fs.existsSync(local)) {
-      console.error('ERROR: Local template path not found:', local);
-      cleanupAndExit(EXIT.USAGE_ERROR);
+// ---------------- OUTPUT: REVERT ----------------
+function printRevert(result) {
+  const {target, manifest, actions, removed, restored, kept, missing, errors} = result;
+  if (listOnly) {
+    console.log(cyan('=== Revert classification ==='));
+    console.log('Target:', target);
+    console.log(`Manifest: ${manifest.source ?? 'n/a'} Ref: ${manifest.ref ?? 'n/a'}${manifest.commit ? ` Commit: ${manifest.commit}` : ''}`);
+    console.log('');
+    for (const a of actions) {
+      const tag = a.action === 'remove' ? red('[REMOVE]')
+          : a.action === 'restore-backup' ? green('[RESTORE]')
+              : a.action === 'keep-modified' ? magenta('[KEEP]')
+                  : dim('[MISSING]');
+      console.log(tag, a.rel, a.backup ? dim(`(from ${a.backup})`) : a.reason ? dim(`(${a.reason})`) : '');
     }
-    cloneDir = local;
-    cloneMode = 'full';
+    console.log('\nTotals:', `remove=${removed.length}`, `restore=${restored.length}`, `keep=${kept.length}`, `missing=${missing.length}`);
+    return;
+  }
+
+  console.log('');
+  console.log(cyan('=== nuxt 4 scaffold revert ==='));
+  console.log('Target:', target);
+  console.log(`Manifest: ${manifest.source ?? 'n/a'} (ref ${manifest.ref ?? 'n/a'}${manifest.commit ? `, ${manifest.commit}` : ''})`);
+  console.log(`Effective: dryRun=${dryRun}`);
+  console.log('');
+  if (removed.length) {
+    console.log(green('Removed (or would remove):'));
+    for (const f of removed) console.log('  -', f);
   } else {
-    if (!gitAvailable()) {
-      console.error('ERROR: Git not available and no embedded templates.');
-      cleanupAndExit(EXIT.USAGE_ERROR);
-    }
-    try {
-      if (USE_OPTIMIZED) {
-        cloneDir = attemptClone(true);
-        cloneMode = 'optimized';
-        // If optimized clone is empty (excluding .git), retry full
-        const test = fs.readdirSync(cloneDir).filter(x => x !== '.git');
-        if (test.length === 0) {
-          if (debug) console.log('[debug] optimized clone empty; retry full');
-          fs.rmSync(tempRoot, {recursive: true, force: true});
-          cloneDir = attemptClone(false);
-          cloneMode = 'full';
-        }
-      } else {
-        cloneDir = attemptClone(false);
-        cloneMode = 'full';
-      }
-    } catch (e) {
-      console.error('ERROR: Clone failed:', e.message);
-      cleanupAndExit(EXIT.USAGE_ERROR);
-    }
+    console.log(yellow('No files removed.'));
+  }
+  if (restored.length) {
+    console.log(green('\nRestored from backup (or would restore):'));
+    for (const a of actions.filter(a => a.action === 'restore-backup')) console.log('  <', a.rel, dim(`(${a.backup})`));
+  }
+  if (kept.length) {
+    console.log(magenta('\nKept (modified since scaffold):'));
+    for (const f of kept) console.log('  =', f);
+  }
+  if (missing.length) {
+    console.log('\nAlready gone:');
+    for (const f of missing) console.log('  x', f);
   }
-  const candidate = path.join(cloneDir, REQUESTED_TEMPLATE_SUBDIR);
-  templateRoot = fs.existsSync(candidate) && fs.statSync(candidate).isDirectory()
-      ? candidate
-      : cloneDir;
+  printErrors(errors);
+  console.log('');
+  console.log(`Totals: removed=${removed.length} restored=${restored.length} kept=${kept.length} missing=${missing.length} errors=${errors.length}`);
+  console.log('');
 }
 
-// Self-target guard
-try {
-  const tStat = fs.statSync(targetRoot);
-  const trStat = fs.statSync(templateRoot);
-  if (tStat.ino === trStat.ino && tStat.dev === trStat.dev) {
-    console.error('ERROR: Template root == target root.');
-    cleanupAndExit(EXIT.USAGE_ERROR);
+// ---------------- OUTPUT: GENERATE ----------------
+function printGenerate(result) {
+  const {actions, added, skipped, errors} = result;
+  if (listOnly) {
+    for (const a of actions) console.log(a.action === 'add' ? green('[ADD]') : magenta('[SKIP]'), a.rel, dim(`(${a.kind})`));
+    if (debug) {
+      const {rel, content} = buildGenerated(generateKind, generateName, {method: generateMethod, mode: generateMode, global: generateGlobal});
+      console.log(dim(result.lang.lang === 'js' ? toJavaScript(rel, content) : content));
+    }
+    return;
   }
-} catch {
-}
+  if (added.length) console.log(green(dryRun ? 'Would add:' : 'Added:'), added[0]);
+  if (skipped.length) {
+    const [a] = actions;
+    console.log(magenta('Skipped (already exists):'), skipped[0], ...(a.existing ? [dim(`(as ${a.existing})`)] : []));
+  }
+  for (const e of errors) console.log(red('Error:'), e.file, '=>', e.error);
+}
+
+// ---------------- OUTPUT: SCAFFOLD ----------------
+const ACTION_TAGS = {
+  'add':             () => green('[ADD]'),
+  'skip-exists':     () => magenta('[SKIP]'),
+  'overwrite':       () => red('[OVERWRITE]'),
+  'backup':          () => cyan('[BACKUP]'),
+  'side-by-side':    () => cyan('[NEW]'),
+  'update':          () => cyan('[UPDATE]'),
+  'keep-modified':   () => magenta('[KEEP]'),
+  'conflict':        () => red('[CONFLICT]'),
+  'exclude-info':    () => yellow('[EXCL-INFO]'),
+  'exclude-feature': () => yellow('[EXCL-FEAT]'),
+  'exclude-always':  () => yellow('[EXCL]'),
+  'exclude-docs':    () => yellow('[EXCL-DOC]'),
+  'exclude-user':    () => yellow('[EXCL-USER]'),
+  'exclude-pattern': () => yellow('[EXCL-PATTERN]')
+};
 
-// ---------------- COLOR HELPERS ----------------
-const color = (code, str) =>
-    (process.stdout.isTTY && wantColor) ? `\x1b[${code}m${str}\x1b[0m` : str;
-const green = s => color(32, s);
-const yellow = s => color(33, s);
-const cyan = s => color(36, s);
-const magenta = s => color(35, s);
-const red = s => color(31, s);
-const dim = s => color(2, s);
+function printScaffold(result) {
+  const {target, source, ref, mode, detected, tailwind, effective, actions} = result;
+  const {added, skipped, overwritten, backedUp, sideBySide, updated, kept, conflicts, excluded, errors} = result;
+  const {all, update} = effective;
+  const features = Object.fromEntries(Object.keys(detected).map(name => [name, effective[name]]));
+  const layered = result.layers.length > 1;
+  const printLayers = () => result.layers.forEach((l, i) => {
+    console.log(`  ${i}: ${l.source} ${dim(`(ref ${l.ref}, ${l.mode}${l.commit ? `, ${l.commit.slice(0, 12)}` : ''})`)}`);
+  });
 
-// ---------------- CLASSIFIERS ----------------
-const isContentFile = rel =>
-    rel === 'content.config.ts' ||
-    rel.startsWith('content/') ||
-    rel.startsWith('content\\');
-
-const isTailwindFile = rel =>
-    rel === 'tailwind.config.ts' ||
-    rel === 'tailwind.config.js' ||
-    rel === 'tailwind.config.cjs';
-
-const isInfoFile = rel => path.basename(rel) === 'INFO.md';
-
-// Always-exclude basenames
-const ALWAYS_EXCLUDE = new Set([
-  'package.json',
-  'package-lock.json',
-  'pnpm-lock.yaml',
-  'yarn.lock',
-  'bun.lockb',
-  'scaffold.mjs',
-  '_scaffold.mjs',
-  'a.txt',
-  LOCK_NAME,
-  '.DS_Store',
-  'Thumbs.db'
-]);
-
-// Docs excluded unless explicitly included
-const DOC_EXCLUDE = new Set([
-  'README.md',
-  'LICENSE',
-  'LICENSE.txt',
-  'CHANGELOG.md',
-  'CHANGES.md'
-]);
-
-function walk(dir) {
-  const out = [];
-  const stack = [dir];
-  while (stack.length) {
-    const cur = stack.pop();
-    let entries;
-    try {
-      entries = fs.readdirSync(cur, {withFileTypes: true});
-    } catch {
-      continue;
+  if (listOnly) {
+    console.log(cyan('=== Template classification ==='));
+    console.log('Target:', target);
+    if (layered) {
+      console.log('Layers (later ones win):');
+      printLayers();
+    } else {
+      console.log(`Source: ${source} Ref: ${ref} Mode: ${mode}${result.commit ? ` Commit: ${result.commit.slice(0, 12)}` : ''}`);
     }
-    for (const e of entries) {
-      if (e.name === '.git' || e.name === 'node_modules') continue;
-      const full = path.join(cur, e.name);
-      const rel = path.relative(dir, full);
-      if (!rel) continue;
-      if (e.isDirectory()) stack.push(full);
-      else out.push(rel);
+    if (result.preset) console.log(`Preset: ${result.preset}`);
+    if (tailwind.major) console.log(`Tailwind: v${tailwind.major} (${tailwind.source})`);
+    console.log(`Language: ${result.lang.lang} (${result.lang.source})`);
+    console.log(`Flags: all=${all} ${formatFeatures(features)} cleanInfo=${effective.cleanInfo} includeDocs=${effective.includeDocs} dryRun=${dryRun}`);
+    console.log('');
+    for (const a of actions) {
+      const tag = ACTION_TAGS[a.action] ? ACTION_TAGS[a.action]() : '[?]';
+      let detail = a.backup ? `-> ${a.backup}` : a.artifact && a.action === 'side-by-side' ? `-> ${a.artifact}` : '';
+      if (layered) detail = `${detail ? `${detail} ` : ''}[layer ${a.layer}]`;
+      console.log(tag, a.rel, ...(detail ? [dim(detail)] : []), a.reason ? dim(`(${formatReason(a)})`) : '');
     }
+    printSkipDiffs(actions);
+    if (result.config) printConfigPatch(result.config);
+    if (result.install) printInstall(result.install);
+    console.log('\nTotals:',
+        `add=${actions.filter(a => a.action === 'add').length}`,
+        `skip=${actions.filter(a => a.action === 'skip-exists').length}`,
+        ...(overwritten.length ? [`overwrite=${overwritten.length}`] : []),
+        ...(backedUp.length ? [`backup=${backedUp.length}`] : []),
+        ...(sideBySide.length ? [`new=${sideBySide.length}`] : []),
+        ...(update ? [
+          `update=${updated.length}`,
+          `keep=${kept.length}`,
+          `conflict=${conflicts.length}`
+        ] : []),
+        `excluded=${actions.filter(a => a.action.startsWith('exclude')).length}`
+    );
+    printCheck(result.check);
+    return;
   }
-  return out;
-}
 
-function ensureDir(p) {
-  const d = path.dirname(p);
-  if (!fs.existsSync(d)) fs.mkdirSync(d, {recursive: true});
-}
+  console.log('');
+  console.log(cyan('=== nuxt 4 scaffold ==='));
+  console.log('Target:', target);
+  console.log(`Source: ${source === 'embedded' ? 'embedded templates' : source}`);
+  console.log(`Ref: ${ref}`);
+  console.log(`Mode: ${mode}`);
+  if (result.preset) console.log(`Preset: ${result.preset}`);
+  if (result.commit) console.log(`Commit: ${result.commit}${result.cache ? (result.cache.hit ? ' (cache hit)' : ' (fetched)') : ''}`);
+  if (layered) {
+    console.log('Layers (later ones win):');
+    printLayers();
+  }
+  console.log(`Detected deps: ${formatFeatures(detected)}`);
+  if (tailwind.major) console.log(`Tailwind: v${tailwind.major} (${tailwind.source})`);
+  console.log(`Language: ${result.lang.lang} (${result.lang.source})`);
+  console.log(`Effective: ${formatFeatures(features)} all=${all} cleanInfo=${effective.cleanInfo} includeDocs=${effective.includeDocs} dryRun=${dryRun} update=${update} onConflict=${effective.onConflict}`);
+  console.log('');
 
-// ---------------- GATHER FILES ----------------
-let files = walk(templateRoot);
-if (files.length === 0) {
-  console.error('ERROR: Template source has no files.');
-  cleanupAndExit(EXIT.TEMPLATE_EMPTY);
+  if (added.length) {
+    console.log(green('Added (or would add):'));
+    for (const f of added) console.log('  +', f);
+  } else {
+    console.log(yellow('No new files added.'));
+  }
+  if (overwritten.length) {
+    console.log(red('\nOverwritten (or would overwrite):'));
+    for (const f of overwritten) console.log('  !', f);
+  }
+  if (backedUp.length) {
+    console.log(cyan('\nReplaced after backup (or would replace):'));
+    for (const a of actions.filter(x => x.action === 'backup')) console.log('  ~', a.rel, dim(`(backup: ${a.backup})`));
+  }
+  if (sideBySide.length) {
+    console.log(cyan('\nWritten next to existing file (or would write):'));
+    for (const a of actions.filter(x => x.action === 'side-by-side')) console.log('  +', a.artifact, dim(`(for ${a.rel})`));
+  }
+  if (updated.length) {
+    console.log(cyan('\nUpdated from template (or would update):'));
+    for (const f of updated) console.log('  ~', f);
+  }
+  if (kept.length) {
+    console.log(magenta('\nKept (modified locally, template unchanged):'));
+    for (const f of kept) console.log('  =', f);
+  }
+  if (conflicts.length) {
+    console.log(red('\nConflicts (modified locally and in template):'));
+    for (const a of actions.filter(x => x.action === 'conflict')) {
+      console.log('  !', a.rel, a.artifact ? dim(`(see ${a.artifact})`) : dim(`(${a.style})`));
+    }
+  }
+  if (skipped.length) {
+    console.log(magenta('\nSkipped:'));
+    for (const a of actions.filter(x => x.action === 'skip-exists')) {
+      console.log('  -', a.rel, a.existing ? dim(`(exists as ${a.existing})`) : effective.diff && a.reason ? dim(`(${a.reason})`) : '');
+    }
+  }
+  printSkipDiffs(actions);
+  if (excluded.length) {
+    console.log('\nExcluded:');
+    for (const e of excluded) console.log('  x', e.file, dim(`(${formatReason(e)})`));
+  }
+  if (result.config) printConfigPatch(result.config);
+  if (result.install) printInstall(result.install);
+  printErrors(errors);
+  if (result.transaction?.status === 'rolled-back') {
+    console.log(red('\nRolled back:'), 'nothing was written. Fix the errors above and run again.');
+  }
+  console.log('');
+  const resolved = [
+    overwritten.length && `overwritten=${overwritten.length}`,
+    backedUp.length && `backedUp=${backedUp.length}`,
+    sideBySide.length && `sideBySide=${sideBySide.length}`
+  ].filter(Boolean).map(s => `${s} `).join('');
+  console.log(`Totals: added=${added.length} ${resolved}${update ? `updated=${updated.length} kept=${kept.length} conflicts=${conflicts.length} ` : ''}skipped=${skipped.length} excluded=${excluded.length} errors=${errors.length}`);
+  printCheck(result.check);
+  console.log('');
 }
 
-const actions = [];
-const added = [];
-const skipped = [];
-const excluded = [];
-const errors = [];
-
-for (const relRaw of files) {
-  const rel = relRaw.replace(/\\/g, '/');
-  const baseName = path.basename(rel);
-
-  if (ALWAYS_EXCLUDE.has(baseName)) {
-    actions.push({rel, action: 'exclude-always', reason: 'utility'});
-    excluded.push({file: rel, reason: 'utility'});
-    continue;
-  }
-  if (!includeDocs && DOC_EXCLUDE.has(baseName)) {
-    actions.push({rel, action: 'exclude-docs', reason: 'docs'});
-    excluded.push({file: rel, reason: 'docs'});
-    continue;
-  }
-  if (cleanInfo && isInfoFile(rel)) {
-    actions.push({rel, action: 'exclude-info', reason: 'clean'});
-    excluded.push({file: rel, reason: 'info-clean'});
-    continue;
-  }
-  if (isContentFile(rel) && !effectiveContent) {
-    actions.push({rel, action: 'exclude-feature', reason: 'content-off'});
-    excluded.push({file: rel, reason: 'content-disabled'});
-    continue;
-  }
-  if (isTailwindFile(rel) && !effectiveTailwind) {
-    actions.push({rel, action: 'exclude-feature', reason: 'tailwind-off'});
-    excluded.push({file: rel, reason: 'tailwind-disabled'});
-    continue;
-  }
-
-  const dest = path.join(targetRoot, rel);
-  if (fs.existsSync(dest)) {
-    actions.push({rel, action: 'skip-exists'});
-    skipped.push(rel);
-    continue;
-  }
-
-  actions.push({rel, action: 'add'});
-  if (!(dryRun || listOnly)) {
-    try {
-      ensureDir(dest);
-      fs.copyFileSync(path.join(templateRoot, relRaw), dest);
-      added.push(rel);
-    } catch (e) {
-      errors.push({file: rel, error: e.message});
-    }
-  } else {
-    added.push(rel);
+// --check verdict, after the totals
+function printCheck(check) {
+  if (!check) return;
+  if (check.passed) {
+    console.log(green('Check passed:'), 'every template file is present and in sync.');
+    return;
+  }
+  console.log(red('Check failed:'), `${check.failures.length} file${check.failures.length === 1 ? '' : 's'} drift from the template`,
+      dim(`(${[...new Set(check.failures.map(f => f.kind))].join(', ')})`));
+}
+
+// Unified diffs attached by --diff, local file against the template
+function printSkipDiffs(actions) {
+  const differing = actions.filter(a => a.action === 'skip-exists' && (a.diff || a.binary));
+  if (!differing.length) return;
+  console.log(cyan('\nDifferences from template:'));
+  for (const a of differing) {
+    console.log('');
+    console.log(a.binary ? dim(`Binary files template/${a.rel} and ${a.rel} differ`) : colorizeDiff(a.diff.trimEnd()));
   }
 }
 
-// Deterministic ordering
-actions.sort((a, b) => a.rel.localeCompare(b.rel));
-added.sort();
-skipped.sort();
-excluded.sort((a, b) => a.file.localeCompare(b.file));
-
-// ---------------- OUTPUT ----------------
-if (listOnly && !jsonOutput) {
-  console.log(cyan('=== Template classification ==='));
-  console.log('Target:', targetRoot);
-  const modeForPrint = usedEmbedded ? 'embedded' : (cloneMode || (USE_OPTIMIZED ? 'optimized' : 'full'));
-  console.log(`Source: ${usedEmbedded ? 'embedded' : REPO_URL} Ref: ${REPO_REF} Mode: ${modeForPrint}`);
-  console.log(`Flags: all=${forceAll} content=${effectiveContent} tailwind=${effectiveTailwind} cleanInfo=${cleanInfo} includeDocs=${includeDocs} dryRun=${dryRun}`);
+// ---------------- OUTPUT: WORKSPACES ----------------
+function printWorkspaces(result) {
+  const {root, workspaceFile, results} = result;
+  console.log(cyan('=== nuxt 4 workspace ==='));
+  console.log('Root:', root, dim(`(${workspaceFile})`));
+  for (const r of results) {
+    const {name, rel, layer} = r.package;
+    console.log('');
+    console.log(cyan(`>>> ${name}`), dim(`${rel}${layer ? ' (layer)' : ''}${r.package.extends.length ? ` extends ${r.package.extends.join(', ')}` : ''}`));
+    if (r.error) console.log(red('ERROR:'), r.error.message);
+    else printScaffold(r);
+  }
+  const ok = results.filter(r => !r.error);
   console.log('');
-  for (const a of actions) {
-    let tag;
-    switch (a.action) {
-      case 'add':
-        tag = green('[ADD]');
-        break;
-      case 'skip-exists':
-        tag = magenta('[SKIP]');
-        break;
-      case 'exclude-info':
-        tag = yellow('[EXCL-INFO]');
-        break;
-      case 'exclude-feature':
-        tag = yellow('[EXCL-FEAT]');
-        break;
-      case 'exclude-always':
-        tag = yellow('[EXCL]');
-        break;
-      case 'exclude-docs':
-        tag = yellow('[EXCL-DOC]');
-        break;
-      default:
-        tag = '[?]';
-    }
-    console.log(tag, a.rel, a.reason ? dim(`(${a.reason})`) : '');
-  }
-  console.log('\nTotals:',
-      `add=${actions.filter(a => a.action === 'add').length}`,
-      `skip=${actions.filter(a => a.action === 'skip-exists').length}`,
-      `excluded=${actions.filter(a => a.action.startsWith('exclude')).length}`
-  );
-  cleanupAndExit(EXIT.OK);
+  console.log(`Workspace totals: packages=${results.length} failed=${results.length - ok.length}`,
+      `added=${ok.reduce((n, r) => n + r.counts.add, 0)}`,
+      `skipped=${ok.reduce((n, r) => n + r.counts.skip, 0)}`,
+      `errors=${ok.reduce((n, r) => n + r.counts.errors, 0)}`);
+}
+
+// ---------------- OUTPUT: DOCTOR ----------------
+function printDoctor(result) {
+  const {target, problems, counts} = result;
+  console.log(cyan('=== nuxt 4 doctor ==='));
+  console.log('Target:', target);
+  if (result.tailwind.major) console.log(`Tailwind: v${result.tailwind.major} (${result.tailwind.source})`);
+  console.log('');
+  if (!problems.length) console.log(green('No problems found.'));
+  for (const p of problems) {
+    console.log(p.severity === 'error' ? red('[ERROR]') : yellow('[WARN]'), p.message, dim(`(${p.check})`));
+    for (const rel of p.paths) console.log('   ', rel);
+    if (p.fix) console.log('   ', dim(p.fix));
+  }
+  console.log('\nTotals:', `errors=${counts.errors}`, `warnings=${counts.warnings}`);
 }
 
-if (jsonOutput) {
-  const payload = {
-    version:   VERSION,
-    target:    targetRoot,
-    source:    usedEmbedded ? 'embedded' : REPO_URL,
-    ref:       REPO_REF,
-    mode:      usedEmbedded ? 'embedded' : (cloneMode || (USE_OPTIMIZED ? 'optimized' : 'full')),
-    detected:  {content: detectedContent, tailwind: detectedTailwind},
-    effective: {
-      content:  effectiveContent,
-      tailwind: effectiveTailwind,
-      all:      forceAll,
-      cleanInfo,
-      dryRun,
-      listOnly,
-      includeDocs
-    },
-    counts:    {
-      add:      added.length,
-      skip:     skipped.length,
-      excluded: excluded.length,
-      errors:   errors.length
-    },
-    added,
-    skipped,
-    excluded,
-    errors,
-    actions
-  };
-  console.log(JSON.stringify(payload, null, 2));
-  cleanupAndExit(errors.length ? EXIT.FILE_ERRORS : EXIT.OK);
+// ---------------- OUTPUT: CACHE ----------------
+function printCache(result) {
+  if (result.removed) {
+    if (!result.removed.length) console.log(yellow('Template cache is empty.'));
+    for (const url of result.removed) console.log(red('Removed:'), url);
+    return;
+  }
+  console.log(cyan('=== Template cache ==='));
+  console.log('Dir:', result.dir);
+  if (!result.entries.length) console.log(yellow('\nNo cached templates.'));
+  for (const e of result.entries) {
+    console.log('');
+    console.log(e.url);
+    for (const [ref, r] of Object.entries(e.refs)) console.log('  ', ref, dim(`-> ${r.commit.slice(0, 12)} (fetched ${r.fetchedAt})`));
+    for (const c of e.checkouts) console.log('  ', green(c.commit.slice(0, 12)), dim(c.sparse ? `(sparse: ${c.sparse})` : '(full)'));
+  }
+  console.log('\nTotals:', `repos=${result.entries.length}`, `checkouts=${result.entries.reduce((n, e) => n + e.checkouts.length, 0)}`);
 }
 
-// Human summary
-console.log('');
-console.log(cyan('=== nuxt 4 scaffold ==='));
-console.log('Target:', targetRoot);
-console.log(`Source: ${usedEmbedded ? 'embedded templates' : REPO_URL}`);
-console.log(`Ref: ${REPO_REF}`);
-console.log(`Mode: ${usedEmbedded ? 'embedded' : (cloneMode || (USE_OPTIMIZED ? 'optimized' : 'full'))}`);
-console.log(`Detected deps: content=${detectedContent} tailwind=${detectedTailwind}`);
-console.log(`Effective: content=${effectiveContent} tailwind=${effectiveTailwind} all=${forceAll} cleanInfo=${cleanInfo} includeDocs=${includeDocs} dryRun=${dryRun}`);
-console.log('');
-
-if (added.length) {
-  console.log(green('Added (or would add):'));
-  for (const f of added) console.log('  +', f);
-} else {
-  console.log(yellow('No new files added.'));
+// ---------------- OUTPUT: PRESETS ----------------
+function printPresets(result) {
+  console.log(cyan('=== Presets ==='));
+  for (const p of result.presets) {
+    console.log('');
+    console.log(green(p.name), ...(p.default ? [dim('(default)')] : []), p.description);
+    if (!p.files.length) console.log('  ', dim('embedded templates only'));
+    for (const rel of p.files) console.log('  ', rel);
+  }
 }
-if (skipped.length) {
-  console.log(magenta('\nSkipped:'));
-  for (const f of skipped) console.log('  -', f);
+
+function printConfigPatch(configPatch) {
+  const verb = dryRun || listOnly ? 'would patch' : 'patched';
+  if (!configPatch.edits.length) {
+    console.log(dim(`\n${configPatch.file}: nothing to patch`));
+  } else {
+    console.log(cyan(`\n${configPatch.file} (${verb}):`));
+    for (const e of configPatch.edits) console.log('  *', e.key, dim(`${e.action}: ${e.values.join(', ')}`));
+    if (dryRun || listOnly) console.log(colorizeDiff(configPatch.diff.trimEnd()));
+  }
+  for (const sk of configPatch.skipped) console.log(yellow(`  ! ${sk.key} not patched (${sk.reason})`));
 }
-if (excluded.length) {
-  console.log('\nExcluded:');
-  for (const e of excluded) console.log('  x', e.file, dim(`(${e.reason})`));
+
+function printInstall(install) {
+  const via = dim(`(${install.manager} from ${install.source})`);
+  if (!install.packages.length) {
+    console.log(dim('\nNo packages to install.'), via);
+  } else if (install.status === 'failed') {
+    console.log(red('\nInstall failed:'), install.command, via);
+    console.log('  !', install.error);
+  } else {
+    console.log(cyan(install.status === 'installed' ? '\nInstalled:' : '\nWould run:'), install.command, via);
+  }
+  for (const step of install.nextSteps || []) console.log(yellow('  Next:'), step);
 }
-if (errors.length) {
+
+function printErrors(errors) {
+  if (!errors.length) return;
   console.log('\n' + red('Errors:'));
   for (const e of errors) console.log('  !', e.file, '=>', e.error);
 }
-console.log('');
-console.log(`Totals: added=${added.length} skipped=${skipped.length} excluded=${excluded.length} errors=${errors.length}`);
-console.log('');
-cleanupAndExit(errors.length ? EXIT.FILE_ERRORS : EXIT.OK);
-
-// ---------------- CLEANUP ----------------
-function cleanup() {
-  if (cleaning) return;
-  cleaning = true;
-  if (tempRoot) {
-    try {
-      fs.rmSync(tempRoot, {recursive: true, force: true});
-    } catch {
+
+// ---------------- INTERACTIVE ----------------
+// Piped or redirected stdin can't answer prompts: keep the flag-driven behaviour
+const interactive = wantInteractive && !!process.stdin.isTTY && typeof process.stdin.setRawMode === 'function';
+
+/**
+ * Two checkbox steps on top of classify(): features plus INFO.md/docs, then the files that would
+ * be added. Returns the scaffold options to run with, or null when the user aborted.
+ */
+async function selectInteractively(options) {
+  const colors = {cyan, dim, green};
+  const preview = await classify(options);
+  const names = Object.keys(preview.detected);
+  const toggles = await checkbox({
+    message: 'Features and extras',
+    choices: [
+      ...names.map(name => ({
+        label:   name,
+        value:   name,
+        checked: preview.effective[name],
+        hint:    preview.detected[name] ? '(detected)' : ''
+      })),
+      {label: 'INFO.md files', value: ':info', checked: !preview.effective.cleanInfo},
+      {label: 'Docs (README, LICENSE, CHANGELOG)', value: ':docs', checked: preview.effective.includeDocs}
+    ],
+    colors
+  });
+  if (!toggles) return null;
+
+  const chosen = {
+    ...options,
+    all:         false,
+    features:    Object.fromEntries(names.map(name => [name, toggles.includes(name)])),
+    clean:       !toggles.includes(':info'),
+    includeDocs: toggles.includes(':docs')
+  };
+  const plan = await classify(chosen);
+  const adds = plan.actions.filter(a => a.action === 'add').map(a => a.rel);
+  if (!adds.length) return chosen;
+  const files = await checkbox({
+    message: `Files to add (${adds.length} new, ${plan.counts.skip} existing, ${plan.counts.excluded} excluded)`,
+    choices: plan.actions.map(a => ({
+      label:    a.rel,
+      value:    a.rel,
+      disabled: a.action !== 'add',
+      hint:     a.action === 'add' ? '' : `(${a.reason || a.action})`
+    })),
+    colors
+  });
+  if (!files) return null;
+  return {...chosen, deselected: adds.filter(rel => !files.includes(rel))};
+}
+
+// ---------------- RUN ----------------
+async function main() {
+  const target = positional[0];
+  let result;
+  let print;
+  if (listPresetsMode) {
+    result = await listPresets();
+    print = printPresets;
+  } else if (command === 'generate') {
+    result = await generate({
+      target,
+      kind:   generateKind,
+      name:   generateName,
+      method: generateMethod,
+      mode:   generateMode,
+      global: generateGlobal,
+      lang:   langFlag,
+      dryRun,
+      listOnly
+    });
+    print = printGenerate;
+  } else if (command === 'cache') {
+    if (cacheAction === 'list') result = await listCache({cacheDir});
+    else if (cacheAction === 'clear') result = await clearCache({cacheDir, url: cacheUrl && (parseShorthand(cacheUrl)?.url || cacheUrl)});
+    else throw new UsageError('Usage: cache list | cache clear [url]');
+    print = printCache;
+  } else if (command === 'doctor') {
+    result = await doctor({target, env: process.env});
+    print = printDoctor;
+  } else if (migrateMode) {
+    result = await migrate({target, dryRun, listOnly});
+    print = printMigrate;
+  } else if (revertMode) {
+    result = await revert({target, dryRun, listOnly});
+    print = printRevert;
+  } else {
+    // Flags that weren't passed stay undefined, so config file and env values apply
+    let options = {
+      target,
+      all:         forceAll,
+      features:    featureOverrides,
+      clean:       cleanInfo || undefined,
+      includeDocs: includeDocs || undefined,
+      dryRun,
+      listOnly,
+      update:      updateMode,
+      mergeStyle,
+      tailwind:    tailwindFlag,
+      lang:        langFlag,
+      vars:        parseVars(varFlags),
+      preset:      presetFlag,
+      openapi:     openApiFlag,
+      patchConfig,
+      diff:        showDiff,
+      install:     installDeps,
+      transactional,
+      check:       checkMode,
+      onConflict,
+      only:        onlyGlobs,
+      exclude:     excludeGlobs,
+      templateUrl: templateUrlFlags.length === 1 ? templateUrlFlags[0] : undefined,
+      templates:   templateUrlFlags.length > 1 ? templateUrlFlags : undefined,
+      templateRef: templateRefFlag,
+      templateDir: templateDirFlag,
+      env:         process.env,
+      offline,
+      refresh,
+      cacheDir,
+      debug:       logDebug
+    };
+    if (wantInteractive && !interactive) logDebug('stdin is not a TTY; --interactive ignored');
+    if (interactive) {
+      options = await selectInteractively(options);
+      if (!options) {
+        console.error('Aborted; nothing was written.');
+        return SIGNAL_EXIT_CODE.SIGINT;
+      }
     }
-  }
-  if (lockAcquired) {
-    try {
-      fs.rmSync(lockPath, {force: true});
-    } catch {
+    if (workspacesMode) {
+      result = await scaffoldWorkspaces(options);
+      print = printWorkspaces;
+    } else {
+      result = await scaffold(options);
+      print = printScaffold;
     }
   }
-}
 
-function cleanupAndExit(code) {
-  cleanup();
-  process.exit(code);
-}
+  if (jsonOutput) {
+    console.log(JSON.stringify(result, null, 2));
+    return exitCodeOf(result);
+  }
+  if (reportFormat) {
+    process.stdout.write(formatReport(reportFormat, result));
+    return exitCodeOf(result);
+  }
+  print(result);
+  // --list only classifies, so file errors can't occur there; failed workspace packages,
+  // doctor problems and --check failures still count
+  return listOnly && !workspacesMode && !checkMode && command !== 'doctor' ? EXIT.OK : exitCodeOf(result);
+}
+
+main().then(code => {
+  process.exitCode = code;
+}, e => {
+  if (!(e instanceof ScaffoldError)) throw e;
+  console.error('ERROR:', e.message);
+  process.exitCode = e.exitCode;
+});
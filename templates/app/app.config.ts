@@ -1,3 +0,0 @@
-export default defineAppConfig({
-  foo: "bar"
-});
@@ -0,0 +1,3 @@
+export default defineAppConfig({
+  name: {{ vars.siteName || pkg.name || "My Nuxt App" | json }}
+});
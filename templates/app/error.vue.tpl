@@ -9,7 +9,7 @@ const props = defineProps({
 <template>
   <div>
     <h1>{{ error.statusCode }}</h1>
-    <NuxtLink to="/">Go back home</NuxtLink>
+    <NuxtLink to="/">Go back to {{ vars.siteName || pkg.name || "the homepage" | html }}</NuxtLink>
   </div>
 </template>
 
@@ -0,0 +1,152 @@
+import {describe, it, beforeEach, afterEach} from 'node:test';
+import assert                                from 'node:assert/strict';
+import fs                                    from 'node:fs';
+import os                                    from 'node:os';
+import path                                  from 'node:path';
+import zlib                                  from 'node:zlib';
+import {UsageError}                          from '../lib/errors.mjs';
+import {
+  extractArchive,
+  safeEntryPath,
+  isArchive
+}                                            from '../lib/archive.mjs';
+
+// ustar archive of [name, content, type] entries; type '5' is a directory, '2' a symlink
+function tar(entries) {
+  const blocks = [];
+  for (const [name, content = '', type = '0'] of entries) {
+    const data = Buffer.from(content);
+    const header = Buffer.alloc(512);
+    header.write(name, 0, 100);
+    header.write('0000644\0', 100);
+    header.write(`${data.length.toString(8).padStart(11, '0')}\0`, 124);
+    header.write('00000000000\0', 136);
+    header.write(type, 156);
+    header.write('ustar\0' + '00', 257);
+    header.fill(0x20, 148, 156);
+    const checksum = header.reduce((sum, b) => sum + b, 0);
+    header.write(`${checksum.toString(8).padStart(6, '0')}\0 `, 148);
+    blocks.push(header, data, Buffer.alloc(Math.ceil(data.length / 512) * 512 - data.length));
+  }
+  return Buffer.concat([...blocks, Buffer.alloc(1024)]);
+}
+
+// Zip of [name, content, {deflate, size}] entries, stored unless `deflate`; `size` overrides the
+// declared uncompressed size
+function zip(entries) {
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+  for (const [name, content, {deflate = false, size = Buffer.byteLength(content)} = {}] of entries) {
+    const data = deflate ? zlib.deflateRawSync(content) : Buffer.from(content);
+    const nameBuf = Buffer.from(name);
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(deflate ? 8 : 0, 8);
+    local.writeUInt32LE(data.length, 18);
+    local.writeUInt32LE(size, 22);
+    local.writeUInt16LE(nameBuf.length, 26);
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(deflate ? 8 : 0, 10);
+    central.writeUInt32LE(data.length, 20);
+    central.writeUInt32LE(size, 24);
+    central.writeUInt16LE(nameBuf.length, 28);
+    central.writeUInt32LE(offset, 42);
+    locals.push(local, nameBuf, data);
+    centrals.push(central, nameBuf);
+    offset += 30 + nameBuf.length + data.length;
+  }
+  const directory = Buffer.concat(centrals);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(entries.length, 8);
+  end.writeUInt16LE(entries.length, 10);
+  end.writeUInt32LE(directory.length, 12);
+  end.writeUInt32LE(offset, 16);
+  return Buffer.concat([...locals, directory, end]);
+}
+
+describe('safeEntryPath', () => {
+  it('normalizes harmless names', () => {
+    assert.equal(safeEntryPath('./package/a/b.txt'), 'package/a/b.txt');
+    assert.equal(safeEntryPath('dir\\file.txt'), 'dir/file.txt');
+    assert.equal(safeEntryPath('./'), '');
+  });
+
+  it('rejects absolute paths, drive letters and .. segments', () => {
+    for (const name of ['/etc/passwd', 'C:/x', 'c:x', 'a/../../b', '../b', 'a\\..\\..\\b']) {
+      assert.throws(() => safeEntryPath(name), UsageError, name);
+    }
+  });
+});
+
+describe('extractArchive', () => {
+  let dir;
+  let dest;
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'scaffold-test-'));
+    dest = path.join(dir, 'out');
+    fs.mkdirSync(dest);
+  });
+  afterEach(() => fs.rmSync(dir, {recursive: true, force: true}));
+  const write = (name, buf) => {
+    fs.writeFileSync(path.join(dir, name), buf);
+    return path.join(dir, name);
+  };
+  const files = () => fs.readdirSync(dest, {recursive: true}).map(f => f.split(path.sep).join('/')).sort();
+
+  it('extracts .tar.gz archives and drops a shared top-level directory', () => {
+    const file = write('t.tar.gz', zlib.gzipSync(tar([['package/', '', '5'], ['package/a.txt', 'A'], ['package/sub/b.txt', 'B']])));
+    assert.deepEqual(extractArchive(file, dest), {files: 2, skipped: []});
+    assert.deepEqual(files(), ['a.txt', 'sub', 'sub/b.txt']);
+    assert.equal(fs.readFileSync(path.join(dest, 'sub/b.txt'), 'utf8'), 'B');
+  });
+
+  it('extracts zip archives', () => {
+    const file = write('t.zip', zip([['a.txt', 'A'], ['b/c.txt', 'C']]));
+    assert.deepEqual(extractArchive(file, dest), {files: 2, skipped: []});
+    assert.deepEqual(files(), ['a.txt', 'b', 'b/c.txt']);
+  });
+
+  it('inflates deflated zip entries', () => {
+    const file = write('t.zip', zip([['a.txt', 'A'.repeat(100), {deflate: true}]]));
+    assert.deepEqual(extractArchive(file, dest), {files: 1, skipped: []});
+    assert.equal(fs.readFileSync(path.join(dest, 'a.txt'), 'utf8'), 'A'.repeat(100));
+  });
+
+  it('rejects zip entries that inflate to more or less than their declared size', () => {
+    for (const size of [10, 200]) {
+      const file = write('t.zip', zip([['a.txt', 'A'.repeat(100), {deflate: true, size}]]));
+      assert.throws(() => extractArchive(file, dest), /size mismatch for a\.txt/);
+    }
+    assert.deepEqual(files(), []);
+  });
+
+  it('skips symlinks instead of following them', () => {
+    const file = write('t.tar', tar([['a.txt', 'A'], ['link', '', '2']]));
+    assert.deepEqual(extractArchive(file, dest), {files: 1, skipped: ['link']});
+    assert.deepEqual(files(), ['a.txt']);
+  });
+
+  for (const name of ['../evil.txt', '/tmp/evil.txt', 'ok/../../evil.txt']) {
+    it(`rejects the whole archive for "${name}" before writing anything`, () => {
+      assert.throws(() => extractArchive(write('t.tar', tar([['a.txt', 'A'], [name, 'X']])), dest), /Unsafe path in archive/);
+      assert.throws(() => extractArchive(write('t.zip', zip([['a.txt', 'A'], [name, 'X']])), dest), /Unsafe path in archive/);
+      assert.deepEqual(files(), []);
+      assert.ok(!fs.existsSync(path.join(dir, 'evil.txt')));
+    });
+  }
+
+  it('rejects corrupt archives', () => {
+    const broken = tar([['a.txt', 'A']]);
+    broken[0] ^= 0xff;
+    assert.throws(() => extractArchive(write('t.tar', broken), dest), /bad header/);
+    assert.throws(() => extractArchive(write('t.zip', Buffer.from('not a zip')), dest), /no end of central directory/);
+  });
+
+  it('recognizes archive names', () => {
+    assert.ok(isArchive('x.TGZ') && isArchive('a/b.tar.gz') && isArchive('c.zip'));
+    assert.ok(!isArchive('templates'));
+  });
+});
@@ -0,0 +1,89 @@
+import {describe, it, before, after} from 'node:test';
+import assert                        from 'node:assert/strict';
+import {spawnSync}                   from 'node:child_process';
+import fs                            from 'node:fs';
+import os                            from 'node:os';
+import path                          from 'node:path';
+import {fileURLToPath}               from 'node:url';
+import {formatReport}                from '../lib/check.mjs';
+import {UsageError}                  from '../lib/errors.mjs';
+import {scaffold}                    from '../index.mjs';
+
+const CLI = fileURLToPath(new URL('../scaffold.mjs', import.meta.url));
+
+describe('--check', () => {
+  let dir;
+  let target;
+  let templateUrl;
+  let result;
+  before(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'scaffold-test-'));
+    target = path.join(dir, 'project');
+    templateUrl = path.join(dir, 'tpl');
+    fs.mkdirSync(path.join(templateUrl, 'templates/app'), {recursive: true});
+    fs.mkdirSync(path.join(target, 'app'), {recursive: true});
+    fs.writeFileSync(path.join(target, 'package.json'), '{"name": "demo", "dependencies": {"nuxt": "^4.0.0"}}\n');
+    fs.writeFileSync(path.join(target, 'nuxt.config.ts'), 'export default defineNuxtConfig({})\n');
+    for (const name of ['same.vue', 'changed.vue', 'missing <&>.vue']) {
+      fs.writeFileSync(path.join(templateUrl, 'templates/app', name), 'template\n');
+    }
+    fs.writeFileSync(path.join(target, 'app/same.vue'), 'template\n');
+    fs.writeFileSync(path.join(target, 'app/changed.vue'), 'mine\n');
+    result = await scaffold({target, templateUrl, check: true, diff: true});
+  });
+  after(() => fs.rmSync(dir, {recursive: true, force: true}));
+
+  it('reports missing and differing files without writing', () => {
+    assert.equal(result.check.passed, false);
+    assert.deepEqual(result.check.failures.map(f => [f.rel, f.kind]), [
+      ['app/changed.vue', 'differs'],
+      ['app/missing <&>.vue', 'missing']
+    ]);
+    assert.ok(!fs.existsSync(path.join(target, 'app/missing <&>.vue')));
+    assert.ok(!fs.existsSync(path.join(target, '.scaffold-nuxt-4.json')));
+  });
+
+  it('exits with 6 on failures and 0 once everything is in sync', () => {
+    const run = () => spawnSync(process.execPath, [CLI, '--check', `--template-url=${templateUrl}`, target], {encoding: 'utf8'}).status;
+    assert.equal(run(), 6);
+    fs.writeFileSync(path.join(dir, 'tpl/templates/app/changed.vue'), 'mine\n');
+    fs.rmSync(path.join(dir, 'tpl/templates/app/missing <&>.vue'));
+    try {
+      assert.equal(run(), 0);
+    } finally {
+      fs.writeFileSync(path.join(dir, 'tpl/templates/app/changed.vue'), 'template\n');
+      fs.writeFileSync(path.join(dir, 'tpl/templates/app/missing <&>.vue'), 'template\n');
+    }
+  });
+
+  it('writes a JUnit test case per template file with escaped names', () => {
+    const xml = formatReport('junit', result);
+    assert.match(xml, /<testsuites name="scaffold-nuxt-4" tests="3" failures="2" errors="0">/);
+    assert.match(xml, /<testcase classname="scaffold" name="app\/same\.vue"><\/testcase>/);
+    assert.match(xml, /<failure type="missing" message="app\/missing &lt;&amp;&gt;\.vue is missing"\/>/);
+    assert.match(xml, /<failure type="differs" message="app\/changed\.vue differs from the template">--- template\/app\/changed\.vue/);
+  });
+
+  it('writes SARIF 2.1.0 results with rule ids and locations', () => {
+    const sarif = JSON.parse(formatReport('sarif', result));
+    assert.equal(sarif.version, '2.1.0');
+    assert.deepEqual(sarif.runs[0].results.map(r => [r.ruleId, r.level, r.locations[0].physicalLocation.artifactLocation.uri]), [
+      ['differs-from-template', 'warning', 'app/changed.vue'],
+      ['missing-file', 'error', 'app/missing <&>.vue']
+    ]);
+    const rules = sarif.runs[0].tool.driver.rules.map(r => r.id);
+    assert.ok(sarif.runs[0].results.every(r => rules.includes(r.ruleId)));
+  });
+
+  it('writes a Markdown summary with collapsible diffs', () => {
+    const md = formatReport('markdown', result);
+    assert.match(md, /^### Scaffold check: 2 problems\n/);
+    assert.match(md, /^\| `app\/changed\.vue` \| differs \|$/m);
+    assert.match(md, /^\| `app\/missing <&>\.vue` \| missing \|$/m);
+    assert.match(md, /<summary><code>app\/changed\.vue<\/code><\/summary>\n\n```diff\n--- template\/app\/changed\.vue/);
+  });
+
+  it('rejects unknown report formats', () => {
+    assert.throws(() => formatReport('html', result), UsageError);
+  });
+});
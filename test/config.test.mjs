@@ -0,0 +1,87 @@
+import {describe, it, beforeEach, afterEach} from 'node:test';
+import assert                                from 'node:assert/strict';
+import fs                                    from 'node:fs';
+import os                                    from 'node:os';
+import path                                  from 'node:path';
+import {loadConfig, resolveSettings}         from '../lib/config.mjs';
+import {UsageError}                          from '../lib/errors.mjs';
+
+describe('loadConfig', () => {
+  let dir;
+  const write = (name, text) => fs.writeFileSync(path.join(dir, name), text);
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'scaffold-test-'));
+  });
+  afterEach(() => fs.rmSync(dir, {recursive: true, force: true}));
+
+  it('is empty without a config source', async () => {
+    assert.deepEqual(await loadConfig(dir, {name: 'demo'}), {file: null, settings: {}});
+  });
+
+  it('uses only the first config file found', async () => {
+    write('.scaffoldrc', '{"clean": true}');
+    write('scaffold.config.json', '{"includeDocs": true}');
+    write('scaffold.config.mjs', "export default {onConflict: 'new'};\n");
+    assert.deepEqual(await loadConfig(dir, {scaffold: {fast: true}}), {file: 'scaffold.config.mjs', settings: {onConflict: 'new'}});
+    fs.rmSync(path.join(dir, 'scaffold.config.mjs'));
+    assert.deepEqual(await loadConfig(dir), {file: 'scaffold.config.json', settings: {includeDocs: true}});
+    fs.rmSync(path.join(dir, 'scaffold.config.json'));
+    assert.deepEqual(await loadConfig(dir), {file: '.scaffoldrc', settings: {clean: true}});
+  });
+
+  it('falls back to the "scaffold" key of package.json', async () => {
+    assert.deepEqual(await loadConfig(dir, {scaffold: {fast: true}}), {file: 'package.json#scaffold', settings: {fast: true}});
+  });
+
+  it('accepts a single glob for list settings and resolves a local templateUrl', async () => {
+    write('scaffold.config.json', '{"exclude": "server/**", "templateUrl": "../templates"}');
+    const {settings} = await loadConfig(dir);
+    assert.deepEqual(settings.exclude, ['server/**']);
+    assert.equal(settings.templateUrl, path.resolve(dir, '../templates'));
+    write('scaffold.config.json', '{"templateUrl": "https://github.com/acme/tpl.git"}');
+    assert.equal((await loadConfig(dir)).settings.templateUrl, 'https://github.com/acme/tpl.git');
+  });
+
+  it('rejects unknown keys, wrong types and unparsable files', async () => {
+    write('scaffold.config.json', '{"templateURL": "x"}');
+    await assert.rejects(loadConfig(dir), /Unknown setting "templateURL" in scaffold\.config\.json/);
+    write('scaffold.config.json', '{"clean": "yes"}');
+    await assert.rejects(loadConfig(dir), /Invalid "clean" in scaffold\.config\.json: expected a boolean/);
+    write('scaffold.config.json', '{"features": {"pinia": "on"}}');
+    await assert.rejects(loadConfig(dir), UsageError);
+    write('scaffold.config.json', '["clean"]');
+    await assert.rejects(loadConfig(dir), /must contain an object of settings/);
+    write('scaffold.config.json', '{');
+    await assert.rejects(loadConfig(dir), /Failed to load scaffold\.config\.json/);
+  });
+});
+
+describe('resolveSettings', () => {
+  const config = {file: 'scaffold.config.json', settings: {templateRef: 'v1', clean: true, exclude: ['a/**'], features: {pinia: false, content: true}}};
+
+  it('layers defaults < config file < environment < options and records the source', () => {
+    const {settings, sources} = resolveSettings(config, {SCAFFOLD_REPO_REF: 'v2', SCAFFOLD_FAST: '1'}, {clean: false, features: {pinia: true}});
+    assert.equal(settings.templateRef, 'v2');
+    assert.equal(sources.templateRef, 'env SCAFFOLD_REPO_REF');
+    assert.equal(settings.fast, true);
+    assert.equal(settings.clean, false);
+    assert.equal(sources.clean, 'cli');
+    assert.equal(settings.includeDocs, false);
+    assert.equal(sources.includeDocs, 'default');
+  });
+
+  it('merges features per feature', () => {
+    const {settings, sources} = resolveSettings(config, {}, {features: {pinia: true}});
+    assert.deepEqual(settings.features, {pinia: true, content: true});
+    assert.equal(sources['features.pinia'], 'cli');
+    assert.equal(sources['features.content'], 'scaffold.config.json');
+  });
+
+  it('does not count undefined options or empty lists as set', () => {
+    const {settings, sources} = resolveSettings(config, {}, {templateRef: undefined, exclude: []});
+    assert.equal(settings.templateRef, 'v1');
+    assert.deepEqual(settings.exclude, ['a/**']);
+    assert.equal(sources.exclude, 'scaffold.config.json');
+    assert.deepEqual(resolveSettings(config, {}, {exclude: 'b/**'}).settings.exclude, ['b/**']);
+  });
+});
@@ -0,0 +1,120 @@
+import {describe, it, beforeEach, afterEach} from 'node:test';
+import assert                                from 'node:assert/strict';
+import fs                                    from 'node:fs';
+import os                                    from 'node:os';
+import path                                  from 'node:path';
+import {
+  conflictStrategies,
+  sideBySideName,
+  backupName
+}                                            from '../lib/conflicts.mjs';
+import {UsageError}                          from '../lib/errors.mjs';
+import {scaffold, revert}                    from '../index.mjs';
+
+describe('conflict rules', () => {
+  it('takes the first matching glob and falls back to the default strategy', () => {
+    const strategyOf = conflictStrategies('skip', {'app/app.config.ts': 'new', 'server/api/**': 'backup', 'server/**': 'overwrite'});
+    assert.equal(strategyOf('app/app.config.ts'), 'new');
+    assert.equal(strategyOf('server/api/users/index.get.ts'), 'backup');
+    assert.equal(strategyOf('server/utils/db.ts'), 'overwrite');
+    assert.equal(strategyOf('app/error.vue'), 'skip');
+  });
+
+  it('rejects unknown strategies', () => {
+    assert.throws(() => conflictStrategies('replace', {}), UsageError);
+    assert.throws(() => conflictStrategies('skip', {'**': 'merge'}), /Conflict strategy for "\*\*"/);
+  });
+
+  it('names side-by-side copies and backups', () => {
+    assert.equal(sideBySideName('app/error.vue'), 'app/error.template.vue');
+    assert.equal(sideBySideName('.env'), '.env.template');
+    assert.equal(sideBySideName('bin/run'), 'bin/run.template');
+    assert.equal(backupName('app/error.vue', new Date('2026-01-02T03:04:05.678Z')), 'app/error.vue.20260102T030405.bak');
+  });
+});
+
+describe('scaffold({onConflict})', () => {
+  let dir;
+  let target;
+  const at = rel => path.join(target, rel);
+  const read = rel => fs.readFileSync(at(rel), 'utf8');
+  const run = options => scaffold({target, templateUrl: path.join(dir, 'tpl'), ...options});
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'scaffold-test-'));
+    target = path.join(dir, 'project');
+    fs.mkdirSync(path.join(dir, 'tpl/templates/app'), {recursive: true});
+    fs.mkdirSync(path.join(target, 'app'), {recursive: true});
+    fs.writeFileSync(at('package.json'), '{"name": "demo", "dependencies": {"nuxt": "^4.0.0"}}\n');
+    fs.writeFileSync(at('nuxt.config.ts'), 'export default defineNuxtConfig({})\n');
+    for (const name of ['error.vue', 'app.vue', 'same.vue']) fs.writeFileSync(path.join(dir, 'tpl/templates/app', name), 'template\n');
+    fs.writeFileSync(at('app/error.vue'), 'mine\n');
+    fs.writeFileSync(at('app/app.vue'), 'mine\n');
+    fs.writeFileSync(at('app/same.vue'), 'template\n');
+  });
+  afterEach(() => fs.rmSync(dir, {recursive: true, force: true}));
+
+  it('skips existing files by default', async () => {
+    const result = await run({});
+    assert.deepEqual(result.skipped, ['app/app.vue', 'app/error.vue', 'app/same.vue']);
+    assert.equal(read('app/error.vue'), 'mine\n');
+  });
+
+  it('overwrites differing files but never touches identical ones', async () => {
+    const result = await run({onConflict: 'overwrite'});
+    assert.deepEqual(result.overwritten, ['app/app.vue', 'app/error.vue']);
+    assert.deepEqual(result.skipped, ['app/same.vue']);
+    assert.equal(read('app/error.vue'), 'template\n');
+  });
+
+  it('renames the existing file to a timestamped backup', async () => {
+    const result = await run({onConflict: 'backup'});
+    assert.deepEqual(result.backedUp, ['app/app.vue', 'app/error.vue']);
+    const backup = result.actions.find(a => a.rel === 'app/error.vue').backup;
+    assert.match(backup, /^app\/error\.vue\.\d{8}T\d{6}\.bak$/);
+    assert.equal(read(backup), 'mine\n');
+    assert.equal(read('app/error.vue'), 'template\n');
+  });
+
+  it('writes the template version next to the existing file', async () => {
+    const result = await run({onConflict: 'new'});
+    assert.deepEqual(result.sideBySide, ['app/app.vue', 'app/error.vue']);
+    assert.equal(read('app/error.vue'), 'mine\n');
+    assert.equal(read('app/error.template.vue'), 'template\n');
+  });
+
+  it('applies per-path rules from the config file before --on-conflict', async () => {
+    fs.writeFileSync(at('scaffold.config.json'), '{"conflicts": {"app/app.vue": "new"}}');
+    const result = await run({onConflict: 'overwrite'});
+    assert.deepEqual(result.sideBySide, ['app/app.vue']);
+    assert.deepEqual(result.overwritten, ['app/error.vue']);
+  });
+
+  it('prefers the conflicts option over the config file', async () => {
+    fs.writeFileSync(at('scaffold.config.json'), '{"conflicts": {"app/app.vue": "new"}}');
+    const result = await run({conflicts: {'app/**': 'backup'}});
+    assert.deepEqual(result.backedUp, ['app/app.vue', 'app/error.vue']);
+  });
+
+  it('moves backups back and leaves overwritten files alone on revert', async () => {
+    await run({onConflict: 'overwrite', conflicts: {'app/error.vue': 'backup'}});
+    const result = await revert({target});
+    assert.deepEqual(result.restored, ['app/error.vue']);
+    assert.equal(read('app/error.vue'), 'mine\n');
+    assert.equal(read('app/app.vue'), 'template\n');
+    assert.deepEqual(fs.readdirSync(at('app')).sort(), ['app.vue', 'error.vue', 'same.vue']);
+  });
+
+  it('keeps a backed-up file on revert when its backup is gone', async () => {
+    const {actions} = await run({onConflict: 'backup'});
+    fs.rmSync(at(actions.find(a => a.rel === 'app/error.vue').backup));
+    const result = await revert({target});
+    assert.deepEqual(result.kept, ['app/error.vue']);
+    assert.equal(read('app/error.vue'), 'template\n');
+  });
+
+  it('changes nothing with dryRun', async () => {
+    const result = await run({onConflict: 'backup', dryRun: true});
+    assert.deepEqual(result.backedUp, ['app/app.vue', 'app/error.vue']);
+    assert.deepEqual(fs.readdirSync(at('app')).sort(), ['app.vue', 'error.vue', 'same.vue']);
+  });
+});
@@ -0,0 +1,129 @@
+import {describe, it} from 'node:test';
+import assert         from 'node:assert/strict';
+import fs             from 'node:fs';
+import os             from 'node:os';
+import path           from 'node:path';
+import {
+  diffLines,
+  unifiedDiff,
+  mergeWithMarkers,
+  splitLines
+}                     from '../lib/diff.mjs';
+import {scaffold}     from '../index.mjs';
+
+// Length of the longest common subsequence, the reference for a minimal edit script
+function lcs(a, b) {
+  let prev = new Array(b.length + 1).fill(0);
+  for (const x of a) {
+    const row = [0];
+    for (let j = 0; j < b.length; j++) row.push(x === b[j] ? prev[j] + 1 : Math.max(prev[j + 1], row[j]));
+    prev = row;
+  }
+  return prev[b.length];
+}
+
+describe('diffLines', () => {
+  it('produces a minimal edit script that turns a into b', () => {
+    let seed = 7;
+    const random = () => (seed = (seed * 16807) % 2147483647) % 4;
+    for (let round = 0; round < 200; round++) {
+      const a = Array.from({length: random() * 3}, () => `l${random()}`);
+      const b = Array.from({length: random() * 3}, () => `l${random()}`);
+      const ops = diffLines(a, b);
+      assert.deepEqual(ops.filter(o => o.type !== 'add').map(o => o.line), a);
+      assert.deepEqual(ops.filter(o => o.type !== 'del').map(o => o.line), b);
+      assert.equal(ops.filter(o => o.type === 'equal').length, lcs(a, b));
+    }
+  });
+
+  it('falls back to deleting and re-adding the middle past maxEdits', () => {
+    const a = ['same', 'a1', 'a2', 'a3', 'end'];
+    const b = ['same', 'b1', 'b2', 'end'];
+    assert.deepEqual(diffLines(a, b, 2).map(o => `${o.type} ${o.line}`), [
+      'equal same', 'del a1', 'del a2', 'del a3', 'add b1', 'add b2', 'equal end'
+    ]);
+    const long = Array.from({length: 3000}, (_, i) => `line ${i}`);
+    const ops = diffLines(long, long.map(l => `${l}!`));
+    assert.equal(ops.length, 6000);
+    assert.ok(ops.slice(0, 3000).every(o => o.type === 'del'));
+  });
+
+  it('handles empty sides', () => {
+    assert.deepEqual(diffLines([], []), []);
+    assert.deepEqual(diffLines(['x'], []), [{type: 'del', line: 'x'}]);
+    assert.deepEqual(diffLines([], ['x']), [{type: 'add', line: 'x'}]);
+  });
+});
+
+describe('unifiedDiff', () => {
+  it('is empty for equal texts', () => {
+    assert.equal(unifiedDiff('a\nb\n', 'a\nb\n', 'a', 'b'), '');
+  });
+
+  it('prints hunks with three lines of context', () => {
+    const a = Array.from({length: 12}, (_, i) => `line ${i + 1}`).join('\n') + '\n';
+    const b = a.replace('line 2\n', 'line two\n').replace('line 12\n', '');
+    assert.equal(unifiedDiff(a, b, 'template/x.txt', 'x.txt'), [
+      '--- template/x.txt',
+      '+++ x.txt',
+      '@@ -1,5 +1,5 @@',
+      ' line 1',
+      '-line 2',
+      '+line two',
+      ' line 3',
+      ' line 4',
+      ' line 5',
+      '@@ -9,4 +9,3 @@',
+      ' line 9',
+      ' line 10',
+      ' line 11',
+      '-line 12',
+      ''
+    ].join('\n'));
+  });
+
+  it('merges changes separated by a small gap into one hunk', () => {
+    const diff = unifiedDiff('a\nb\nc\nd\ne\n', 'A\nb\nc\nd\nE\n', 'a', 'b');
+    assert.equal(diff.match(/^@@/gm).length, 1);
+    assert.match(diff, /^@@ -1,5 \+1,5 @@$/m);
+  });
+
+  it('ignores the final newline when splitting', () => {
+    assert.deepEqual(splitLines('a\nb\n'), ['a', 'b']);
+    assert.deepEqual(splitLines('\n'), ['']);
+  });
+});
+
+describe('mergeWithMarkers', () => {
+  it('wraps every differing hunk in conflict markers', () => {
+    assert.equal(
+        mergeWithMarkers('a\nmine\nc\n', 'a\ntheirs\nc\nnew\n'),
+        'a\n<<<<<<< local\nmine\n=======\ntheirs\n>>>>>>> template\nc\n<<<<<<< local\n=======\nnew\n>>>>>>> template\n'
+    );
+  });
+});
+
+describe('scaffold({diff: true})', () => {
+  it('marks skipped files as identical or attaches a diff', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'scaffold-test-'));
+    try {
+      const tpl = path.join(dir, 'tpl/templates');
+      const target = path.join(dir, 'project');
+      fs.mkdirSync(tpl, {recursive: true});
+      fs.mkdirSync(target);
+      fs.writeFileSync(path.join(target, 'package.json'), '{"name": "demo", "dependencies": {"nuxt": "^4.0.0"}}\n');
+      fs.writeFileSync(path.join(target, 'nuxt.config.ts'), 'export default defineNuxtConfig({})\n');
+      for (const name of ['same.txt', 'other.txt']) fs.writeFileSync(path.join(tpl, name), 'one\ntwo\n');
+      fs.writeFileSync(path.join(target, 'same.txt'), 'one\ntwo\n');
+      fs.writeFileSync(path.join(target, 'other.txt'), 'one\n2\n');
+
+      const result = await scaffold({target, templateUrl: path.join(dir, 'tpl'), diff: true, dryRun: true});
+      const byRel = Object.fromEntries(result.actions.map(a => [a.rel, a]));
+      assert.equal(byRel['same.txt'].reason, 'identical');
+      assert.equal(byRel['other.txt'].reason, 'differs');
+      assert.equal(byRel['other.txt'].diff, '--- template/other.txt\n+++ other.txt\n@@ -1,2 +1,2 @@\n one\n-two\n+2\n');
+    } finally {
+      fs.rmSync(dir, {recursive: true, force: true});
+    }
+  });
+});
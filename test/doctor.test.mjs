@@ -0,0 +1,85 @@
+import {describe, it, beforeEach, afterEach} from 'node:test';
+import assert                                from 'node:assert/strict';
+import fs                                    from 'node:fs';
+import os                                    from 'node:os';
+import path                                  from 'node:path';
+import {doctor}                              from '../lib/doctor.mjs';
+
+describe('doctor', () => {
+  let root;
+  const write = (rel, text = '') => {
+    fs.mkdirSync(path.dirname(path.join(root, rel)), {recursive: true});
+    fs.writeFileSync(path.join(root, rel), text);
+  };
+  const listing = () => fs.readdirSync(root, {recursive: true}).sort();
+  const problem = (result, check) => result.problems.find(p => p.check === check);
+  beforeEach(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'scaffold-test-'));
+    write('package.json', JSON.stringify({name: 'demo', dependencies: {nuxt: '^4.0.0'}}));
+    write('nuxt.config.ts', "export default defineNuxtConfig({\n  compatibilityDate: '2025-07-15',\n})\n");
+    write('app/app.vue', '<template><NuxtPage /></template>\n');
+  });
+  afterEach(() => fs.rmSync(root, {recursive: true, force: true}));
+
+  it('finds nothing wrong with a Nuxt 4 layout', async () => {
+    const result = await doctor({target: root});
+    assert.deepEqual(result.problems, []);
+    assert.deepEqual(result.counts, {errors: 0, warnings: 0});
+  });
+
+  it('reports Nuxt 3 sources next to app/ and root directories inside app/', async () => {
+    write('pages/index.vue');
+    write('app.vue');
+    write('app/server/api/x.ts');
+    const before = listing();
+    const result = await doctor({target: root});
+    assert.deepEqual(problem(result, 'nuxt3-sources'), {
+      check:    'nuxt3-sources',
+      severity: 'error',
+      message:  'Nuxt 3 root-level sources next to app/ are ignored by Nuxt 4.',
+      paths:    ['app.vue', 'pages/'],
+      fix:      'Run with --migrate to move them into app/.'
+    });
+    assert.deepEqual(problem(result, 'root-dir-in-app').paths, ['app/server/']);
+    assert.deepEqual(listing(), before);
+  });
+
+  it('only warns about the Nuxt 3 layout without app/', async () => {
+    fs.rmSync(path.join(root, 'app'), {recursive: true});
+    write('pages/index.vue');
+    assert.equal(problem(await doctor({target: root}), 'nuxt3-sources').severity, 'warning');
+  });
+
+  it('reports content files outside content/', async () => {
+    write('content.config.ts');
+    write('content/index.md');
+    write('docs/guide.md');
+    write('app/pages/INFO.md');
+    assert.deepEqual(problem(await doctor({target: root}), 'content-outside').paths, ['docs/guide.md']);
+  });
+
+  it('checks that a Tailwind stylesheet exists and is registered', async () => {
+    write('package.json', JSON.stringify({name: 'demo', dependencies: {nuxt: '^4.0.0', tailwindcss: '^4.1.0'}}));
+    assert.equal(problem(await doctor({target: root}), 'tailwind-stylesheet').severity, 'error');
+    write('app/assets/css/main.css', '@import "tailwindcss";\n');
+    const unregistered = problem(await doctor({target: root}), 'tailwind-stylesheet');
+    assert.equal(unregistered.severity, 'warning');
+    assert.deepEqual(unregistered.paths, ['app/assets/css/main.css']);
+    write('nuxt.config.ts', "export default defineNuxtConfig({\n  compatibilityDate: '2025-07-15',\n  css: ['~/assets/css/main.css'],\n})\n");
+    assert.equal(problem(await doctor({target: root}), 'tailwind-stylesheet'), undefined);
+  });
+
+  it('follows the feature settings and template classification of the scaffold', async () => {
+    write('package.json', JSON.stringify({name: 'demo', dependencies: {nuxt: '^4.0.0', tailwindcss: '^4.1.0'}}));
+    assert.equal(problem(await doctor({target: root}), 'tailwind-stylesheet').fix, 'Run the scaffold to add it.');
+    write('app/assets/css/main.css', '/* no tailwind */\n');
+    assert.equal(problem(await doctor({target: root}), 'tailwind-stylesheet').fix, 'Load Tailwind in app/assets/css/main.css or another stylesheet.');
+    write('scaffold.config.json', '{"features": {"tailwind": false}}');
+    assert.equal(problem(await doctor({target: root}), 'tailwind-stylesheet'), undefined);
+  });
+
+  it('reports a missing compatibilityDate', async () => {
+    write('nuxt.config.ts', 'export default defineNuxtConfig({})\n');
+    assert.equal(problem(await doctor({target: root}), 'compatibility-date').severity, 'error');
+  });
+});
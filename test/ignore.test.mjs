@@ -0,0 +1,120 @@
+import {describe, it} from 'node:test';
+import assert         from 'node:assert/strict';
+import fs             from 'node:fs';
+import os             from 'node:os';
+import path           from 'node:path';
+import {UsageError}   from '../lib/errors.mjs';
+import {
+  compilePattern,
+  createIgnore,
+  readIgnoreFile
+}                     from '../lib/ignore.mjs';
+
+// rel -> whether the rules exclude it
+const matcher = lines => {
+  const ignored = createIgnore(lines.map(line => compilePattern(line)).filter(Boolean));
+  return rel => ignored(rel) !== null;
+};
+
+describe('compilePattern', () => {
+  it('skips blank lines and comments', () => {
+    assert.equal(compilePattern(''), null);
+    assert.equal(compilePattern('   '), null);
+    assert.equal(compilePattern('# note'), null);
+    assert.equal(compilePattern('/'), null);
+  });
+
+  it('unescapes leading \\! and \\#', () => {
+    assert.ok(compilePattern('\\!important').re.test('!important'));
+    assert.equal(compilePattern('\\!important').negate, false);
+    assert.ok(compilePattern('\\#hash').re.test('#hash'));
+  });
+
+  it('keeps escaped trailing whitespace and tags the source', () => {
+    assert.ok(compilePattern('a\\ ').re.test('a '));
+    assert.equal(compilePattern('*.log', {source: 'template'}).source, 'template');
+  });
+
+  it('rejects negation where it is not supported', () => {
+    assert.equal(compilePattern('!keep.txt').negate, true);
+    assert.throws(() => compilePattern('!keep.txt', {negation: false}), UsageError);
+  });
+});
+
+describe('createIgnore', () => {
+  it('matches unanchored patterns at any depth and anchored ones from the root', () => {
+    const ignored = matcher(['*.log', '/build', 'docs/*.md']);
+    assert.ok(ignored('a.log'));
+    assert.ok(ignored('deep/dir/a.log'));
+    assert.ok(ignored('build/x.js'));
+    assert.ok(!ignored('src/build/x.js'));
+    assert.ok(ignored('docs/readme.md'));
+    assert.ok(!ignored('docs/sub/readme.md'));
+    assert.ok(!ignored('src/docs/readme.md'));
+  });
+
+  it('supports **, ? and character classes', () => {
+    const ignored = matcher(['**/cache', 'assets/**', 'v?.txt', 'file[0-9].js', 'x[!ab].md']);
+    assert.ok(ignored('cache/a'));
+    assert.ok(ignored('a/b/cache/c'));
+    assert.ok(ignored('assets/img/logo.png'));
+    assert.ok(!ignored('assets'));
+    assert.ok(ignored('v1.txt'));
+    assert.ok(!ignored('v10.txt'));
+    assert.ok(ignored('file3.js'));
+    assert.ok(!ignored('fileA.js'));
+    assert.ok(ignored('xc.md'));
+    assert.ok(!ignored('xa.md'));
+  });
+
+  it('applies directory-only patterns to directories only', () => {
+    const ignored = matcher(['logs/']);
+    assert.ok(ignored('logs/today.txt'));
+    assert.ok(ignored('app/logs/today.txt'));
+    assert.ok(!ignored('logs'));
+  });
+
+  it('re-includes files with a later negation', () => {
+    const ignored = matcher(['*.md', '!README.md']);
+    assert.ok(ignored('CHANGELOG.md'));
+    assert.ok(!ignored('README.md'));
+    assert.ok(!ignored('docs/README.md'));
+  });
+
+  it('lets the last matching rule win', () => {
+    const ignored = matcher(['!keep.txt', '*.txt']);
+    assert.ok(ignored('keep.txt'));
+  });
+
+  it('cannot re-include a file below an excluded directory', () => {
+    const ignored = matcher(['public/', '!public/robots.txt']);
+    assert.ok(ignored('public/robots.txt'));
+    const files = matcher(['public/*', '!public/robots.txt']);
+    assert.ok(!files('public/robots.txt'));
+    assert.ok(files('public/favicon.ico'));
+  });
+
+  it('returns the excluding rule', () => {
+    const ignored = createIgnore([compilePattern('*.log', {source: 'target'})]);
+    assert.equal(ignored('a.log').pattern, '*.log');
+    assert.equal(ignored('a.log').source, 'target');
+    assert.equal(ignored('a.txt'), null);
+  });
+});
+
+describe('readIgnoreFile', () => {
+  it('reads the rules of a .scaffoldignore and is empty without one', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'scaffold-test-'));
+    try {
+      assert.deepEqual(readIgnoreFile(dir, 'target'), []);
+      fs.writeFileSync(path.join(dir, '.scaffoldignore'), '# comment\r\n*.log\r\n\r\n!keep.log\n');
+      const rules = readIgnoreFile(dir, 'target');
+      assert.deepEqual(rules.map(r => [r.pattern, r.negate, r.source]), [['*.log', false, 'target'], ['!keep.log', true, 'target']]);
+      const ignored = createIgnore(rules);
+      assert.ok(ignored('debug.log'));
+      assert.equal(ignored('keep.log'), null);
+    } finally {
+      fs.rmSync(dir, {recursive: true, force: true});
+    }
+  });
+});
@@ -0,0 +1,115 @@
+import {describe, it} from 'node:test';
+import assert         from 'node:assert/strict';
+import {
+  stripTypes,
+  toJavaScript,
+  jsPath,
+  twinPath
+}                     from '../lib/lang.mjs';
+
+describe('stripTypes', () => {
+  it('drops type-only imports and exports and type specifiers', () => {
+    const src = [
+      'import type { User } from \'#shared/types\'',
+      'import { ref, type Ref } from \'vue\'',
+      'import Foo, { type Bar } from \'./foo\'',
+      'export type { User }',
+      'const n = ref(1)',
+      ''
+    ].join('\n');
+    assert.equal(stripTypes(src), [
+      'import { ref } from \'vue\'',
+      'import Foo from \'./foo\'',
+      'const n = ref(1)',
+      ''
+    ].join('\n'));
+  });
+
+  it('removes generics from declarations and calls', () => {
+    const src = [
+      'function first<T>(items: T[], fallback?: T): T | undefined {',
+      '  return items[0] ?? fallback',
+      '}',
+      'const map = new Map<string, number>()',
+      'const user = useState<User | null>(\'user\', () => null)',
+      ''
+    ].join('\n');
+    assert.equal(stripTypes(src), [
+      'function first(items, fallback) {',
+      '  return items[0] ?? fallback',
+      '}',
+      'const map = new Map()',
+      'const user = useState(\'user\', () => null)',
+      ''
+    ].join('\n'));
+  });
+
+  it('removes as and satisfies expressions and non-null assertions', () => {
+    const src = [
+      'const el = document.querySelector(\'#app\') as HTMLElement',
+      'const config = { port: 3000 } satisfies Config',
+      'const data = (await res.json()) as { ok: boolean }',
+      'const v = maybe!.value',
+      ''
+    ].join('\n');
+    assert.equal(stripTypes(src), [
+      'const el = document.querySelector(\'#app\')',
+      'const config = { port: 3000 }',
+      'const data = (await res.json())',
+      'const v = maybe.value',
+      ''
+    ].join('\n'));
+  });
+
+  it('keeps `as` in import and export renames', () => {
+    const src = 'import { a as b } from \'./a\'\nimport * as ns from \'./ns\'\nexport { b as c }\n';
+    assert.equal(stripTypes(src), src);
+  });
+
+  it('removes interfaces, aliases and annotations but leaves enums alone', () => {
+    const src = [
+      'export enum Color { Red, Green }',
+      'interface Point {',
+      '  x: number',
+      '}',
+      'type Id =',
+      '  | string',
+      '  | number',
+      'export const handler = async (event: H3Event): Promise<void> => {}',
+      ''
+    ].join('\n');
+    assert.equal(stripTypes(src), [
+      'export enum Color { Red, Green }',
+      'export const handler = async (event) => {}',
+      ''
+    ].join('\n'));
+  });
+
+  it('leaves strings and comments that look like types untouched', () => {
+    const src = 'const s = \'x as string\'\n// const y: number = 1\n';
+    assert.equal(stripTypes(src), src);
+  });
+});
+
+describe('toJavaScript', () => {
+  it('strips lang="ts" script blocks of components', () => {
+    const src = '<script setup lang="ts">\nconst count = ref<number>(0)\n</script>\n<template><p>{{ count }}</p></template>\n';
+    assert.equal(toJavaScript('app/app.vue', src), '<script setup>\nconst count = ref(0)\n</script>\n<template><p>{{ count }}</p></template>\n');
+  });
+
+  it('leaves declaration files and other files alone', () => {
+    const src = 'declare const x: number\n';
+    assert.equal(toJavaScript('types/env.d.ts', src), src);
+    assert.equal(toJavaScript('app/assets/css/main.css', src), src);
+  });
+});
+
+describe('paths', () => {
+  it('maps .ts modules to .js and finds the other-language twin', () => {
+    assert.equal(jsPath('server/api/hello.ts'), 'server/api/hello.js');
+    assert.equal(jsPath('nuxt.config.mts'), 'nuxt.config.mjs');
+    assert.equal(jsPath('types/env.d.ts'), 'types/env.d.ts');
+    assert.equal(twinPath('app/plugins/api.js'), 'app/plugins/api.ts');
+    assert.equal(twinPath('types/env.d.ts'), null);
+  });
+});
@@ -0,0 +1,73 @@
+import {describe, it, beforeEach, afterEach} from 'node:test';
+import assert                                from 'node:assert/strict';
+import fs                                    from 'node:fs';
+import os                                    from 'node:os';
+import path                                  from 'node:path';
+import {
+  resolveSettings,
+  templateLayers
+}                                            from '../lib/config.mjs';
+import {DEFAULT_REPO_URL}                    from '../lib/constants.mjs';
+import {scaffold}                            from '../index.mjs';
+
+describe('templateLayers', () => {
+  const layers = options => templateLayers(resolveSettings({file: null, settings: {}}, {}, options).settings);
+
+  it('uses the single templateUrl without a templates list', () => {
+    assert.deepEqual(layers({templateUrl: '/tpl', templateRef: 'v1'}), [{url: '/tpl', ref: 'v1', dir: 'templates'}]);
+  });
+
+  it('keeps the order of the templates list and fills in ref and dir', () => {
+    assert.deepEqual(layers({templates: ['embedded', {url: '/base', ref: 'v3'}, {url: '/overlay', dir: 'tpl'}], templateRef: 'main'}), [
+      {url: DEFAULT_REPO_URL, ref: 'main', dir: 'templates'},
+      {url: '/base', ref: 'v3', dir: 'templates'},
+      {url: '/overlay', ref: 'main', dir: 'tpl'}
+    ]);
+  });
+});
+
+describe('scaffold({templates})', () => {
+  let dir;
+  let target;
+  const layer = (name, files) => {
+    for (const [rel, text] of Object.entries(files)) {
+      fs.mkdirSync(path.dirname(path.join(dir, name, 'templates', rel)), {recursive: true});
+      fs.writeFileSync(path.join(dir, name, 'templates', rel), text);
+    }
+    return path.join(dir, name);
+  };
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'scaffold-test-'));
+    target = path.join(dir, 'project');
+    fs.mkdirSync(target);
+    fs.writeFileSync(path.join(target, 'package.json'), '{"name": "demo", "dependencies": {"nuxt": "^4.0.0"}}\n');
+    fs.writeFileSync(path.join(target, 'nuxt.config.ts'), 'export default defineNuxtConfig({})\n');
+  });
+  afterEach(() => fs.rmSync(dir, {recursive: true, force: true}));
+
+  it('merges layers in order, later layers replacing the same path', async () => {
+    const base = layer('base', {'app/app.vue': 'base\n', 'app/error.vue': 'base\n'});
+    const overlay = layer('overlay', {'app/app.vue': 'overlay\n', 'app/extra.vue': 'overlay\n'});
+    const result = await scaffold({target, templates: [base, overlay]});
+    assert.deepEqual(result.added, ['app/app.vue', 'app/error.vue', 'app/extra.vue']);
+    assert.equal(fs.readFileSync(path.join(target, 'app/app.vue'), 'utf8'), 'overlay\n');
+    assert.deepEqual(result.layers.map(l => l.source), [base, overlay]);
+    assert.deepEqual(Object.fromEntries(result.actions.map(a => [a.rel, a.layer])), {
+      'app/app.vue':   1,
+      'app/error.vue': 0,
+      'app/extra.vue': 1
+    });
+    const manifest = JSON.parse(fs.readFileSync(path.join(target, '.scaffold-nuxt-4.json'), 'utf8'));
+    assert.deepEqual(manifest.layers.map(l => l.source), [base, overlay]);
+  });
+
+  it('lets a later layer redefine a feature', async () => {
+    const feature = dependencies => JSON.stringify({features: {extras: {dependencies, files: ['app/extras/**']}}});
+    const base = layer('base', {'scaffold.features.json': feature(['@acme/extras']), 'app/extras/a.vue': 'a\n'});
+    const overlay = layer('overlay', {'scaffold.features.json': feature(['nuxt'])});
+    const alone = await scaffold({target, templates: [base], dryRun: true});
+    assert.equal(alone.actions.find(a => a.rel === 'app/extras/a.vue').action, 'exclude-feature');
+    const layered = await scaffold({target, templates: [base, overlay], dryRun: true});
+    assert.deepEqual(layered.added, ['app/extras/a.vue']);
+  });
+});
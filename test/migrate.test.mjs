@@ -0,0 +1,80 @@
+import {describe, it, beforeEach, afterEach} from 'node:test';
+import assert                                from 'node:assert/strict';
+import {spawnSync}                           from 'node:child_process';
+import fs                                    from 'node:fs';
+import os                                    from 'node:os';
+import path                                  from 'node:path';
+import {fileURLToPath}                       from 'node:url';
+
+const CLI = fileURLToPath(new URL('../scaffold.mjs', import.meta.url));
+
+const run = (...args) => {
+  const res = spawnSync(process.execPath, [CLI, ...args], {encoding: 'utf8', env: {...process.env, NO_COLOR: '1'}});
+  return {status: res.status, report: res.stdout.startsWith('{') ? JSON.parse(res.stdout) : null, stdout: res.stdout};
+};
+
+describe('--migrate', () => {
+  let root;
+  const at = rel => path.join(root, rel);
+  const read = rel => fs.readFileSync(at(rel), 'utf8');
+  const write = (rel, text) => {
+    fs.mkdirSync(path.dirname(at(rel)), {recursive: true});
+    fs.writeFileSync(at(rel), text);
+  };
+  beforeEach(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'scaffold-test-'));
+    write('package.json', '{"name": "demo", "dependencies": {"nuxt": "^4.0.0"}}\n');
+    write('nuxt.config.ts', 'export default defineNuxtConfig({})\n');
+    write('app.vue', '<template><NuxtPage /></template>\n');
+    write('components/Hello.vue', '<template><p>hi</p></template>\n');
+    write('pages/index.vue', [
+      '<script setup lang="ts">',
+      "import Hello from '../components/Hello.vue'",
+      "import {sum} from '~/server/utils/sum'",
+      "import {fmt} from '~/utils/fmt'",
+      '</script>',
+      ''
+    ].join('\n'));
+    write('utils/fmt.ts', "export const fmt = (n: number) => `${n}`\n");
+    write('server/utils/sum.ts', 'export const sum = (a: number, b: number) => a + b\n');
+    write('server/api/total.ts', "import {fmt} from '../../utils/fmt'\nexport default defineEventHandler(() => fmt(1))\n");
+  });
+  afterEach(() => fs.rmSync(root, {recursive: true, force: true}));
+
+  it('moves root-level sources into app/ and leaves the rest in place', () => {
+    const {status, report} = run('--migrate', '--json', root);
+    assert.equal(status, 0);
+    assert.deepEqual(report.moved.map(m => m.to), ['app/app.vue', 'app/components/Hello.vue', 'app/pages/index.vue', 'app/utils/fmt.ts']);
+    for (const rel of ['app.vue', 'components', 'pages', 'utils']) assert.ok(!fs.existsSync(at(rel)), rel);
+    assert.ok(fs.existsSync(at('server/utils/sum.ts')));
+    assert.equal(read('nuxt.config.ts'), 'export default defineNuxtConfig({})\n');
+  });
+
+  it('rewrites imports that would break after the move', () => {
+    const {report} = run('--migrate', '--json', root);
+    assert.deepEqual(report.rewritten, ['app/pages/index.vue', 'server/api/total.ts']);
+    const page = read('app/pages/index.vue');
+    // Relative imports between moved files and `~/` imports into app/ keep working unchanged
+    assert.match(page, /from '\.\.\/components\/Hello\.vue'/);
+    assert.match(page, /from '~\/utils\/fmt'/);
+    // `~/` now points at app/, so root-level targets need `~~/`
+    assert.match(page, /from '~~\/server\/utils\/sum'/);
+    assert.match(read('server/api/total.ts'), /from '\.\.\/\.\.\/app\/utils\/fmt'/);
+  });
+
+  it('changes nothing with --dry-run', () => {
+    const {status, report} = run('--migrate', '--dry-run', '--json', root);
+    assert.equal(status, 0);
+    assert.equal(report.counts.move, 4);
+    assert.ok(!fs.existsSync(at('app')));
+    assert.match(read('pages/index.vue'), /'~\/server\/utils\/sum'/);
+  });
+
+  it('skips files that already exist in app/', () => {
+    write('app/pages/index.vue', '<template>new</template>\n');
+    const {report} = run('--migrate', '--json', root);
+    assert.deepEqual(report.skipped, ['pages/index.vue']);
+    assert.equal(read('app/pages/index.vue'), '<template>new</template>\n');
+    assert.ok(fs.existsSync(at('pages/index.vue')));
+  });
+});
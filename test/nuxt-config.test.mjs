@@ -0,0 +1,266 @@
+import {describe, it, beforeEach, afterEach} from 'node:test';
+import assert                                from 'node:assert/strict';
+import {spawnSync}                           from 'node:child_process';
+import fs                                    from 'node:fs';
+import os                                    from 'node:os';
+import path                                  from 'node:path';
+import {fileURLToPath}                       from 'node:url';
+import {patchNuxtConfig}                     from '../lib/nuxt-config.mjs';
+
+const CLI = fileURLToPath(new URL('../scaffold.mjs', import.meta.url));
+const TODAY = new Date().toISOString().slice(0, 10);
+
+describe('--patch-config', () => {
+  let root;
+  const config = () => fs.readFileSync(path.join(root, 'nuxt.config.ts'), 'utf8');
+  const run = (source, ...args) => {
+    fs.writeFileSync(path.join(root, 'nuxt.config.ts'), source);
+    const res = spawnSync(process.execPath, [CLI, '--patch-config', '--json', ...args, root], {
+      encoding: 'utf8',
+      env:      {...process.env, NO_COLOR: '1'}
+    });
+    return {status: res.status, report: JSON.parse(res.stdout)};
+  };
+  beforeEach(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'scaffold-test-'));
+    fs.writeFileSync(path.join(root, 'package.json'), JSON.stringify({
+      name:         'demo',
+      dependencies: {'nuxt': '^4.0.0', '@nuxt/content': '^3.0.0', '@pinia/nuxt': '^0.5.0'}
+    }));
+  });
+  afterEach(() => fs.rmSync(root, {recursive: true, force: true}));
+
+  it('appends to multi-line arrays and adds missing properties, keeping quotes and comments', () => {
+    const {status, report} = run([
+      '// https://nuxt.com/docs/api/configuration/nuxt-config',
+      'export default defineNuxtConfig({',
+      '  devtools: { enabled: true },',
+      '  modules: [',
+      '    "@nuxt/eslint", // linting',
+      '  ],',
+      '})',
+      ''
+    ].join('\n'));
+    assert.equal(status, 0);
+    assert.equal(config(), [
+      '// https://nuxt.com/docs/api/configuration/nuxt-config',
+      'export default defineNuxtConfig({',
+      '  devtools: { enabled: true },',
+      '  modules: [',
+      '    "@nuxt/eslint", // linting',
+      '    "@nuxt/content",',
+      '    "@pinia/nuxt",',
+      '  ],',
+      `  compatibilityDate: "${TODAY}",`,
+      '  css: ["~/assets/css/main.css"],',
+      '})',
+      ''
+    ].join('\n'));
+    assert.deepEqual(report.config.edits.map(e => [e.key, e.action]), [
+      ['compatibilityDate', 'add-property'],
+      ['modules', 'append'],
+      ['css', 'add-property']
+    ]);
+  });
+
+  it('appends to single-line arrays and never duplicates present entries', () => {
+    run([
+      'export default defineNuxtConfig({',
+      "  compatibilityDate: '2025-01-01',",
+      "  modules: ['@pinia/nuxt'],",
+      "  css: ['@/assets/css/main.css']",
+      '})',
+      ''
+    ].join('\n'));
+    assert.equal(config(), [
+      'export default defineNuxtConfig({',
+      "  compatibilityDate: '2025-01-01',",
+      "  modules: ['@pinia/nuxt', '@nuxt/content'],",
+      "  css: ['@/assets/css/main.css']",
+      '})',
+      ''
+    ].join('\n'));
+  });
+
+  it('fills an empty config object', () => {
+    run('export default defineNuxtConfig({})\n');
+    assert.equal(config(), [
+      'export default defineNuxtConfig({',
+      `  compatibilityDate: '${TODAY}',`,
+      "  modules: ['@nuxt/content', '@pinia/nuxt'],",
+      "  css: ['~/assets/css/main.css']",
+      '})',
+      ''
+    ].join('\n'));
+  });
+
+  it('leaves properties that are not array literals alone', () => {
+    const source = "const mods = ['@nuxt/content', '@pinia/nuxt']\nexport default defineNuxtConfig({\n  compatibilityDate: '2025-01-01',\n  modules: mods,\n  css: ['~/assets/css/main.css'],\n})\n";
+    const {report} = run(source);
+    assert.deepEqual(report.config.skipped, [{key: 'modules', reason: 'not-an-array-literal'}]);
+    assert.equal(config(), source);
+  });
+
+  it('only reports the diff with --dry-run', () => {
+    const {report} = run('export default defineNuxtConfig({})\n', '--dry-run');
+    assert.match(report.config.diff, /^\+ {2}modules: \['@nuxt\/content', '@pinia\/nuxt'\],$/m);
+    assert.equal(config(), 'export default defineNuxtConfig({})\n');
+  });
+});
+
+describe('--install with Tailwind', () => {
+  let root;
+  const run = (source, ...args) => {
+    fs.writeFileSync(path.join(root, 'nuxt.config.ts'), source);
+    const res = spawnSync(process.execPath, [CLI, '--install', '--dry-run', '--json', ...args, root], {
+      encoding: 'utf8',
+      env:      {...process.env, NO_COLOR: '1'}
+    });
+    return JSON.parse(res.stdout);
+  };
+  beforeEach(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'scaffold-test-'));
+    fs.writeFileSync(path.join(root, 'package.json'), '{"name": "demo", "dependencies": {"nuxt": "^4.0.0"}}');
+  });
+  afterEach(() => fs.rmSync(root, {recursive: true, force: true}));
+
+  it('registers the v4 Vite plugin with --patch-config', () => {
+    const report = run('export default defineNuxtConfig({\n  devtools: { enabled: true }\n})\n', '--tailwind=4', '--patch-config');
+    assert.deepEqual(report.install.packages, ['tailwindcss', '@tailwindcss/vite']);
+    assert.equal(report.install.nextSteps, undefined);
+    assert.deepEqual(report.config.edits.find(e => e.key === 'vite'), {key: 'vite', action: 'add-property', values: ['{ plugins: [tailwindcss()] }']});
+    assert.match(report.config.diff, /^\+import tailwindcss from '@tailwindcss\/vite'$/m);
+    assert.match(report.config.diff, /^\+  vite: \{ plugins: \[tailwindcss\(\)\] \}$/m);
+  });
+
+  it('adds the v3 module to modules with --patch-config', () => {
+    const report = run("export default defineNuxtConfig({\n  modules: ['@pinia/nuxt']\n})\n", '--tailwind=3', '--patch-config');
+    assert.deepEqual(report.install.packages, ['@nuxtjs/tailwindcss']);
+    assert.equal(report.install.nextSteps, undefined);
+    assert.deepEqual(report.config.edits.find(e => e.key === 'modules').values, ['@nuxtjs/tailwindcss']);
+    assert.ok(!report.config.edits.some(e => e.key === 'vite'));
+  });
+
+  it('prints the next steps without --patch-config', () => {
+    assert.deepEqual(run('export default defineNuxtConfig({})\n', '--tailwind=4').install.nextSteps, [
+      "Add `import tailwindcss from '@tailwindcss/vite'` and `vite: { plugins: [tailwindcss()] }` to nuxt.config.ts."
+    ]);
+    assert.deepEqual(run('export default defineNuxtConfig({})\n', '--tailwind=3').install.nextSteps, [
+      "Add '@nuxtjs/tailwindcss' to `modules` in nuxt.config.ts."
+    ]);
+  });
+
+  it('leaves an existing vite property alone and prints the next step', () => {
+    const report = run('export default defineNuxtConfig({\n  vite: { server: {} }\n})\n', '--tailwind=4', '--patch-config');
+    assert.deepEqual(report.config.skipped, [{key: 'vite', reason: 'exists'}]);
+    assert.equal(report.install.nextSteps.length, 1);
+  });
+});
+
+describe('patchNuxtConfig', () => {
+  const patch = (lines, wants) => patchNuxtConfig(lines.join('\n'), wants).text.split('\n');
+  const props = [{key: 'compatibilityDate', value: '2025-07-15'}];
+  const modules = [{key: 'modules', values: ['@nuxt/content']}];
+  const css = [{key: 'css', values: ['~/assets/css/main.css']}];
+
+  it('puts the comma after the last property, not after its line comment', () => {
+    assert.deepEqual(patch([
+      'export default defineNuxtConfig({',
+      '  devtools: { enabled: true } // keep me',
+      '})'
+    ], props), [
+      'export default defineNuxtConfig({',
+      '  devtools: { enabled: true }, // keep me',
+      "  compatibilityDate: '2025-07-15'",
+      '})'
+    ]);
+  });
+
+  it('puts the comma after the last property, not after its block comment', () => {
+    assert.deepEqual(patch([
+      'export default defineNuxtConfig({',
+      '  devtools: { enabled: true } /* keep me */',
+      '})'
+    ], props), [
+      'export default defineNuxtConfig({',
+      '  devtools: { enabled: true }, /* keep me */',
+      "  compatibilityDate: '2025-07-15'",
+      '})'
+    ]);
+  });
+
+  it('keeps array entries followed by comments valid', () => {
+    assert.deepEqual(patch([
+      'export default defineNuxtConfig({',
+      '  modules: [',
+      "    '@nuxt/eslint' // lint",
+      '  ],',
+      '  css: [',
+      "    '~/assets/css/base.css' /* reset */",
+      '  ],',
+      '})'
+    ], [...modules, ...css]), [
+      'export default defineNuxtConfig({',
+      '  modules: [',
+      "    '@nuxt/eslint', // lint",
+      "    '@nuxt/content'",
+      '  ],',
+      '  css: [',
+      "    '~/assets/css/base.css', /* reset */",
+      "    '~/assets/css/main.css'",
+      '  ],',
+      '})'
+    ]);
+  });
+
+  it('keeps trailing commas before comments as they are', () => {
+    assert.deepEqual(patch([
+      'export default defineNuxtConfig({',
+      '  modules: [',
+      "    '@nuxt/eslint', // lint",
+      '  ],',
+      '})'
+    ], modules), [
+      'export default defineNuxtConfig({',
+      '  modules: [',
+      "    '@nuxt/eslint', // lint",
+      "    '@nuxt/content',",
+      '  ],',
+      '})'
+    ]);
+  });
+
+  it('imports a code property after the last import, matching semicolons', () => {
+    const vite = {key: 'vite', code: '{ plugins: [tailwindcss()] }', import: {name: 'tailwindcss', from: '@tailwindcss/vite'}};
+    assert.deepEqual(patch([
+      "import {\n  a\n} from 'a';",
+      '',
+      'export default defineNuxtConfig({});'
+    ], [vite]), [
+      'import {',
+      '  a',
+      "} from 'a';",
+      "import tailwindcss from '@tailwindcss/vite';",
+      '',
+      'export default defineNuxtConfig({',
+      '  vite: { plugins: [tailwindcss()] }',
+      '});'
+    ]);
+    assert.equal(patchNuxtConfig("import tailwindcss from '@tailwindcss/vite'\nexport default defineNuxtConfig({})", [vite]).edits.length, 0);
+  });
+
+  it('does not insert into a block comment that continues on the next line', () => {
+    assert.deepEqual(patch([
+      'export default defineNuxtConfig({',
+      "  modules: ['@nuxt/eslint'] /* more",
+      '     modules later */',
+      '})'
+    ], props), [
+      'export default defineNuxtConfig({',
+      "  modules: ['@nuxt/eslint'],",
+      "  compatibilityDate: '2025-07-15' /* more",
+      '     modules later */',
+      '})'
+    ]);
+  });
+});
@@ -0,0 +1,197 @@
+import {describe, it, before, after} from 'node:test';
+import assert                        from 'node:assert/strict';
+import fs                            from 'node:fs';
+import os                            from 'node:os';
+import path                          from 'node:path';
+import {pathToFileURL}               from 'node:url';
+import {UsageError}                  from '../lib/errors.mjs';
+import {toJavaScript}                from '../lib/lang.mjs';
+import {
+  VALIDATOR_FILE,
+  loadOpenApi,
+  routePath,
+  openApiFiles
+}                                    from '../lib/openapi.mjs';
+
+const SPEC = {
+  openapi:    '3.0.3',
+  info:       {title: 'Pets', version: '1.0.0'},
+  paths:      {
+    '/api/pets':         {
+      get:  {
+        operationId: 'listPets',
+        parameters:  [{name: 'limit', in: 'query', schema: {type: 'integer', minimum: 1}}],
+        responses:   {200: {description: 'ok', content: {'application/json': {schema: {type: 'array', items: {$ref: '#/components/schemas/Pet'}}}}}}
+      },
+      post: {
+        operationId: 'createPet',
+        requestBody: {required: true, content: {'application/json': {schema: {$ref: '#/components/schemas/Pet'}}}},
+        responses:   {201: {description: 'created'}}
+      }
+    },
+    '/api/pets/{petId}': {
+      parameters: [{name: 'petId', in: 'path', required: true, schema: {type: 'integer'}}],
+      delete:     {responses: {204: {description: 'gone'}}}
+    }
+  },
+  components: {
+    schemas: {
+      Pet:   {
+        type:       'object',
+        required:   ['id', 'name'],
+        properties: {
+          id:   {type: 'integer', readOnly: true},
+          name: {type: 'string', description: 'The pet\'s name'},
+          tag:  {type: 'string', nullable: true}
+        }
+      },
+      Error: {type: 'object', properties: {message: {type: 'string'}}}
+    }
+  }
+};
+
+describe('routePath', () => {
+  it('maps /api paths to server/api and turns {param} into [param]', () => {
+    assert.equal(routePath('/api/users/{id}'), 'server/api/users/[id]');
+    assert.equal(routePath('/api'), 'server/api/index');
+  });
+
+  it('maps other paths to server/routes so they keep their URL', () => {
+    assert.equal(routePath('/health'), 'server/routes/health');
+    assert.equal(routePath('/users/{id}/posts'), 'server/routes/users/[id]/posts');
+    assert.equal(routePath('/apis'), 'server/routes/apis');
+    assert.equal(routePath('/'), 'server/routes/index');
+  });
+
+  it('rejects paths that leave the route directory', () => {
+    assert.throws(() => routePath('/a/../b'), UsageError);
+  });
+});
+
+describe('loadOpenApi', () => {
+  let dir;
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'scaffold-test-'));
+  });
+  after(() => fs.rmSync(dir, {recursive: true, force: true}));
+  const file = (name, text) => {
+    fs.writeFileSync(path.join(dir, name), text);
+    return path.join(dir, name);
+  };
+
+  it('reads JSON and YAML documents', () => {
+    assert.deepEqual(loadOpenApi(file('a.json', JSON.stringify(SPEC))), SPEC);
+    assert.deepEqual(loadOpenApi(file('a.yaml', 'openapi: 3.1.0\npaths:\n  /a:\n    get: {}\n')).paths, {'/a': {get: {}}});
+  });
+
+  it('rejects Swagger 2.0 and documents without paths', () => {
+    assert.throws(() => loadOpenApi(file('s.yaml', 'swagger: "2.0"\npaths: {}\n')), /convert it to OpenAPI 3/);
+    assert.throws(() => loadOpenApi(file('n.yaml', 'openapi: 3.0.0\n')), /not an OpenAPI 3 document/);
+    assert.throws(() => loadOpenApi(file('b.yaml', 'openapi: [\n')), /Cannot parse b\.yaml/);
+  });
+});
+
+describe('openApiFiles', () => {
+  const {files, handlers, operations} = openApiFiles(SPEC, 'pets');
+
+  it('writes one handler per operation, the types module and the validator', () => {
+    assert.equal(operations, 3);
+    assert.deepEqual(handlers, ['server/api/pets.get.ts', 'server/api/pets.post.ts', 'server/api/pets/[petId].delete.ts']);
+    assert.deepEqual([...files.keys()].sort(), [...handlers, 'server/utils/openapi-validation.ts', 'shared/types/pets.ts'].sort());
+  });
+
+  it('types component schemas and operations without shadowing globals', () => {
+    const types = files.get('shared/types/pets.ts');
+    assert.match(types, /export interface Pet \{\n {2}id: number\n {2}\/\*\* The pet's name \*\/\n {2}name: string\n {2}tag\?: string \| null\n\}/);
+    assert.match(types, /export interface ErrorSchema /);
+    assert.match(types, /export interface ListPetsQuery /);
+    assert.match(types, /export type ListPetsResponse = Pet\[\]/);
+    assert.match(types, /export type CreatePetBody = Pet/);
+    assert.match(types, /export interface DeletePetsByPetIdParams /);
+  });
+
+  it('validates params, query and body and leaves readOnly properties out of bodies', () => {
+    const post = files.get('server/api/pets.post.ts');
+    assert.match(post, /readValidatedBody\(event, validateSchema<CreatePetBody>\(bodySchema\)\)/);
+    assert.match(post, /required: \['name'\]/);
+    assert.doesNotMatch(post, /id: \{/);
+    assert.match(files.get('server/api/pets.get.ts'), /getValidatedQuery\(event, validateSchema<ListPetsQuery>\(querySchema, \{ coerce: true \}\)\)/);
+    assert.match(files.get('server/api/pets/[petId].delete.ts'), /getValidatedRouterParams\(event, validateSchema<DeletePetsByPetIdParams>\(paramsSchema, \{ coerce: true \}\)\)/);
+  });
+
+  it('keeps paths outside /api at their URL under server/routes', () => {
+    const {handlers: routes} = openApiFiles({...SPEC, paths: {'/health': {get: {}}, '/api/health': {get: {operationId: 'apiHealth'}}}}, 'x');
+    assert.deepEqual(routes, ['server/routes/health.get.ts', 'server/api/health.get.ts']);
+  });
+
+  it('leaves out the types module for JavaScript projects', () => {
+    assert.ok(!openApiFiles(SPEC, 'pets', {types: false}).files.has('shared/types/pets.ts'));
+  });
+
+  it('rejects operations that map to the same file and external references', () => {
+    assert.throws(() => openApiFiles({...SPEC, paths: {'/api/a': {get: {}}, '/api/a/': {get: {}}}}, 'x'), /both map to server\/api\/a\.get\.ts/);
+    assert.throws(() => openApiFiles({...SPEC, paths: {'/api/a': {get: {}}, '/a': {get: {}}}}, 'x'), /both named GetA; give them distinct operationIds/);
+    assert.throws(() => openApiFiles({...SPEC, paths: {'/a': {get: {requestBody: {$ref: 'other.yaml#/x'}}}}}, 'x'), /Only local \$ref/);
+    assert.throws(() => openApiFiles({...SPEC, paths: {'/a': {}}}, 'x'), /no operations/);
+  });
+});
+
+describe('generated validator', () => {
+  let dir;
+  let validateSchema;
+  before(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'scaffold-test-'));
+    const source = toJavaScript(VALIDATOR_FILE, openApiFiles(SPEC, 'pets').files.get(VALIDATOR_FILE));
+    fs.writeFileSync(path.join(dir, 'validation.mjs'), source);
+    // h3's createError, as Nitro auto-imports it
+    globalThis.createError = options => Object.assign(new Error(options.statusMessage), options);
+    ({validateSchema} = await import(pathToFileURL(path.join(dir, 'validation.mjs')).href));
+  });
+  after(() => {
+    delete globalThis.createError;
+    fs.rmSync(dir, {recursive: true, force: true});
+  });
+  const issuesOf = fn => {
+    try {
+      fn();
+    } catch (e) {
+      assert.equal(e.statusCode, 400);
+      return e.data.issues;
+    }
+    assert.fail('expected a validation error');
+  };
+
+  it('coerces query strings to the schema types', () => {
+    const schema = {type: 'object', properties: {limit: {type: 'integer'}, tags: {type: 'array', items: {type: 'string'}}, on: {type: 'boolean'}}};
+    assert.deepEqual(validateSchema(schema, {coerce: true})({limit: '5', tags: 'a', on: 'true'}), {limit: 5, tags: ['a'], on: true});
+  });
+
+  it('lists every issue with its path', () => {
+    const schema = {
+      type:                 'object',
+      required:             ['name'],
+      additionalProperties: false,
+      properties:           {name: {type: 'string'}, tag: {type: 'string', nullable: true}, kind: {enum: ['cat', 'dog']}, age: {type: 'integer', minimum: 0}}
+    };
+    assert.deepEqual(issuesOf(() => validateSchema(schema)({tag: 1, kind: 'cow', age: -1, extra: true})), [
+      {path: '/name', message: 'is required'},
+      {path: '/tag', message: 'must be string'},
+      {path: '/kind', message: 'must be one of "cat", "dog"'},
+      {path: '/age', message: 'must be at least 0'},
+      {path: '/extra', message: 'is not allowed'}
+    ]);
+    assert.deepEqual(validateSchema(schema)({name: 'rex', tag: null}), {name: 'rex', tag: null});
+  });
+
+  it('understands exclusive bounds of OpenAPI 3.0 and 3.1 and the combinators', () => {
+    assert.equal(issuesOf(() => validateSchema({minimum: 0, exclusiveMinimum: true})(0))[0].message, 'must be greater than 0');
+    assert.equal(issuesOf(() => validateSchema({exclusiveMaximum: 10})(10))[0].message, 'must be less than 10');
+    assert.equal(validateSchema({oneOf: [{type: 'string'}, {type: 'integer'}]})(3), 3);
+    assert.equal(issuesOf(() => validateSchema({oneOf: [{type: 'number'}, {type: 'integer'}]})(3))[0].message, 'must match exactly one of the allowed schemas');
+  });
+
+  it('lets a missing body through only when it is optional', () => {
+    assert.equal(validateSchema({type: 'object'}, {optional: true})(undefined), undefined);
+    assert.equal(issuesOf(() => validateSchema({type: 'object'})(undefined))[0].message, 'must be object');
+  });
+});
@@ -0,0 +1,72 @@
+import {describe, it, beforeEach, afterEach} from 'node:test';
+import assert                                from 'node:assert/strict';
+import fs                                    from 'node:fs';
+import os                                    from 'node:os';
+import path                                  from 'node:path';
+import {listPresets, checkPreset}            from '../lib/presets.mjs';
+import {UsageError}                          from '../lib/errors.mjs';
+import {scaffold}                            from '../index.mjs';
+
+describe('presets', () => {
+  it('lists every preset with the files its overlay adds', async () => {
+    const {presets} = await listPresets();
+    assert.deepEqual(presets.map(p => [p.name, p.default]), [['minimal', true], ['blog', false], ['api-only', false], ['app', false]]);
+    assert.deepEqual(presets[0].files, []);
+    const blog = presets.find(p => p.name === 'blog').files;
+    assert.ok(blog.includes('server/routes/rss.xml.ts'));
+    assert.ok(!blog.some(f => f.endsWith('.tpl') || f.endsWith('scaffold.features.json')));
+  });
+
+  it('rejects unknown presets', () => {
+    assert.equal(checkPreset('blog'), 'blog');
+    assert.throws(() => checkPreset('shop'), UsageError);
+    assert.throws(() => checkPreset('constructor'), /Unknown preset "constructor"/);
+  });
+});
+
+describe('scaffold({preset})', () => {
+  let target;
+  const run = async options => (await scaffold({target, dryRun: true, ...options}));
+  beforeEach(() => {
+    target = fs.mkdtempSync(path.join(os.tmpdir(), 'scaffold-test-'));
+    fs.writeFileSync(path.join(target, 'package.json'), JSON.stringify({name: 'demo', dependencies: {'nuxt': '^4.0.0', '@nuxt/content': '^3.0.0'}}));
+    fs.writeFileSync(path.join(target, 'nuxt.config.ts'), 'export default defineNuxtConfig({})\n');
+  });
+  afterEach(() => fs.rmSync(target, {recursive: true, force: true}));
+
+  it('uses the plain skeleton for minimal', async () => {
+    const result = await run({});
+    assert.equal(result.preset, 'minimal');
+    assert.ok(result.added.includes('app/error.vue'));
+    assert.ok(!result.added.some(f => f.startsWith('app/pages/blog/')));
+  });
+
+  it('adds the overlay on top of the skeleton', async () => {
+    const result = await run({preset: 'blog'});
+    assert.equal(result.preset, 'blog');
+    for (const rel of ['app/error.vue', 'app/pages/blog/index.vue', 'content/blog/hello-world.md', 'server/routes/rss.xml.ts']) {
+      assert.ok(result.added.includes(rel), rel);
+    }
+  });
+
+  it('drops skeleton files the overlay ignores', async () => {
+    const result = await run({preset: 'api-only'});
+    assert.ok(result.added.includes('server/api/health.get.ts'));
+    assert.ok(!result.added.some(f => f.startsWith('app/')));
+  });
+
+  it('reports no preset when the embedded templates are not used', async () => {
+    const tpl = path.join(target, 'tpl/templates');
+    fs.mkdirSync(tpl, {recursive: true});
+    fs.writeFileSync(path.join(tpl, 'a.txt'), 'a\n');
+    assert.equal((await run({templateUrl: path.dirname(tpl)})).preset, null);
+    assert.equal((await run({templates: ['embedded', path.dirname(tpl)]})).preset, 'minimal');
+  });
+
+  it('takes the preset from the config file', async () => {
+    fs.writeFileSync(path.join(target, 'scaffold.config.json'), '{"preset": "app"}');
+    const result = await run({});
+    assert.equal(result.preset, 'app');
+    assert.ok(result.added.includes('app/pages/login.vue'));
+  });
+});
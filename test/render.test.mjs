@@ -0,0 +1,73 @@
+import {describe, it} from 'node:test';
+import assert         from 'node:assert/strict';
+import fs             from 'node:fs';
+import {
+  renderTemplate,
+  templateContext,
+  parseVars
+}                     from '../lib/render.mjs';
+
+const context = templateContext({
+  pkg:      {name: 'demo'},
+  features: {content: true, pinia: false},
+  vars:     {siteName: 'Acme "Docs" </title> {{ x }}'},
+  lang:     'ts',
+  tailwind: null
+});
+const template = rel => fs.readFileSync(new URL(`../${rel}`, import.meta.url), 'utf8');
+
+describe('renderTemplate', () => {
+  it('fills in values and takes the first non-empty alternative', () => {
+    assert.equal(renderTemplate('{{ pkg.name }}/{{ vars.missing || tailwind || "none" }}', context), 'demo/none');
+  });
+
+  it('keeps or drops blocks by feature and takes standalone tags with their line', () => {
+    const text = 'a\n{{#if content}}\nb\n{{else}}\nc\n{{/if}}\n{{#unless pinia}}d{{/unless}}\n';
+    assert.equal(renderTemplate(text, context), 'a\nb\nd\n');
+  });
+
+  it('leaves placeholders over other names and escaped braces alone', () => {
+    assert.equal(renderTemplate('{{ error.statusCode }} \\{{ pkg.name }}', context), '{{ error.statusCode }} {{ pkg.name }}');
+  });
+
+  it('reports unbalanced blocks and unknown names with the line', () => {
+    assert.throws(() => renderTemplate('a\n{{#if content}}', context), /line 2: \{\{#if\}\} is never closed/);
+    assert.throws(() => renderTemplate('{{#if nope}}{{/if}}', context), /unknown name "nope"/);
+  });
+
+  it('escapes values for string literals with json', () => {
+    const out = renderTemplate('name: {{ vars.siteName | json }}', context);
+    assert.equal(out, 'name: "Acme \\"Docs\\" </title> {{ x }}"');
+    assert.equal(JSON.parse(out.slice(6)), context.vars.siteName);
+    assert.equal(renderTemplate('{{ vars.missing | json }}', context), '""');
+  });
+
+  it('escapes values for markup with html', () => {
+    assert.equal(renderTemplate('{{ vars.siteName | html }}', context), 'Acme &#34;Docs&#34; &#60;/title&#62; &#123;&#123; x &#125;&#125;');
+  });
+
+  it('applies filters after the alternatives and in order', () => {
+    assert.equal(renderTemplate('{{ vars.missing || "a<b" | html | json }}', context), '"a&#60;b"');
+  });
+
+  it('rejects unknown filters', () => {
+    assert.throws(() => renderTemplate('\n{{ pkg.name | upper }}', context), /line 2: unknown filter "upper"/);
+  });
+
+  it('renders the embedded templates to valid strings for any siteName', () => {
+    const config = renderTemplate(template('templates/app/app.config.ts.tpl'), context);
+    assert.equal(JSON.parse(/name: (".*")/.exec(config)[1]), context.vars.siteName);
+    const rss = renderTemplate(template('presets/blog/server/routes/rss.xml.ts.tpl'), context);
+    assert.match(rss, /<title>\$\{escape\("Acme \\"Docs\\" <\/title> \{\{ x \}\}"\)\}<\/title>/);
+    const error = renderTemplate(template('templates/app/error.vue.tpl'), context);
+    assert.match(error, /Go back to Acme &#34;Docs&#34; &#60;\/title&#62; &#123;&#123; x &#125;&#125;</);
+    assert.match(error, /\{\{ error\.statusCode \}\}/);
+  });
+});
+
+describe('parseVars', () => {
+  it('splits key=value entries, later keys winning', () => {
+    assert.deepEqual(parseVars(['siteName=A=B', 'x=1', 'x=2']), {siteName: 'A=B', x: '2'});
+    assert.throws(() => parseVars(['no-key']), /--var expects key=value/);
+  });
+});
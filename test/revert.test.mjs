@@ -0,0 +1,68 @@
+import {describe, it, beforeEach, afterEach} from 'node:test';
+import assert                                from 'node:assert/strict';
+import {spawnSync}                           from 'node:child_process';
+import fs                                    from 'node:fs';
+import os                                    from 'node:os';
+import path                                  from 'node:path';
+import {fileURLToPath}                       from 'node:url';
+
+const CLI = fileURLToPath(new URL('../scaffold.mjs', import.meta.url));
+const MANIFEST = '.scaffold-nuxt-4.json';
+
+const run = (...args) => {
+  const res = spawnSync(process.execPath, [CLI, ...args], {encoding: 'utf8', env: {...process.env, NO_COLOR: '1'}});
+  return {status: res.status, report: res.stdout.startsWith('{') ? JSON.parse(res.stdout) : null};
+};
+
+describe('--revert', () => {
+  let root;
+  const at = rel => path.join(root, rel);
+  const manifestFiles = () => Object.keys(JSON.parse(fs.readFileSync(at(MANIFEST), 'utf8')).files).sort();
+  beforeEach(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'scaffold-test-'));
+    fs.writeFileSync(at('package.json'), '{"name": "demo", "dependencies": {"nuxt": "^4.0.0"}}\n');
+    fs.writeFileSync(at('nuxt.config.ts'), 'export default defineNuxtConfig({})\n');
+  });
+  afterEach(() => fs.rmSync(root, {recursive: true, force: true}));
+
+  it('records every written file with its hash', () => {
+    const {status, report} = run('--json', root);
+    assert.equal(status, 0);
+    assert.deepEqual(manifestFiles(), report.added);
+    const {files} = JSON.parse(fs.readFileSync(at(MANIFEST), 'utf8'));
+    assert.match(files['app/error.vue'].sha256, /^[0-9a-f]{64}$/);
+  });
+
+  it('removes unmodified files and keeps edited ones tracked', () => {
+    const {report: scaffolded} = run('--json', root);
+    fs.appendFileSync(at('app/error.vue'), '<!-- edited -->\n');
+    fs.rmSync(at('app/layouts/default.vue'));
+
+    const {status, report} = run('--revert', '--json', root);
+    assert.equal(status, 0);
+    assert.deepEqual(report.kept, ['app/error.vue']);
+    assert.deepEqual(report.missing, ['app/layouts/default.vue']);
+    assert.equal(report.removed.length, scaffolded.added.length - 2);
+    assert.deepEqual(fs.readdirSync(root).sort(), [MANIFEST, 'app', 'nuxt.config.ts', 'package.json']);
+    assert.deepEqual(fs.readdirSync(at('app')), ['error.vue']);
+    assert.deepEqual(manifestFiles(), ['app/error.vue']);
+  });
+
+  it('deletes the manifest once nothing is left', () => {
+    run('--json', root);
+    run('--revert', '--json', root);
+    assert.deepEqual(fs.readdirSync(root).sort(), ['nuxt.config.ts', 'package.json']);
+  });
+
+  it('changes nothing with --dry-run', () => {
+    const {report: scaffolded} = run('--json', root);
+    const {report} = run('--revert', '--dry-run', '--json', root);
+    assert.equal(report.counts.remove, scaffolded.added.length);
+    assert.deepEqual(manifestFiles(), scaffolded.added);
+    assert.ok(fs.existsSync(at('app/error.vue')));
+  });
+
+  it('fails without a manifest', () => {
+    assert.equal(run('--revert', '--json', root).status, 1);
+  });
+});
@@ -0,0 +1,43 @@
+import {describe, it, before, after} from 'node:test';
+import assert                        from 'node:assert/strict';
+import {execFileSync}                from 'node:child_process';
+import fs                            from 'node:fs';
+import os                            from 'node:os';
+import path                          from 'node:path';
+import {scaffold}                    from '../index.mjs';
+
+const git = (args, cwd) => execFileSync('git', ['-c', 'user.name=test', '-c', 'user.email=test@example.com', ...args], {cwd, encoding: 'utf8'}).trim();
+
+describe('local template sources', () => {
+  let dir;
+  let target;
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'scaffold-test-'));
+    target = path.join(dir, 'project');
+    fs.mkdirSync(target);
+    fs.writeFileSync(path.join(target, 'package.json'), '{"name": "demo", "dependencies": {"nuxt": "^4.0.0"}}\n');
+    fs.writeFileSync(path.join(target, 'nuxt.config.ts'), 'export default defineNuxtConfig({})\n');
+    for (const tpl of ['repo/templates', 'repo/nested/templates']) {
+      fs.mkdirSync(path.join(dir, tpl), {recursive: true});
+      fs.writeFileSync(path.join(dir, tpl, 'a.txt'), 'a\n');
+    }
+    git(['init', '-q'], path.join(dir, 'repo'));
+    git(['add', '-A'], path.join(dir, 'repo'));
+    git(['commit', '-qm', 'init'], path.join(dir, 'repo'));
+  });
+  after(() => fs.rmSync(dir, {recursive: true, force: true}));
+
+  it('records the commit of a template that is a repository root', async () => {
+    const result = await scaffold({target, templateUrl: path.join(dir, 'repo'), dryRun: true});
+    assert.equal(result.commit, git(['rev-parse', 'HEAD'], path.join(dir, 'repo')));
+  });
+
+  it('records no commit for a folder inside an enclosing repository', async () => {
+    const result = await scaffold({target, templateUrl: path.join(dir, 'repo/nested'), dryRun: true});
+    assert.equal(result.commit, null);
+  });
+
+  it('rejects npm specs that npm would read as options', async () => {
+    await assert.rejects(scaffold({target, templateUrl: 'npm:--registry=http://evil.test', dryRun: true}), /Invalid npm template spec/);
+  });
+});
@@ -0,0 +1,75 @@
+import {describe, it, beforeEach, afterEach} from 'node:test';
+import assert                                from 'node:assert/strict';
+import fs                                    from 'node:fs';
+import os                                    from 'node:os';
+import path                                  from 'node:path';
+import {
+  createTransaction,
+  STAGING_PREFIX
+}                                            from '../lib/transaction.mjs';
+
+describe('createTransaction', () => {
+  let root;
+  beforeEach(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'scaffold-test-'));
+    fs.writeFileSync(path.join(root, 'existing.txt'), 'original');
+    fs.writeFileSync(path.join(root, 'blocker'), 'a file, not a directory');
+  });
+  afterEach(() => fs.rmSync(root, {recursive: true, force: true}));
+  const at = rel => path.join(root, rel);
+  const read = rel => fs.readFileSync(at(rel), 'utf8');
+  const listing = () => fs.readdirSync(root, {recursive: true}).map(f => f.split(path.sep).join('/')).sort();
+
+  it('keeps applied writes after finish() and removes the staging directory', () => {
+    const tx = createTransaction(root);
+    tx.write(at('existing.txt'), 'replaced');
+    tx.write(at('new/dir/file.txt'), 'new');
+    tx.apply();
+    tx.finish();
+    tx.rollback();
+    assert.equal(read('existing.txt'), 'replaced');
+    assert.equal(read('new/dir/file.txt'), 'new');
+    assert.ok(!listing().some(f => f.startsWith(STAGING_PREFIX)));
+  });
+
+  it('restores the original tree when a write fails part-way through apply()', () => {
+    const before = listing();
+    const tx = createTransaction(root);
+    tx.write(at('existing.txt'), 'replaced');
+    tx.write(at('new/dir/file.txt'), 'new');
+    tx.move(at('existing.txt'), at('moved.txt'));
+    // A file where a directory is needed makes the next step throw
+    tx.write(at('blocker/inside.txt'), 'never written');
+    assert.throws(() => tx.apply(), e => e.file === at('blocker/inside.txt'));
+    assert.equal(read('moved.txt'), 'replaced');
+
+    tx.rollback();
+    assert.deepEqual(listing(), before);
+    assert.equal(read('existing.txt'), 'original');
+    assert.equal(read('blocker'), 'a file, not a directory');
+  });
+
+  it('undoes steps from earlier apply() calls too', () => {
+    const tx = createTransaction(root);
+    tx.write(at('first.txt'), '1');
+    tx.apply();
+    tx.write(at('existing.txt'), '2');
+    tx.apply();
+    tx.rollback();
+    assert.ok(!fs.existsSync(at('first.txt')));
+    assert.equal(read('existing.txt'), 'original');
+  });
+
+  it('restores tracked files written outside the transaction', () => {
+    const tx = createTransaction(root);
+    tx.track(at('existing.txt'));
+    assert.equal(read('existing.txt'), 'original');
+    fs.writeFileSync(at('existing.txt'), 'edited in place');
+    tx.track(at('created.txt'));
+    fs.writeFileSync(at('created.txt'), 'created');
+    tx.rollback();
+    assert.equal(read('existing.txt'), 'original');
+    assert.ok(!fs.existsSync(at('created.txt')));
+    assert.ok(!listing().some(f => f.startsWith(STAGING_PREFIX)));
+  });
+});
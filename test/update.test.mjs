@@ -0,0 +1,95 @@
+import {describe, it, beforeEach, afterEach} from 'node:test';
+import assert                                from 'node:assert/strict';
+import {spawnSync}                           from 'node:child_process';
+import fs                                    from 'node:fs';
+import os                                    from 'node:os';
+import path                                  from 'node:path';
+import {fileURLToPath}                       from 'node:url';
+
+const CLI = fileURLToPath(new URL('../scaffold.mjs', import.meta.url));
+
+describe('--update', () => {
+  let dir;
+  let root;
+  const at = rel => path.join(root, rel);
+  const read = rel => fs.readFileSync(at(rel), 'utf8');
+  const template = (rel, text) => fs.writeFileSync(path.join(dir, 'tpl/templates', rel), text);
+  const run = (...args) => {
+    const res = spawnSync(process.execPath, [CLI, `--template-url=${path.join(dir, 'tpl')}`, '--json', ...args, root], {
+      encoding: 'utf8',
+      env:      {...process.env, NO_COLOR: '1'}
+    });
+    return {status: res.status, report: JSON.parse(res.stdout)};
+  };
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'scaffold-test-'));
+    root = path.join(dir, 'project');
+    fs.mkdirSync(root);
+    fs.mkdirSync(path.join(dir, 'tpl/templates'), {recursive: true});
+    fs.writeFileSync(at('package.json'), '{"name": "demo", "dependencies": {"nuxt": "^4.0.0"}}\n');
+    fs.writeFileSync(at('nuxt.config.ts'), 'export default defineNuxtConfig({})\n');
+    for (const name of ['untouched', 'edited', 'both', 'same']) template(`${name}.txt`, `${name}\nline 2\nline 3\n`);
+    run();
+    // The user edits two files, then the template moves on
+    fs.writeFileSync(at('edited.txt'), 'edited\nline 2 (mine)\nline 3\n');
+    fs.writeFileSync(at('both.txt'), 'both\nline 2 (mine)\nline 3\n');
+    template('untouched.txt', 'untouched\nline 2 (v2)\nline 3\n');
+    template('both.txt', 'both\nline 2 (v2)\nline 3\n');
+  });
+  afterEach(() => fs.rmSync(dir, {recursive: true, force: true}));
+
+  it('only skips existing files without --update', () => {
+    const {report} = run();
+    assert.deepEqual(report.skipped, ['both.txt', 'edited.txt', 'same.txt', 'untouched.txt']);
+    assert.equal(read('untouched.txt'), 'untouched\nline 2\nline 3\n');
+  });
+
+  it('updates unedited files, keeps edited ones and writes *.new for conflicts', () => {
+    const {status, report} = run('--update');
+    assert.equal(status, 0);
+    assert.deepEqual(report.updated, ['untouched.txt']);
+    assert.deepEqual(report.kept, ['edited.txt']);
+    assert.deepEqual(report.conflicts, ['both.txt']);
+    assert.equal(read('untouched.txt'), 'untouched\nline 2 (v2)\nline 3\n');
+    assert.equal(read('edited.txt'), 'edited\nline 2 (mine)\nline 3\n');
+    assert.equal(read('both.txt'), 'both\nline 2 (mine)\nline 3\n');
+    assert.equal(read('both.txt.new'), 'both\nline 2 (v2)\nline 3\n');
+  });
+
+  it('merges conflicts with markers and keeps the original as *.orig', () => {
+    run('--update', '--merge-style=markers');
+    assert.equal(read('both.txt'), 'both\n<<<<<<< local\nline 2 (mine)\n=======\nline 2 (v2)\n>>>>>>> template\nline 3\n');
+    assert.equal(read('both.txt.orig'), 'both\nline 2 (mine)\nline 3\n');
+  });
+
+  it('records *.new files in the manifest so --revert removes them', () => {
+    run('--update');
+    assert.ok(JSON.parse(read('.scaffold-nuxt-4.json')).files['both.txt.new']);
+    run('--revert');
+    assert.ok(!fs.existsSync(at('both.txt.new')));
+    assert.equal(read('both.txt'), 'both\nline 2 (mine)\nline 3\n');
+  });
+
+  it('records *.orig files in the manifest so --revert removes them', () => {
+    run('--update', '--merge-style=markers');
+    assert.ok(JSON.parse(read('.scaffold-nuxt-4.json')).files['both.txt.orig']);
+    run('--revert');
+    assert.ok(!fs.existsSync(at('both.txt.orig')));
+  });
+
+  it('takes the new template version as the baseline', () => {
+    run('--update');
+    const {report} = run('--update');
+    assert.deepEqual(report.updated, []);
+    assert.deepEqual(report.conflicts, []);
+    assert.deepEqual(report.kept, ['both.txt', 'edited.txt']);
+  });
+
+  it('changes nothing with --dry-run', () => {
+    const {report} = run('--update', '--dry-run');
+    assert.deepEqual(report.updated, ['untouched.txt']);
+    assert.deepEqual(report.conflicts, ['both.txt']);
+    assert.equal(read('untouched.txt'), 'untouched\nline 2\nline 3\n');
+    assert.ok(!fs.existsSync(at('both.txt.new')));
+  });
+});
@@ -0,0 +1,85 @@
+import {describe, it, beforeEach, afterEach} from 'node:test';
+import assert                                from 'node:assert/strict';
+import fs                                    from 'node:fs';
+import os                                    from 'node:os';
+import path                                  from 'node:path';
+import {
+  workspaceGlobs,
+  findWorkspacePackages,
+  scaffoldWorkspaces
+}                                            from '../lib/workspaces.mjs';
+import {UsageError}                          from '../lib/errors.mjs';
+
+describe('workspaces', () => {
+  let root;
+  const write = (rel, text) => {
+    fs.mkdirSync(path.dirname(path.join(root, rel)), {recursive: true});
+    fs.writeFileSync(path.join(root, rel), text);
+  };
+  const nuxtPackage = (rel, config = 'export default defineNuxtConfig({})\n') => {
+    write(`${rel}/package.json`, JSON.stringify({name: path.basename(rel), dependencies: {nuxt: '^4.0.0'}}));
+    write(`${rel}/nuxt.config.ts`, config);
+  };
+  beforeEach(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'scaffold-test-'));
+  });
+  afterEach(() => fs.rmSync(root, {recursive: true, force: true}));
+
+  it('takes globs from pnpm-workspace.yaml before package.json', () => {
+    assert.equal(workspaceGlobs(root), null);
+    write('package.json', JSON.stringify({workspaces: {packages: ['packages/*']}}));
+    assert.deepEqual(workspaceGlobs(root), {file: 'package.json', globs: ['packages/*']});
+    write('package.json', JSON.stringify({workspaces: ['apps/*']}));
+    assert.deepEqual(workspaceGlobs(root), {file: 'package.json', globs: ['apps/*']});
+    write('pnpm-workspace.yaml', "packages:\n  - 'sites/*'\n");
+    assert.deepEqual(workspaceGlobs(root), {file: 'pnpm-workspace.yaml', globs: ['sites/*']});
+  });
+
+  it('reads pnpm-workspace.yaml as YAML', () => {
+    write('pnpm-workspace.yaml', "packages:\n  - 'apps/*'\n  - \"layers/*\" # shared\n  - '!apps/legacy'\ncatalog:\n  vue: ^3\n");
+    assert.deepEqual(workspaceGlobs(root).globs, ['apps/*', 'layers/*', '!apps/legacy']);
+    write('pnpm-workspace.yaml', "packages: ['apps/*', packages/*]\n");
+    assert.deepEqual(workspaceGlobs(root).globs, ['apps/*', 'packages/*']);
+    write('pnpm-workspace.yaml', 'onlyBuiltDependencies: []\n');
+    assert.deepEqual(workspaceGlobs(root).globs, []);
+  });
+
+  it('rejects unreadable pnpm-workspace.yaml files', () => {
+    write('pnpm-workspace.yaml', "packages: ['apps/*'\n");
+    assert.throws(() => workspaceGlobs(root), /Cannot parse pnpm-workspace\.yaml/);
+    write('pnpm-workspace.yaml', 'packages: apps/*\n');
+    assert.throws(() => workspaceGlobs(root), /"packages" in pnpm-workspace\.yaml must be a list of globs/);
+  });
+
+  it('finds Nuxt packages and the local layers they extend', () => {
+    write('pnpm-workspace.yaml', "packages:\n  - 'apps/*'\n  - '!apps/legacy'\n");
+    nuxtPackage('apps/web', "export default defineNuxtConfig({\n  extends: ['../../layers/base', 'github:acme/theme'],\n})\n");
+    nuxtPackage('apps/legacy');
+    nuxtPackage('layers/base');
+    write('apps/lib/package.json', '{"name": "lib"}');
+    const {file, packages} = findWorkspacePackages(root);
+    assert.equal(file, 'pnpm-workspace.yaml');
+    assert.deepEqual(packages.map(p => [p.rel, p.layer, p.extends]), [
+      ['apps/web', false, ['../../layers/base', 'github:acme/theme']],
+      ['layers/base', true, []]
+    ]);
+  });
+
+  it('fails without a workspace declaration', () => {
+    assert.throws(() => findWorkspacePackages(root), UsageError);
+  });
+
+  it('scaffolds every package and reports failing ones without stopping', async () => {
+    write('package.json', JSON.stringify({workspaces: ['apps/*']}));
+    nuxtPackage('apps/a');
+    nuxtPackage('apps/b');
+    write('apps/b/scaffold.config.json', '{"unknown": true}');
+    write('tpl/templates/app/app.vue', '<template />\n');
+    const {workspaceFile, results} = await scaffoldWorkspaces({target: root, templateUrl: path.join(root, 'tpl'), dryRun: true});
+    assert.equal(workspaceFile, 'package.json');
+    assert.deepEqual(results.map(r => r.package.name), ['a', 'b']);
+    assert.deepEqual(results[0].added, ['app/app.vue']);
+    assert.equal(results[1].error.exitCode, 1);
+    assert.match(results[1].error.message, /Unknown setting "unknown"/);
+  });
+});
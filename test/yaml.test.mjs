@@ -0,0 +1,56 @@
+import {describe, it} from 'node:test';
+import assert         from 'node:assert/strict';
+import {parseYaml}    from '../lib/yaml.mjs';
+
+describe('parseYaml', () => {
+  it('reads block mappings and sequences, including sequences of mappings', () => {
+    assert.deepEqual(parseYaml('name: demo\nitems:\n- a: 1\n  b: 2\n- c\nnested:\n  deep:\n    - x\n'), {
+      name:   'demo',
+      items:  [{a: 1, b: 2}, 'c'],
+      nested: {deep: ['x']}
+    });
+  });
+
+  it('reads literal and folded block scalars with chomping indicators', () => {
+    const doc = parseYaml('a: |\n  line 1\n  line 2\n\nb: >-\n  folded\n  text\n\n  para\nc: |+\n  keep\n\nd: |2\n    indented\n');
+    assert.deepEqual(doc, {a: 'line 1\nline 2\n', b: 'folded text\npara', c: 'keep\n\n', d: '  indented\n'});
+  });
+
+  it('reads flow mappings and sequences, also across lines', () => {
+    assert.deepEqual(parseYaml('m: {a: 1, b: [x, "y z"], c: {d: null}}\nl: [1, 2.5, true, ~]\nml: [\n  one,\n  two\n]\n'), {
+      m:  {a: 1, b: ['x', 'y z'], c: {d: null}},
+      l:  [1, 2.5, true, null],
+      ml: ['one', 'two']
+    });
+  });
+
+  it('resolves anchors and aliases', () => {
+    assert.deepEqual(parseYaml('base: &b\n  x: 1\nother: *b\nlist:\n- &i item\n- *i\n'), {
+      base:  {x: 1},
+      other: {x: 1},
+      list:  ['item', 'item']
+    });
+  });
+
+  it('handles quoting, escapes and comments', () => {
+    const doc = parseYaml('s1: \'it\'\'s\'\ns2: "tab\\tnl\\n\\u00e9"\ns3: \'# not a comment\' # comment\ns4: \'1\'\ns5: a #b\ns6: "multi\n  line"\n');
+    assert.deepEqual(doc, {s1: 'it\'s', s2: 'tab\tnl\né', s3: '# not a comment', s4: '1', s5: 'a', s6: 'multi line'});
+  });
+
+  it('resolves plain scalars with the YAML 1.2 core schema', () => {
+    assert.deepEqual(parseYaml('a: 0x1F\nb: 0o17\nc: -1.5e3\nd: yes\ne: .inf\nf: Null\ng: 3.0.3\n'), {
+      a: 31, b: 15, c: -1500, d: 'yes', e: Infinity, f: null, g: '3.0.3'
+    });
+  });
+
+  it('folds multi-line plain scalars and stops at the end of the first document', () => {
+    assert.deepEqual(parseYaml('---\nk: plain\n  continued\n---\nignored: true\n'), {k: 'plain continued'});
+  });
+
+  it('reports errors with their line', () => {
+    assert.throws(() => parseYaml('key: value\n\tbad: tab\n'), /^Error: line 2: tabs are not allowed/);
+    assert.throws(() => parseYaml('a: !!str 1\n'), /line 1: tags are not supported/);
+    assert.throws(() => parseYaml('a: *nope\n'), /line 1: unknown alias "\*nope"/);
+    assert.throws(() => parseYaml('a: [1, 2\n'), /unterminated flow collection/);
+  });
+});